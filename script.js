@@ -1,8 +1,16 @@
 // Import configuration
 import config from './src/config.js';
+import AQIService from './src/services/AQIService.js';
+import {
+    formatIndex, getActiveStandardId, getLevelColor, getReadingIndex, getSeverity, getStandard
+} from './src/services/AQIStandards.js';
+import { getProfile, getProfileThresholds } from './src/services/HealthProfiles.js';
+import { formatDose, getActiveModeId, getTravelMode, inhaledDose, modeDuration } from './src/services/DoseModel.js';
+import TripPlanner from './src/services/TripPlanner.js';
+import { RISK_MEASURES } from './src/services/RiskMeasures.js';
+import IsochroneService from './src/services/IsochroneService.js';
 
 // Configuration - Load from config module or window object
-const OPENWEATHER_KEY = config.OPENWEATHER_KEY || window.OPENWEATHER_KEY || "your_openweather_api_key_here";
 const OPENCAGE_KEY = config.OPENCAGE_KEY || window.OPENCAGE_KEY || "your_opencage_api_key_here";
 
 // Initialize map
@@ -11,6 +19,9 @@ L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
     attribution: "&copy; OpenStreetMap contributors"
 }).addTo(map);
 
+// Shared with the React panels (e.g. pinning the map centre)
+window.map = map;
+
 // DOM elements
 const startInput = document.getElementById("start");
 const endInput = document.getElementById("end");
@@ -20,6 +31,7 @@ const routeInfo = document.getElementById("route-info");
 const avgAqiSpan = document.getElementById("avg-aqi");
 const routeDistanceSpan = document.getElementById("route-distance");
 const routeDurationSpan = document.getElementById("route-duration");
+const routeDoseSpan = document.getElementById("route-dose");
 const avoidHighAqiToggle = document.getElementById("avoid-high-aqi");
 const routeTypeSelect = document.getElementById("route-type");
 const locateMeBtn = document.getElementById("locate-me");
@@ -35,25 +47,47 @@ let routePolylines = [];
 let routingControl = null;
 let aqiBadgeMarkers = [];
 let userLocation = null;
-
-// AQI colors
-const aqiColors = {
-    1: "#00e400", 2: "#ffff00", 3: "#ff7e00",
-    4: "#ff0000", 5: "#8f3f97", unavailable: "#cccccc"
-};
+let aqiLegend = null;
+let isochroneLayers = [];
 
 // Initialize
 addAQILegend();
 setupMapControls();
 
+// Colors, legend and advice follow the selected AQI standard
+window.addEventListener('aqi-standard-change', () => {
+    addAQILegend();
+    showStatus(`AQI values now shown as ${getStandard().name}. Search again to update routes.`);
+});
+
+// Routes, durations and advice follow the selected travel mode
+window.addEventListener('travel-mode-change', () => {
+    showStatus(`Travel mode: ${getTravelMode(getActiveModeId()).name}. Search again to update routes.`);
+});
+
 // Utility: Loader control
-function showLoader() {
+const LOADER_TEXT = "Calculating AQI-safe routes...";
+const PROGRESS_LABELS = {
+    tiles: (done, total) => `Fetching air quality: ${done}/${total} areas`,
+    exposure: (done, total) => `Estimating exposure: ${Math.round(done / total * 100)}%`,
+    search: (done, total) => `Searching routes: ${done.toLocaleString()} of up to ${total.toLocaleString()} labels`
+};
+
+function showLoader(text = LOADER_TEXT) {
+    document.getElementById("loader-text").textContent = text;
     document.getElementById("loader").classList.remove("hidden");
 }
 function hideLoader() {
     document.getElementById("loader").classList.add("hidden");
 }
 
+// Progress of graph routing (tile fetches, exposure, route search) in the loader
+window.addEventListener('routing-progress', (e) => {
+    const { phase, done, total } = e.detail;
+    const label = PROGRESS_LABELS[phase];
+    if (label) document.getElementById("loader-text").textContent = label(done, total);
+});
+
 // Map Controls Setup
 function setupMapControls() {
     locateMeBtn.addEventListener("click", () => {
@@ -79,22 +113,25 @@ function setupMapControls() {
     // Removed toggle layers functionality
 }
 
-// AQI Legend
+// AQI Legend for the selected standard
 function addAQILegend() {
-    const legend = L.control({ position: "bottomright" });
-    legend.onAdd = () => {
+    if (aqiLegend) map.removeControl(aqiLegend);
+
+    const standard = getStandard();
+    aqiLegend = L.control({ position: "bottomright" });
+    aqiLegend.onAdd = () => {
         const div = L.DomUtil.create("div", "aqi-legend");
-        div.innerHTML = "<h4>AQI Levels</h4>";
-        [1, 2, 3, 4, 5].forEach(i => {
+        div.innerHTML = `<h4>${standard.name}</h4>`;
+        standard.levels.forEach(level => {
             div.innerHTML += `
                 <div class="legend-item">
-                    <div class="legend-color" style="background:${aqiColors[i]}"></div>
-                    <span>${i} - ${["Good", "Fair", "Moderate", "Poor", "Very Poor"][i - 1]}</span>
+                    <div class="legend-color" style="background:${level.color}"></div>
+                    <span>${level.range} - ${level.name}</span>
                 </div>`;
         });
         return div;
     };
-    legend.addTo(map);
+    aqiLegend.addTo(map);
 }
 
 function clearMap() {
@@ -106,6 +143,7 @@ function clearMap() {
     routePolylines = [];
     aqiBadgeMarkers = [];
     routeInfo.classList.add("hidden");
+    window.dispatchEvent(new CustomEvent('trip-updated', { detail: { trip: null } }));
 }
 
 function showStatus(message, isError = false) {
@@ -126,79 +164,71 @@ async function geocodeAddress(location) {
     }
 }
 
-// --- AQI Tile Cache Optimisation ---
-// Tile size ~2km (≈0.02° lat/lng); cache stored in localStorage with 30-minute TTL
-const TILE_SIZE = 0.02;
-const TILE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+// AQI readings come from AQIService, which shares its persistent (IndexedDB)
+// tile cache with the routing service
 
-function getTileKey(lat, lng) {
-    const latKey = Math.floor(lat / TILE_SIZE);
-    const lngKey = Math.floor(lng / TILE_SIZE);
-    return `${latKey}_${lngKey}`;
-}
-
-function readTileFromCache(key) {
+// Returns the aggregated reading, or null when no source answered
+async function getAQIReading(lat, lng) {
     try {
-        const raw = localStorage.getItem(`aqi_tile_${key}`);
-        if (!raw) return null;
-        const { aqi, ts } = JSON.parse(raw);
-        if (Date.now() - ts > TILE_TTL_MS) {
-            localStorage.removeItem(`aqi_tile_${key}`);
-            return null;
-        }
-        return aqi;
+        const reading = await AQIService.getAQI(lat, lng);
+        return reading.source === 'fallback' ? null : reading;
     } catch {
         return null;
     }
 }
 
-function writeTileToCache(key, aqi) {
-    try {
-        localStorage.setItem(`aqi_tile_${key}` , JSON.stringify({ aqi, ts: Date.now() }));
-    } catch {
-        // ignore quota errors
+// Returns the AQI in the selected standard, or -1 when unavailable
+async function getAQI(lat, lng) {
+    const reading = await getAQIReading(lat, lng);
+    return reading ? getReadingIndex(reading, getActiveStandardId()) : -1;
+}
+
+// Describes how much the AQI of a reading can be trusted
+function describeConfidence(reading) {
+    if (!reading) return '';
+    const score = Math.round((reading.confidenceScore ?? 0) * 100);
+    const sources = reading.sources ? reading.sources.length : 1;
+    let html = `<p><strong>Confidence:</strong> ${score}% (${sources} source${sources === 1 ? '' : 's'})</p>`;
+    if (reading.disagreement) {
+        html += `<p class="aqi-warning">Sources disagree on this reading (spread ${reading.spread.toFixed(0)} AQI)</p>`;
     }
+    return html;
 }
 
-async function getAQI(lat, lng) {
-    const tileKey = getTileKey(lat, lng);
-    const cached = readTileFromCache(tileKey);
-    if (cached !== null) return cached;
+const POLLUTANT_NAMES = { pm2_5: 'PM2.5', pm10: 'PM10', no2: 'NO₂', o3: 'O₃', so2: 'SO₂', co: 'CO' };
 
-    try {
-        const url = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lng}&appid=${OPENWEATHER_KEY}`;
-        const response = await fetch(url);
-        const data = await response.json();
-        const aqi = data.list?.[0]?.main?.aqi || -1;
-        writeTileToCache(tileKey, aqi);
-        return aqi;
-    } catch {
-        return -1;
-    }
+// Per-pollutant exposure totals of a graph-routed route, the optimized one first
+function describePollutantExposure(route) {
+    const entries = Object.entries(route.pollutantExposure)
+        .sort(([a], [b]) => (b === route.objective) - (a === route.objective));
+    if (entries.length === 0) return '';
+
+    const totals = entries
+        .map(([pollutant, exposure]) => `${POLLUTANT_NAMES[pollutant] || pollutant} ${exposure.toFixed(1)}`)
+        .join(' · ');
+    return `<p><strong>Exposure by pollutant:</strong> ${totals}</p>`;
+}
+
+// Total exposure of a graph-routed route with its confidence band, and the
+// risk-adjusted exposure the search minimized when a risk measure was selected
+function describeExposureBand(route) {
+    const { low, high, level } = route.exposureBand;
+    const measure = RISK_MEASURES.find(option => option.id === route.riskMeasure);
+    const risk = measure && measure.id !== 'expected' && route.riskExposure !== undefined
+        ? `<p><strong>${measure.name}:</strong> ${route.riskExposure.toFixed(1)}</p>`
+        : '';
+    return `<p><strong>Exposure:</strong> ${route.totalExposure.toFixed(1)} <span class="exposure-band">(${Math.round(level * 100)}% band ${low.toFixed(1)}–${high.toFixed(1)})</span></p>${risk}`;
 }
 
-// Health recommendations based on OpenWeather AQI levels (1 to 5)
+// Health recommendations for the selected AQI standard and health profile
 function getHealthRecommendation(aqi) {
-    if (aqi === -1) {
-        return "AQI data not available";
-    } else if (aqi === 1) {
-        return "Safe to travel";  // AQI 1 - Good
-    } else if (aqi === 2) {
-        return "Safe to travel. You may want to limit outdoor exercise.";  // AQI 2 - Fair
-    } else if (aqi === 3) {
-        return "Wear a mask if you are sensitive to air quality. Avoid prolonged outdoor exercise.";  // AQI 3 - Moderate
-    } else if (aqi === 4) {
-        return "Avoid outdoor exercise and stay indoors. Consider wearing a mask.";  // AQI 4 - Poor
-    } else if (aqi === 5) {
-        return "It is not safe to travel. Avoid outdoor activities. Wear a mask if you must go outside.";  // AQI 5 - Very Poor
-    } else {
-        return "Hazardous air quality. Stay indoors and take necessary precautions.";  // AQI > 5 - Hazardous (if needed)
-    }
+    return AQIService.getHealthRecommendation(aqi).text;
 }
 
 async function addMarker(point, label) {
-    const aqi = await getAQI(point.lat, point.lng);
-    const color = aqiColors[aqi] || aqiColors.unavailable;
+    const reading = await getAQIReading(point.lat, point.lng);
+    const aqi = reading ? getReadingIndex(reading, getActiveStandardId()) : -1;
+    const color = getLevelColor(aqi);
     const healthRecommendation = getHealthRecommendation(aqi); // Get health recommendation
 
     const marker = L.marker(point, {
@@ -213,7 +243,7 @@ async function addMarker(point, label) {
 
     const aqiBadge = L.divIcon({
         className: 'aqi-badge',
-        html: `<div style="background:${color}">${aqi > 0 ? aqi : '?'}</div>`,
+        html: `<div style="background:${color}">${aqi >= 0 ? formatIndex(aqi) : '?'}</div>`,
         iconSize: [20, 20]
     });
 
@@ -228,7 +258,8 @@ async function addMarker(point, label) {
     marker.bindPopup(`
         <div class="marker-popup">
             <h3>${label}</h3>
-            <p><strong>AQI:</strong> ${aqi > 0 ? aqi : 'N/A'}</p>
+            <p><strong>AQI:</strong> ${formatIndex(aqi)} (${getStandard().name})</p>
+            ${describeConfidence(reading)}
             <p><strong>Health Recommendation:</strong> ${healthRecommendation}</p>
         </div>
     `).addTo(map);
@@ -236,6 +267,8 @@ async function addMarker(point, label) {
     return marker;
 }
 
+// Draws the routes and returns the one highlighted as best (the first when
+// none is), or null when there are none
 async function processRoutes(routes) {
     routePolylines = [];
     let bestRouteIndex = -1;
@@ -245,21 +278,47 @@ async function processRoutes(routes) {
     // First pass: Calculate AQI for all routes
     for (let i = 0; i < routes.length; i++) {
         const route = routes[i];
-        let totalAQI = 0, count = 0;
+        let totalAQI = 0, count = 0, minConfidence = 1;
+        const componentTotals = {};
 
         for (let j = 0; j < route.coordinates.length; j += Math.max(5, Math.floor(route.coordinates.length / 20))) {
             const { lat, lng } = route.coordinates[j];
-            const aqi = await getAQI(lat, lng);
-            if (aqi !== -1) { totalAQI += aqi; count++; }
+            const reading = await getAQIReading(lat, lng);
+            if (!reading) continue;
+            totalAQI += getReadingIndex(reading, getActiveStandardId());
+            minConfidence = Math.min(minConfidence, reading.confidenceScore ?? 0);
+            Object.entries(reading.components || {}).forEach(([pollutant, value]) => {
+                componentTotals[pollutant] = (componentTotals[pollutant] || 0) + value;
+            });
+            count++;
         }
 
         const avgAQI = count > 0 ? (totalAQI / count) : -1;
         route.avgAQI = avgAQI; // Store AQI for later use
+        route.minConfidence = count > 0 ? minConfidence : 0;
+
+        // OSRM durations are for the mode's profile: scale them to the mode
+        // (e.g. a bus on the driving profile), unless graph routing set the mode
+        if (!route.travelMode) {
+            route.travelMode = getActiveModeId();
+            route.summary.totalTime = modeDuration(route.summary.totalTime, route.travelMode);
+        }
+
+        // Inhaled dose over the trip time, unless graph routing already computed it
+        if (!route.dose && count > 0) {
+            const avgComponents = Object.fromEntries(
+                Object.entries(componentTotals).map(([pollutant, total]) => [pollutant, total / count])
+            );
+            route.dose = inhaledDose(avgComponents, route.summary.totalTime / 60, route.travelMode);
+        }
     }
 
     // Second pass: Find best route based on user preference
     const routeType = routeTypeSelect.value;
     const shouldAvoidHighAQI = avoidHighAqiToggle.checked;
+    const standard = getStandard();
+    const { unhealthyFrom } = getProfileThresholds(standard.id); // Lower for sensitive health profiles
+    const aqiWeight = getProfile().aqiWeight;
 
     for (let i = 0; i < routes.length; i++) {
         const route = routes[i];
@@ -267,7 +326,7 @@ async function processRoutes(routes) {
         const distance = route.summary?.totalDistance || Infinity;
 
         // Skip routes with high AQI if the user wants to avoid them
-        if (shouldAvoidHighAQI && avgAQI >= 4) continue;
+        if (shouldAvoidHighAQI && avgAQI >= unhealthyFrom) continue;
 
         if (routeType === 'aqi' && avgAQI !== -1 && avgAQI < bestAQI) {
             bestAQI = avgAQI;
@@ -276,10 +335,10 @@ async function processRoutes(routes) {
             shortestDistance = distance;
             bestRouteIndex = i;
         } else if (routeType === 'balanced') {
-            // For balanced mode, we'll use a weighted score
-            const aqiScore = avgAQI !== -1 ? avgAQI : 5; // Use worst AQI if unknown
+            // For balanced mode, we'll use a weighted score on the 1-5 severity scale
+            const aqiScore = avgAQI !== -1 ? getSeverity(avgAQI, standard.id) : 5; // Use worst AQI if unknown
             const distanceScore = distance / 1000; // Convert to km
-            const totalScore = (aqiScore * 0.7) + (distanceScore * 0.3); // 70% AQI, 30% distance
+            const totalScore = (aqiScore * aqiWeight) + (distanceScore * (1 - aqiWeight)); // 70% AQI, 30% distance by default
 
             if (totalScore < (routes[bestRouteIndex]?.totalScore || Infinity)) {
                 bestRouteIndex = i;
@@ -297,7 +356,7 @@ async function processRoutes(routes) {
     for (let i = 0; i < routes.length; i++) {
         const route = routes[i];
         const avgAQI = route.avgAQI;
-        const routeColor = aqiColors[avgAQI !== -1 ? Math.round(avgAQI) : 'unavailable'];
+        const routeColor = getLevelColor(avgAQI, standard.id);
         
         // Skip non-best routes for AQI and Distance modes
         if (!showAllRoutes && i !== bestRouteIndex) {
@@ -320,9 +379,13 @@ async function processRoutes(routes) {
                 .setContent(`
                     <div class="route-popup">
                         <h3>${routeLabel}</h3>
-                        <p><strong>Average AQI:</strong> ${avgAQI === -1 ? 'N/A' : avgAQI.toFixed(1)}</p>
-                        <p><strong>Distance:</strong> ${(route.summary.totalDistance / 1000).toFixed(1)} km</p>
+                        <p><strong>Average AQI:</strong> ${avgAQI === -1 ? 'N/A' : avgAQI.toFixed(standard.precision)}</p>
+                        ${route.minConfidence < 0.45 ? '<p class="aqi-warning">Data confidence: low along part of this route</p>' : ''}
+                        <p><strong>Distance:</strong> ${(route.summary.totalDistance / 1000).toFixed(1)} km${route.detourRatio > 1.005 ? ` (+${Math.round((route.detourRatio - 1) * 100)}% over the shortest)` : ''}</p>
                         <p><strong>Duration:</strong> ${Math.round(route.summary.totalTime / 60)} minutes</p>
+                        ${route.dose?.pm2_5 !== undefined ? `<p><strong>Inhaled dose (${getTravelMode(route.travelMode).name}):</strong> PM2.5 ${formatDose(route.dose.pm2_5)}${route.dose.no2 !== undefined ? ` · NO₂ ${formatDose(route.dose.no2)}` : ''}</p>` : ''}
+                        ${route.exposureBand ? describeExposureBand(route) : ''}
+                        ${route.pollutantExposure ? describePollutantExposure(route) : ''}
                         ${routeType === 'balanced' ? `<p><strong>Route Score:</strong> ${route.totalScore?.toFixed(2) || 'N/A'}</p>` : ''}
                         ${routeType === 'aqi' ? '<p><em>Optimized for best air quality</em></p>' : ''}
                         ${routeType === 'distance' ? '<p><em>Optimized for shortest distance</em></p>' : ''}
@@ -337,17 +400,129 @@ async function processRoutes(routes) {
     // Update route info panel if we found a best route
     if (bestRouteIndex !== -1) {
         const bestRoute = routes[bestRouteIndex];
-        avgAqiSpan.textContent = bestRoute.avgAQI ? bestRoute.avgAQI.toFixed(1) : 'N/A';
+        avgAqiSpan.textContent = bestRoute.avgAQI >= 0 ? `${bestRoute.avgAQI.toFixed(standard.precision)} (${standard.name})` : 'N/A';
         routeDistanceSpan.textContent = `${(bestRoute.summary.totalDistance / 1000).toFixed(1)} km`;
         routeDurationSpan.textContent = `${Math.round(bestRoute.summary.totalTime / 60)} minutes`;
+        routeDoseSpan.textContent = bestRoute.dose?.pm2_5 !== undefined
+            ? `${formatDose(bestRoute.dose.pm2_5)} (${getTravelMode(bestRoute.travelMode).name})`
+            : 'N/A';
         routeInfo.classList.remove("hidden");
     }
 
     if (routes.length > 0) {
         map.fitBounds(L.latLngBounds(routes.flatMap(r => r.coordinates)).pad(0.2));
     }
+
+    // Let the sidebar panels work with the routes on display
+    window.dispatchEvent(new CustomEvent('routes-updated', {
+        detail: { routes: routesToShow, bestRouteIndex }
+    }));
+
+    return routes[bestRouteIndex] ?? routes[0] ?? null;
+}
+
+// Exposed so mapLogic can wrap it with graph-based routing; always called
+// through window so the wrapped version runs
+window.processRoutes = processRoutes;
+
+// Visiting order of the stops that minimizes exposure (or the weighted
+// exposure/distance score of the balanced and distance route types)
+async function optimizeStopOrder(startPoint, stopPoints, endPoint) {
+    const routeType = routeTypeSelect.value;
+    return TripPlanner.planStopOrder(startPoint, stopPoints, endPoint, {
+        objective: routeType === 'aqi' ? 'exposure' : 'weighted',
+        exposureWeight: routeType === 'distance' ? 0.1 : getProfile().aqiWeight,
+        modeId: getActiveModeId()
+    });
+}
+
+// Per-leg metrics of a multi-stop trip for the trip panel
+async function showTripLegs(route, labels, reordered) {
+    try {
+        const trip = await TripPlanner.summarizeTrip(route, labels, getActiveModeId());
+        window.dispatchEvent(new CustomEvent('trip-updated', { detail: { trip: { ...trip, reordered } } }));
+    } catch (error) {
+        console.warn('Could not compute trip legs:', error);
+    }
+}
+
+// Green for the least exposure needed to get somewhere, red for the most
+function exposureColor(exposure, maxExposure) {
+    const hue = maxExposure > 0 ? 120 * (1 - Math.min(exposure / maxExposure, 1)) : 120;
+    return `hsl(${Math.round(hue)}, 75%, 45%)`;
+}
+
+function clearIsochrones() {
+    isochroneLayers.forEach(layer => map.removeLayer(layer));
+    isochroneLayers = [];
+}
+
+function describeIsochrone(layer, by) {
+    const limit = by === 'exposure'
+        ? `Exposure up to ${layer.budget} within ${layer.minutes} min`
+        : `Within ${layer.minutes} min`;
+    return `<b>${limit}</b><br>` +
+        `Exposure to get there: ${layer.exposure.median.toFixed(1)} median, ${layer.exposure.max.toFixed(1)} max<br>` +
+        `<small>${layer.areaKm2.toFixed(1)} km² · AQI level × minutes</small>` +
+        (layer.fallbackShare > 0 ? `<br><small>${Math.round(layer.fallbackShare * 100)}% without AQI data</small>` : '');
+}
+
+// Areas reachable from the start location (or the map centre), layered from
+// the largest and coloured by the exposure needed to reach them
+async function showIsochrones({ by, minutes, budgets }) {
+    let isochrones = null;
+    try {
+        showLoader("Finding reachable areas...");
+        clearIsochrones();
+
+        const start = startInput.value.trim();
+        const origin = start ? await geocodeAddress(start) : map.getCenter();
+        isochrones = await IsochroneService.computeIsochrones(
+            { lat: origin.lat, lng: origin.lng },
+            { by, minutes, budgets, modeId: getActiveModeId() }
+        );
+
+        const maxExposure = Math.max(...isochrones.layers.map(layer => layer.exposure.median));
+        isochrones.layers.forEach(layer => {
+            layer.color = exposureColor(layer.exposure.median, maxExposure);
+        });
+
+        if (isochrones.horizon?.rings.length) {
+            isochroneLayers.push(L.polygon(isochrones.horizon.rings, {
+                color: "#555", weight: 1.5, dashArray: "6 4", fill: false, interactive: false
+            }).addTo(map));
+        }
+        [...isochrones.layers].reverse().filter(layer => layer.rings.length > 0).forEach(layer => {
+            isochroneLayers.push(L.polygon(layer.rings, {
+                color: layer.color, weight: 1.5, fillColor: layer.color, fillOpacity: 0.3
+            }).bindPopup(describeIsochrone(layer, isochrones.by)).addTo(map));
+        });
+        // Roads costed with the moderate fallback reading: their exposure is a guess
+        if (isochrones.fallback.rings.length) {
+            isochroneLayers.push(L.polygon(isochrones.fallback.rings, {
+                color: "#7f8c8d", weight: 1, dashArray: "2 4", fillColor: "#7f8c8d", fillOpacity: 0.35
+            }).bindPopup("<b>No AQI data here</b><br><small>Costed with a moderate default reading</small>").addTo(map));
+        }
+
+        if (isochroneLayers.length > 0) {
+            map.fitBounds(L.featureGroup(isochroneLayers).getBounds(), { padding: [20, 20] });
+        } else {
+            showStatus("Nothing reachable within these limits", true);
+        }
+        isochroneLayers.push(L.circleMarker(origin, {
+            radius: 6, color: "#2c3e50", fillColor: "#fff", fillOpacity: 1
+        }).bindPopup(start || "Map centre").addTo(map));
+    } catch (error) {
+        showStatus(error.message, true);
+    } finally {
+        window.dispatchEvent(new CustomEvent('isochrones-updated', { detail: { isochrones } }));
+        hideLoader();
+    }
 }
 
+window.addEventListener('isochrone-request', (e) => showIsochrones(e.detail));
+window.addEventListener('isochrone-clear', clearIsochrones);
+
 // Helper function to get route type label
 function getRouteTypeLabel(routeType) {
     switch(routeType) {
@@ -362,6 +537,7 @@ function getRouteTypeLabel(routeType) {
 findRouteBtn.addEventListener("click", async () => {
     const start = startInput.value.trim();
     const end = endInput.value.trim();
+    let stops = [...document.querySelectorAll('.stop-input')].map(input => input.value.trim()).filter(Boolean);
 
     if (!start || !end) {
         showStatus("Please enter both locations", true);
@@ -375,9 +551,23 @@ findRouteBtn.addEventListener("click", async () => {
 
         const startPoint = await geocodeAddress(start);
         const endPoint = await geocodeAddress(end);
+        let stopPoints = [];
+        for (const stop of stops) {
+            stopPoints.push(await geocodeAddress(stop));
+        }
+
+        // Optionally visit the stops in the order with the least exposure
+        let reordered = null;
+        if (stopPoints.length > 1 && document.getElementById('optimize-stops')?.checked) {
+            reordered = await optimizeStopOrder(startPoint, stopPoints, endPoint);
+            stops = reordered.order.map(index => stops[index]);
+            stopPoints = reordered.order.map(index => stopPoints[index]);
+            window.dispatchEvent(new CustomEvent('stops-reordered', { detail: { stops } }));
+        }
 
         await Promise.all([
             addMarker(startPoint, "Start"),
+            ...stopPoints.map((point, index) => addMarker(point, `Stop ${index + 1}`)),
             addMarker(endPoint, "End")
         ]);
 
@@ -385,8 +575,10 @@ findRouteBtn.addEventListener("click", async () => {
             map.removeControl(routingControl);
         }
 
+        const { osrmProfile } = getTravelMode(getActiveModeId());
+
         routingControl = L.Routing.control({
-            waypoints: [startPoint, endPoint],
+            waypoints: [startPoint, ...stopPoints, endPoint],
             routeWhileDragging: false,
             showAlternatives: true,
             addWaypoints: false,
@@ -395,12 +587,17 @@ findRouteBtn.addEventListener("click", async () => {
             lineOptions: { styles: [] },
             altLineOptions: { styles: [] },
             router: L.Routing.osrmv1({
-                serviceUrl: "https://router.project-osrm.org/route/v1"
+                serviceUrl: config.OSRM_PROFILES?.[osrmProfile] || "https://router.project-osrm.org/route/v1",
+                profile: osrmProfile
             })
         }).addTo(map);
 
-        routingControl.on('routesfound', function (e) {
-            processRoutes(e.routes).then(hideLoader);
+        routingControl.on('routesfound', async function (e) {
+            const shownRoute = await window.processRoutes(e.routes);
+            if (stopPoints.length > 0 && shownRoute) {
+                await showTripLegs(shownRoute, [start, ...stops, end], reordered);
+            }
+            hideLoader();
         });
 
         routingControl.on('routingerror', function (e) {
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from 'react';
+import DeparturePlanner from '../services/DeparturePlanner.js';
+import { formatIndex, getStandard } from '../services/AQIStandards.js';
+
+const HORIZONS = [24, 48, 72, 96];
+
+function formatTime(ms) {
+  return new Date(ms).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+// Local "YYYY-MM-DDTHH:mm" for the departure input
+function toInputValue(ms) {
+  const date = new Date(ms);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+export default function DeparturePanel() {
+  const [routes, setRoutes] = useState([]);
+  const [horizon, setHorizon] = useState(24);
+  const [windows, setWindows] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Routes drawn by the map logic
+  useEffect(() => {
+    const onRoutesUpdated = (e) => {
+      setRoutes(e.detail.routes || []);
+      setWindows(null);
+    };
+    window.addEventListener('routes-updated', onRoutesUpdated);
+    return () => window.removeEventListener('routes-updated', onRoutesUpdated);
+  }, []);
+
+  async function handlePlan() {
+    setLoading(true);
+    try {
+      setWindows(await DeparturePlanner.planDepartures(routes, { horizonHours: horizon }));
+    } catch (error) {
+      console.error('Departure planning failed:', error);
+      setWindows([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Route again for the chosen departure, costed with the forecast at that time
+  function applyDeparture(time) {
+    const input = document.getElementById('departure-time');
+    if (!input) return;
+    input.value = toInputValue(time);
+    document.getElementById('find-route')?.click();
+  }
+
+  if (routes.length === 0) return null;
+
+  return (
+    <div id="departure-panel">
+      <h3>Best Departure Time</h3>
+      <div className="departure-controls">
+        <select value={horizon} onChange={(e) => setHorizon(Number(e.target.value))}>
+          {HORIZONS.map(hours => (
+            <option key={hours} value={hours}>Next {hours} hours</option>
+          ))}
+        </select>
+        <button className="secondary-button" onClick={handlePlan} disabled={loading}>
+          <i className={loading ? 'fas fa-spinner fa-spin' : 'fas fa-clock'}></i>
+          {loading ? 'Checking forecast...' : 'Find'}
+        </button>
+      </div>
+
+      {windows && windows.length === 0 && (
+        <p className="departure-empty">No forecast available for this route.</p>
+      )}
+
+      {windows && windows.length > 0 && (
+        <ol className="departure-list">
+          {windows.map(slot => (
+            <li key={slot.departureTime} onClick={() => applyDeparture(slot.departureTime)} title="Route again leaving at this time">
+              <div className="departure-slot-time">
+                {formatTime(slot.departureTime)} – {formatTime(slot.windowEnd)}
+                {routes.length > 1 && <span className="departure-route"> · Route {slot.routeIndex + 1}</span>}
+              </div>
+              <div className="departure-metrics">
+                Exposure {slot.totalExposure.toFixed(1)}
+                {slot.savingPercent > 0.5 && ` (−${slot.savingPercent.toFixed(0)}%)`}
+                {' · '}Avg {formatIndex(slot.avgAQI, slot.standard)}
+                {' · '}Peak {formatIndex(slot.peakAQI, slot.standard)} {getStandard(slot.standard).name}
+              </div>
+              {slot.peakWarning && (
+                <div className="aqi-warning">
+                  <i className="fas fa-exclamation-triangle"></i> Unhealthy air expected along the way
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
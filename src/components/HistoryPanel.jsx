@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import AQIService from '../services/AQIService.js';
+import { HISTORY_POLLUTANTS, aggregateSeries } from '../services/AQIHistory.js';
+import { getActiveStandardId, getReadingIndex, getStandard } from '../services/AQIStandards.js';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const RANGES = [7, 30, 90]; // days
+const REFRESH_MS = 15 * 60 * 1000;
+
+const POLLUTANT_LABELS = {
+  pm2_5: 'PM2.5', pm10: 'PM10', o3: 'O₃', no2: 'NO₂', so2: 'SO₂', co: 'CO'
+};
+
+function formatDate(ms, withTime) {
+  return new Date(ms).toLocaleString([], withTime
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { month: 'short', day: 'numeric' });
+}
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function HistoryPanel() {
+  const [locations, setLocations] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+  const [metric, setMetric] = useState('aqi');
+  const [period, setPeriod] = useState('daily');
+  const [rangeDays, setRangeDays] = useState(30);
+  const [readings, setReadings] = useState([]);
+  const [standardId, setStandardId] = useState(getActiveStandardId());
+  const [version, setVersion] = useState(0); // Bumped when new readings may have been recorded
+
+  async function reloadLocations() {
+    const pinned = await AQIService.getPinnedLocations();
+    setLocations(pinned);
+    setSelectedId(current => (pinned.some(l => l.id === current) ? current : pinned[0]?.id || ''));
+  }
+
+  async function reloadSeries() {
+    if (!selectedId) {
+      setReadings([]);
+      return;
+    }
+    setReadings(await AQIService.getHistory(selectedId, { from: Date.now() - rangeDays * 24 * 60 * 60 * 1000 }));
+  }
+
+  // Record pinned locations while the app is open
+  useEffect(() => {
+    reloadLocations();
+    const refresh = () => AQIService.refreshPinnedLocations().then(() => setVersion(v => v + 1));
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+
+    const onStandardChange = () => setStandardId(getActiveStandardId());
+    window.addEventListener('aqi-standard-change', onStandardChange);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('aqi-standard-change', onStandardChange);
+    };
+  }, []);
+
+  useEffect(() => {
+    reloadSeries();
+  }, [selectedId, rangeDays, version]);
+
+  async function handlePin() {
+    const center = window.map?.getCenter();
+    if (!center) return;
+
+    const location = await AQIService.pinLocation(center.lat, center.lng, name.trim() || undefined);
+    setName('');
+    await reloadLocations();
+    setSelectedId(location.id);
+    setVersion(v => v + 1);
+  }
+
+  async function handleUnpin() {
+    if (!selectedId) return;
+    await AQIService.unpinLocation(selectedId);
+    await reloadLocations();
+  }
+
+  function handleExport(format) {
+    const content = AQIService.history.exportSeries(selectedId, format, { from: Date.now() - rangeDays * 24 * 60 * 60 * 1000 });
+    download(`aqi-history-${selectedId}.${format}`, content, format === 'json' ? 'application/json' : 'text/csv');
+  }
+
+  const standard = getStandard(standardId);
+  const valueOf = metric === 'aqi'
+    ? reading => getReadingIndex(reading, standardId)
+    : reading => reading.components?.[metric] ?? null;
+  const unit = metric === 'aqi' ? standard.name : 'µg/m³';
+
+  let chartData;
+  if (period === 'raw') {
+    const points = readings.filter(reading => valueOf(reading) !== null);
+    chartData = {
+      labels: points.map(reading => formatDate(reading.time, true)),
+      datasets: [{
+        label: unit,
+        data: points.map(valueOf),
+        borderColor: '#3498db',
+        backgroundColor: '#3498db',
+        pointRadius: 2,
+        tension: 0.2
+      }]
+    };
+  } else {
+    const buckets = aggregateSeries(readings, period, valueOf);
+    chartData = {
+      labels: buckets.map(bucket => (period === 'weekly' ? 'Week of ' : '') + formatDate(bucket.start, false)),
+      datasets: [
+        {
+          label: 'Max',
+          data: buckets.map(bucket => bucket.max),
+          borderColor: 'rgba(231, 76, 60, 0.4)',
+          pointRadius: 0,
+          fill: false
+        },
+        {
+          label: 'Min',
+          data: buckets.map(bucket => bucket.min),
+          borderColor: 'rgba(46, 204, 113, 0.4)',
+          backgroundColor: 'rgba(52, 152, 219, 0.15)',
+          pointRadius: 0,
+          fill: '-1' // Shade the min/max band
+        },
+        {
+          label: 'Mean',
+          data: buckets.map(bucket => bucket.mean),
+          borderColor: '#3498db',
+          backgroundColor: '#3498db',
+          pointRadius: 3,
+          tension: 0.2
+        }
+      ]
+    };
+  }
+
+  return (
+    <div id="history-panel">
+      <h3>AQI History</h3>
+      <div className="history-controls">
+        <input
+          type="text"
+          placeholder="Name (optional)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="secondary-button" onClick={handlePin} title="Record the AQI at the map centre">
+          <i className="fas fa-thumbtack"></i> Pin map centre
+        </button>
+      </div>
+
+      {locations.length > 0 && (
+        <>
+          <div className="history-controls">
+            <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+            <button className="secondary-button" onClick={handleUnpin} title="Unpin and delete history">
+              <i className="fas fa-trash"></i>
+            </button>
+          </div>
+          <div className="history-controls">
+            <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+              <option value="aqi">AQI</option>
+              {HISTORY_POLLUTANTS.map(pollutant => (
+                <option key={pollutant} value={pollutant}>{POLLUTANT_LABELS[pollutant]}</option>
+              ))}
+            </select>
+            <select value={period} onChange={(e) => setPeriod(e.target.value)}>
+              <option value="raw">All readings</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+            </select>
+            <select value={rangeDays} onChange={(e) => setRangeDays(Number(e.target.value))}>
+              {RANGES.map(days => (
+                <option key={days} value={days}>{days} days</option>
+              ))}
+            </select>
+          </div>
+
+          {readings.length === 0 ? (
+            <p className="history-empty">No readings recorded yet for this location.</p>
+          ) : (
+            <div className="history-chart">
+              <Line
+                data={chartData}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  interaction: { mode: 'index', intersect: false },
+                  plugins: { legend: { display: period !== 'raw', labels: { boxWidth: 12 } } },
+                  scales: { y: { beginAtZero: true, title: { display: true, text: unit } } }
+                }}
+              />
+            </div>
+          )}
+
+          <div className="history-controls">
+            <button className="secondary-button" onClick={() => handleExport('csv')} disabled={readings.length === 0}>
+              <i className="fas fa-file-csv"></i> CSV
+            </button>
+            <button className="secondary-button" onClick={() => handleExport('json')} disabled={readings.length === 0}>
+              <i className="fas fa-file-code"></i> JSON
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { DEFAULT_MINUTES } from '../services/IsochroneService.js';
+import { getTravelMode } from '../services/DoseModel.js';
+
+// "10, 20 30" -> [10, 20, 30]
+function parseList(text) {
+  return text.split(/[\s,]+/).map(Number).filter(value => value > 0);
+}
+
+function layerLabel(layer, by) {
+  return by === 'exposure' ? `Exposure ≤ ${layer.budget}` : `Within ${layer.minutes} min`;
+}
+
+export default function IsochronePanel() {
+  const [by, setBy] = useState('time');
+  const [minutes, setMinutes] = useState(DEFAULT_MINUTES.join(', '));
+  const [budgets, setBudgets] = useState('');
+  const [isochrones, setIsochrones] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Areas computed and drawn by the map logic
+  useEffect(() => {
+    const onUpdated = (e) => {
+      setIsochrones(e.detail.isochrones);
+      setLoading(false);
+    };
+    window.addEventListener('isochrones-updated', onUpdated);
+    return () => window.removeEventListener('isochrones-updated', onUpdated);
+  }, []);
+
+  function handleShow() {
+    setLoading(true);
+    window.dispatchEvent(new CustomEvent('isochrone-request', {
+      detail: { by, minutes: parseList(minutes), budgets: parseList(budgets) }
+    }));
+  }
+
+  function handleClear() {
+    window.dispatchEvent(new CustomEvent('isochrone-clear'));
+    setIsochrones(null);
+  }
+
+  return (
+    <div id="isochrone-panel">
+      <h3>Reachable Area</h3>
+      <p className="isochrone-hint">From the start location, or the map centre when it is empty.</p>
+      <div className="isochrone-controls">
+        <label>
+          Limit by
+          <select value={by} onChange={(e) => setBy(e.target.value)}>
+            <option value="time">Travel time</option>
+            <option value="exposure">Exposure budget</option>
+          </select>
+        </label>
+        <label>
+          {by === 'exposure' ? 'Within (min)' : 'Minutes'}
+          <input type="text" value={minutes} onChange={(e) => setMinutes(e.target.value)} placeholder="e.g. 10, 20, 30" />
+        </label>
+        {by === 'exposure' && (
+          <label>
+            Budgets
+            <input type="text" value={budgets} onChange={(e) => setBudgets(e.target.value)} placeholder="AQI level × min, e.g. 50, 100" />
+          </label>
+        )}
+      </div>
+      <div className="departure-controls">
+        <button className="secondary-button" onClick={handleShow} disabled={loading}>
+          <i className={loading ? 'fas fa-spinner fa-spin' : 'fas fa-draw-polygon'}></i>
+          {loading ? 'Searching...' : 'Show'}
+        </button>
+        {isochrones && (
+          <button className="link-button" onClick={handleClear}>Clear</button>
+        )}
+      </div>
+      {isochrones && (
+        <>
+          <table className="trip-table isochrone-table">
+            <thead>
+              <tr>
+                <th>Area</th>
+                <th>km²</th>
+                <th title="Least exposure needed to get there (AQI level × minutes), median and maximum">Exposure</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isochrones.layers.map(layer => (
+                <tr key={`${layer.minutes}_${layer.budget}`}>
+                  <td>
+                    <span className="isochrone-swatch" style={{ background: layer.color }}></span>
+                    {layerLabel(layer, isochrones.by)}
+                  </td>
+                  <td>{layer.areaKm2.toFixed(1)}</td>
+                  <td>{layer.exposure.median.toFixed(0)} (max {layer.exposure.max.toFixed(0)})</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="trip-note">
+            {getTravelMode(isochrones.travelMode).name}
+            {isochrones.horizon && ` · dashed: all of ${isochrones.horizon.areaKm2.toFixed(1)} km² within ${isochrones.horizon.minutes} min`}
+            {isochrones.source === 'grid' && ' · no road network here, estimated on straight lines'}
+            {isochrones.truncated && ' · search cut short, outer areas may be missing'}
+            {isochrones.fallback.share > 0 &&
+              ` · grey: ${Math.round(isochrones.fallback.share * 100)}% of the area had no AQI data and uses a moderate default`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
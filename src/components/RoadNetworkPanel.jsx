@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react';
+import GraphRoutingService from '../services/GraphRoutingService.js';
+
+export default function RoadNetworkPanel() {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Report a network bundled through config.ROAD_NETWORK.url
+  useEffect(() => {
+    GraphRoutingService.getNetwork().then(network => {
+      if (network) setStatus({ ways: network.ways.length, nodes: network.nodes.size });
+    });
+  }, []);
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      setStatus(await GraphRoutingService.loadNetwork(file));
+    } catch (err) {
+      console.error('Road network load failed:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      e.target.value = '';
+    }
+  }
+
+  function handleUnload() {
+    GraphRoutingService.unloadNetwork();
+    setStatus(null);
+  }
+
+  return (
+    <div className="preference-group">
+      <label htmlFor="road-network">Road Network (OSM PBF / XML / GeoJSON):</label>
+      <input
+        type="file"
+        id="road-network"
+        accept=".osm,.xml,.geojson,.json,.pbf"
+        onChange={handleFile}
+        disabled={loading}
+      />
+      <p className="network-status">
+        {loading && 'Loading road network...'}
+        {!loading && status && (
+          <>
+            {status.ways.toLocaleString()} roads loaded, routing on the full network.{' '}
+            <button className="link-button" onClick={handleUnload}>Use OSRM routes</button>
+          </>
+        )}
+        {!loading && !status && !error && 'Using OSRM alternatives.'}
+      </p>
+      {error && <p className="aqi-warning">{error}</p>}
+    </div>
+  );
+}
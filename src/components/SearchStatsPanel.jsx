@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import graphRoutingService, { SEARCH_ALGORITHMS } from '../services/GraphRoutingService.js';
+
+const OBJECTIVE_LABELS = { exposure: 'Exposure', distance: 'Distance' };
+
+function algorithmName(id) {
+  return SEARCH_ALGORITHMS.find(algorithm => algorithm.id === id)?.name || id;
+}
+
+function formatMs(value) {
+  return `${value.toFixed(1)} ms`;
+}
+
+function formatCount(value) {
+  return value === null || value === undefined ? '–' : `${Math.round(value)}`;
+}
+
+export default function SearchStatsPanel() {
+  const [stats, setStats] = useState(() => graphRoutingService.getSearchStats());
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Timings change with every routing
+  useEffect(() => {
+    const onRoutesUpdated = () => setStats(graphRoutingService.getSearchStats());
+    window.addEventListener('routes-updated', onRoutesUpdated);
+    return () => window.removeEventListener('routes-updated', onRoutesUpdated);
+  }, []);
+
+  async function handleCompare() {
+    setComparing(true);
+    setError(null);
+    try {
+      setComparison(await graphRoutingService.compareSearchAlgorithms());
+      setStats(graphRoutingService.getSearchStats());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setComparing(false);
+    }
+  }
+
+  const runs = Object.entries(stats);
+
+  return (
+    <details id="search-stats-panel">
+      <summary>Route Search Performance</summary>
+      {runs.length === 0 ? (
+        <p className="search-stats-empty">No shortest-path searches yet.</p>
+      ) : (
+        <table className="source-health-table">
+          <thead>
+            <tr>
+              <th>Algorithm</th>
+              <th>Runs</th>
+              <th title="Mean and slowest search time">Avg / max</th>
+              <th title="Nodes settled per search, out of the graph's nodes">Settled</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(([algorithm, entry]) => (
+              <tr key={algorithm}>
+                <td>{algorithmName(algorithm)}</td>
+                <td>{entry.runs}</td>
+                <td>{formatMs(entry.avgMs)} / {formatMs(entry.maxMs)}</td>
+                <td>{formatCount(entry.avgSettled)} / {formatCount(entry.avgNodes)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button className="link-button" onClick={handleCompare} disabled={comparing}
+        title="Run every algorithm on the last route's graph">
+        {comparing ? 'Comparing…' : 'Compare algorithms on the last route'}
+      </button>
+      {error && <p className="search-stats-empty">{error}</p>}
+      {comparison && (
+        <table className="source-health-table">
+          <thead>
+            <tr>
+              <th>Objective</th>
+              <th>Algorithm</th>
+              <th>Time</th>
+              <th>Settled</th>
+              <th>Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.map(row => (
+              <tr key={`${row.objective}-${row.algorithm}`}>
+                <td>{OBJECTIVE_LABELS[row.objective]}</td>
+                <td>{algorithmName(row.algorithm)}</td>
+                <td>{formatMs(row.ms)}</td>
+                <td>{formatCount(row.settled)}</td>
+                <td>{Number.isFinite(row.cost) ? row.cost.toFixed(2) : 'no route'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
@@ -1,4 +1,17 @@
 import React, { useEffect } from 'react';
+import { AQI_STANDARDS, getActiveStandardId, setActiveStandard } from '../services/AQIStandards.js';
+import { HEALTH_PROFILES, getActiveProfileId, setActiveProfile } from '../services/HealthProfiles.js';
+import { TRAVEL_MODES, getActiveModeId, setActiveMode } from '../services/DoseModel.js';
+import { ROUTE_OBJECTIVES, SEARCH_ALGORITHMS } from '../services/GraphRoutingService.js';
+import { RISK_MEASURES } from '../services/RiskMeasures.js';
+import DeparturePanel from './DeparturePanel.jsx';
+import HistoryPanel from './HistoryPanel.jsx';
+import IsochronePanel from './IsochronePanel.jsx';
+import RoadNetworkPanel from './RoadNetworkPanel.jsx';
+import SearchStatsPanel from './SearchStatsPanel.jsx';
+import SourceHealthPanel from './SourceHealthPanel.jsx';
+import StopList from './StopList.jsx';
+import TripPanel from './TripPanel.jsx';
 
 export default function Sidebar() {
   useEffect(() => {
@@ -56,6 +69,7 @@ export default function Sidebar() {
             </label>
             <input type="text" id="start" placeholder="e.g. Pune Airport" />
           </div>
+          <StopList />
           <div className="input-group">
             <label htmlFor="end">
               <i className="fas fa-flag-checkered"></i>
@@ -74,6 +88,18 @@ export default function Sidebar() {
               <span className="label">Avoid High AQI Areas</span>
             </label>
           </div>
+          <div className="preference-group">
+            <label htmlFor="travel-mode">Travel Mode:</label>
+            <select
+              id="travel-mode"
+              defaultValue={getActiveModeId()}
+              onChange={(e) => setActiveMode(e.target.value)}
+            >
+              {Object.values(TRAVEL_MODES).map(mode => (
+                <option key={mode.id} value={mode.id}>{mode.name}</option>
+              ))}
+            </select>
+          </div>
           <div className="preference-group">
             <label>Route Type:</label>
             <select id="route-type">
@@ -82,6 +108,80 @@ export default function Sidebar() {
               <option value="distance">Shortest Distance</option>
             </select>
           </div>
+          <div className="preference-group">
+            <label htmlFor="route-objective">Minimize Exposure To:</label>
+            <select id="route-objective" defaultValue="aqi">
+              {ROUTE_OBJECTIVES.map(objective => (
+                <option key={objective.id} value={objective.id}>{objective.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="preference-group">
+            <label htmlFor="risk-measure">Uncertain Readings:</label>
+            <select id="risk-measure" defaultValue="expected">
+              {RISK_MEASURES.map(measure => (
+                <option key={measure.id} value={measure.id}>{measure.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="preference-group">
+            <label htmlFor="search-algorithm">Shortest-Path Search:</label>
+            <select id="search-algorithm" defaultValue="astar">
+              {SEARCH_ALGORITHMS.map(algorithm => (
+                <option key={algorithm.id} value={algorithm.id}>{algorithm.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="preference-group">
+            <label>Route Limits (optional):</label>
+            <div className="route-limits">
+              <label>
+                Max detour (%)
+                <input type="number" id="max-detour" min="0" step="5" placeholder="e.g. 15" />
+              </label>
+              <label>
+                Exposure budget
+                <input type="number" id="max-exposure" min="0" step="1" placeholder="AQI level × min" />
+              </label>
+              <label>
+                Max AQI on any road
+                <input type="number" id="max-road-aqi" min="0" step="1" placeholder="e.g. 150" />
+              </label>
+              <label>
+                Max travel time (min)
+                <input type="number" id="max-travel-time" min="0" step="1" placeholder="e.g. 30" />
+              </label>
+            </div>
+          </div>
+          <div className="preference-group">
+            <label htmlFor="aqi-standard">AQI Standard:</label>
+            <select
+              id="aqi-standard"
+              defaultValue={getActiveStandardId()}
+              onChange={(e) => setActiveStandard(e.target.value)}
+            >
+              {Object.values(AQI_STANDARDS).map(standard => (
+                <option key={standard.id} value={standard.id}>{standard.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="preference-group">
+            <label htmlFor="health-profile">Health Profile:</label>
+            <select
+              id="health-profile"
+              defaultValue={getActiveProfileId()}
+              onChange={(e) => setActiveProfile(e.target.value)}
+            >
+              {Object.values(HEALTH_PROFILES).map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="preference-group">
+            <label htmlFor="departure-time">Departure (leave empty for now):</label>
+            <input type="datetime-local" id="departure-time" />
+          </div>
+          <RoadNetworkPanel />
         </div>
 
         <button id="find-route" className="primary-button">
@@ -110,9 +210,27 @@ export default function Sidebar() {
                 Duration: <span id="route-duration">-</span>
               </span>
             </div>
+            <div className="info-item">
+              <i className="fas fa-lungs"></i>
+              <span>
+                Inhaled PM2.5: <span id="route-dose">-</span>
+              </span>
+            </div>
           </div>
         </div>
 
+        <TripPanel />
+
+        <DeparturePanel />
+
+        <IsochronePanel />
+
+        <HistoryPanel />
+
+        <SourceHealthPanel />
+
+        <SearchStatsPanel />
+
         <div id="status"></div>
       </div>
 
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import AQIService from '../services/AQIService.js';
+
+const REFRESH_MS = 5000;
+
+const CIRCUIT_LABELS = {
+  closed: 'Healthy',
+  open: 'Disabled',
+  'half-open': 'Probing'
+};
+
+function formatMs(value) {
+  return value === null ? '–' : `${Math.round(value)}`;
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function formatError(value) {
+  return value === null ? '–' : value.toFixed(1);
+}
+
+export default function SourceHealthPanel() {
+  const [stats, setStats] = useState(() => AQIService.getSourcesStats());
+  const [nowcast, setNowcast] = useState(() => AQIService.getNowcastStats());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setStats(AQIService.getSourcesStats());
+      setNowcast(AQIService.getNowcastStats());
+    }, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  function handleReset(sourceId) {
+    AQIService.resetSource(sourceId);
+    setStats(AQIService.getSourcesStats());
+  }
+
+  return (
+    <details id="source-health-panel">
+      <summary>Data Source Health</summary>
+      <table className="source-health-table">
+        <thead>
+          <tr>
+            <th>Source</th>
+            <th>Success</th>
+            <th title="Latency percentiles in milliseconds">p50 / p90 / p99 ms</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(stats).map(([sourceId, source]) => (
+            <React.Fragment key={sourceId}>
+              <tr>
+                <td>{source.name}</td>
+                <td>
+                  {source.successRate}
+                  <span className="source-health-count"> ({source.successes}/{source.requests})</span>
+                </td>
+                <td>
+                  {formatMs(source.latency.p50)} / {formatMs(source.latency.p90)} / {formatMs(source.latency.p99)}
+                </td>
+                <td>
+                  <span className={`circuit-state circuit-${source.circuit.state}`}>
+                    {CIRCUIT_LABELS[source.circuit.state]}
+                  </span>
+                  {source.circuit.state !== 'closed' && (
+                    <button className="link-button" onClick={() => handleReset(sourceId)} title="Query this source again now">
+                      Retry
+                    </button>
+                  )}
+                </td>
+              </tr>
+              {(source.lastError || source.circuit.nextProbeAt || source.throttled > 0) && (
+                <tr className="source-health-detail">
+                  <td colSpan={4}>
+                    {source.lastError && `Last error (${formatClock(source.lastErrorAt)}): ${source.lastError}`}
+                    {source.circuit.nextProbeAt && ` · Next probe ${formatClock(source.circuit.nextProbeAt)}`}
+                    {source.skipped > 0 && ` · ${source.skipped} requests skipped`}
+                    {source.throttled > 0 && ` · ${source.throttled} held back by rate limits`}
+                    {source.noData > 0 && ` · ${source.noData} answers without data`}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      <p className="nowcast-error" title="Mean absolute error of nowcasts against later readings, US AQI points">
+        Nowcast error:{' '}
+        {nowcast.overall.count === 0
+          ? `no scored nowcasts yet (${nowcast.pending} pending)`
+          : nowcast.byLead
+            .map(lead => `${lead.leadHours} h ${formatError(lead.mae)}${lead.count ? ` (${lead.count})` : ''}`)
+            .join(' · ')}
+      </p>
+    </details>
+  );
+}
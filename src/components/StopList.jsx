@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+
+const MAX_STOPS = 12;
+
+export default function StopList() {
+  const [stops, setStops] = useState([]);
+
+  // The map logic reorders the stops when it optimizes the visiting order
+  useEffect(() => {
+    const onReordered = (e) => setStops(e.detail.stops);
+    window.addEventListener('stops-reordered', onReordered);
+    return () => window.removeEventListener('stops-reordered', onReordered);
+  }, []);
+
+  function updateStop(index, value) {
+    setStops(stops.map((stop, i) => (i === index ? value : stop)));
+  }
+
+  function moveStop(index, offset) {
+    const next = [...stops];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setStops(next);
+  }
+
+  return (
+    <div className="stop-list">
+      {stops.map((stop, index) => (
+        <div className="input-group stop-item" key={index}>
+          <label htmlFor={`stop-${index}`}>
+            <i className="fas fa-map-pin"></i>
+            Stop {index + 1}
+          </label>
+          <div className="stop-row">
+            <input
+              type="text"
+              id={`stop-${index}`}
+              className="stop-input"
+              value={stop}
+              onChange={(e) => updateStop(index, e.target.value)}
+              placeholder="e.g. FC Road"
+            />
+            <button className="icon-button" title="Move up" onClick={() => moveStop(index, -1)} disabled={index === 0}>
+              <i className="fas fa-arrow-up"></i>
+            </button>
+            <button className="icon-button" title="Remove stop" onClick={() => setStops(stops.filter((_, i) => i !== index))}>
+              <i className="fas fa-times"></i>
+            </button>
+          </div>
+        </div>
+      ))}
+      <div className="stop-actions">
+        <button className="link-button" onClick={() => setStops([...stops, ''])} disabled={stops.length >= MAX_STOPS}>
+          <i className="fas fa-plus"></i> Add stop
+        </button>
+        {stops.length > 1 && (
+          <label className="stop-optimize">
+            <input type="checkbox" id="optimize-stops" defaultChecked />
+            Reorder stops for least exposure
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { formatIndex, getStandard } from '../services/AQIStandards.js';
+import { formatDose, getTravelMode } from '../services/DoseModel.js';
+
+function formatKm(meters) {
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+function formatMinutes(seconds) {
+  return `${Math.round(seconds / 60)} min`;
+}
+
+// Short place name for the table: the first part of the geocoded address
+function shortName(label) {
+  return label.split(',')[0];
+}
+
+function LegRow({ name, leg, standard }) {
+  return (
+    <tr>
+      <td title={name}>{name}</td>
+      <td>{formatKm(leg.distance)}</td>
+      <td>{formatMinutes(leg.duration)}</td>
+      <td>{leg.avgAQI >= 0 ? formatIndex(leg.avgAQI, standard) : '–'}</td>
+      <td>{leg.exposure.toFixed(1)}</td>
+      <td>{formatDose(leg.dose.pm2_5)}</td>
+    </tr>
+  );
+}
+
+export default function TripPanel() {
+  const [trip, setTrip] = useState(null);
+
+  // Per-leg metrics of a multi-stop trip computed by the map logic
+  useEffect(() => {
+    const onTripUpdated = (e) => setTrip(e.detail.trip);
+    window.addEventListener('trip-updated', onTripUpdated);
+    return () => window.removeEventListener('trip-updated', onTripUpdated);
+  }, []);
+
+  if (!trip) return null;
+
+  return (
+    <div id="trip-panel">
+      <h3>Trip Legs</h3>
+      <table className="trip-table">
+        <thead>
+          <tr>
+            <th>Leg</th>
+            <th>Distance</th>
+            <th>Time</th>
+            <th title={`Average AQI (${getStandard(trip.standard).name})`}>AQI</th>
+            <th title="Exposure (AQI level × minutes)">Exposure</th>
+            <th>PM2.5</th>
+          </tr>
+        </thead>
+        <tbody>
+          {trip.legs.map((leg, index) => (
+            <LegRow
+              key={index}
+              name={`${index + 1}. ${shortName(leg.from)} → ${shortName(leg.to)}`}
+              leg={leg}
+              standard={trip.standard}
+            />
+          ))}
+        </tbody>
+        <tfoot>
+          <LegRow name={`Total (${trip.total.stops} stops)`} leg={trip.total} standard={trip.standard} />
+        </tfoot>
+      </table>
+      <p className="trip-note">
+        {getTravelMode(trip.travelMode).name}
+        {trip.reordered && ` · stops reordered, ${trip.reordered.exact ? 'optimal' : 'approximate'} order`}
+      </p>
+    </div>
+  );
+}
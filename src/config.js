@@ -3,9 +3,107 @@
 
 // For development, you can set these values directly
 // For production, these should be injected by a build process or loaded from a secure endpoint
+const OPENWEATHER_KEY = "cc89ee52f5cdf7cd8a3915cba042774f";
+const IQAIR_KEY = "70c7d0a9-5a32-404b-9c78-c9bb12ea75bc";
+const WAQI_TOKEN = "cb0b1f9af2c3e8a97a36dbd1e6e97c48db52abe7";
+
 const config = {
-  OPENWEATHER_KEY: "cc89ee52f5cdf7cd8a3915cba042774f",
-  OPENCAGE_KEY: "c8757ad0a33247e98b6faf04d8ed744f"
+  OPENWEATHER_KEY,
+  OPENCAGE_KEY: "c8757ad0a33247e98b6faf04d8ed744f",
+
+  // AQI data providers, queried in this order. Remove entries to disable a source,
+  // or use [{ id: "fixture" }] alone for offline local development.
+  AQI_PROVIDERS: [
+    { id: "openweather", apiKey: OPENWEATHER_KEY },
+    { id: "iqair", apiKey: IQAIR_KEY },
+    { id: "waqi", token: WAQI_TOKEN }
+  ],
+
+  // How readings from several providers are combined: "weighted-median" or
+  // "trimmed-mean" (dropping `trim` of the weight at each end)
+  AQI_AGGREGATION: { method: "weighted-median", trim: 0.2 },
+
+  // Request limits per AQI provider (free-tier quotas). Requests beyond the
+  // per-minute quota wait in a queue; those waiting longer than maxWaitMs are
+  // dropped so the other sources can still answer (without counting as a
+  // failure of the source).
+  AQI_RATE_LIMITS: {
+    default: { concurrency: 4, perMinute: 60, retries: 3, maxWaitMs: 15000 },
+    openweather: { concurrency: 4, perMinute: 60 },
+    iqair: { concurrency: 1, perMinute: 5, perDay: 500 },
+    waqi: { concurrency: 4, perMinute: 60 }
+  },
+
+  // Providers failing this many times in a row are skipped for cooldownSeconds,
+  // then probed again; each failed probe doubles the cooldown up to maxCooldownSeconds
+  AQI_CIRCUIT_BREAKER: {
+    failureThreshold: 5,
+    cooldownSeconds: 60,
+    maxCooldownSeconds: 900
+  },
+
+  // Persistent AQI cache (IndexedDB): lifetime per source in minutes
+  // ("aggregated" is the merged tile reading) and size limits for eviction
+  AQI_CACHE: {
+    ttlMinutes: { default: 30, aggregated: 30, openweather: 30, iqair: 60, waqi: 60, forecast: 60, fixture: 24 * 60 },
+    maxEntries: 2000,
+    maxBytes: 5 * 1024 * 1024
+  },
+
+  // Recorded history of pinned locations (IndexedDB): how long readings are
+  // kept and the minimum spacing between two readings of one location
+  AQI_HISTORY: {
+    retentionDays: 90,
+    minIntervalMinutes: 15
+  },
+
+  // Short-term nowcasting: how far ahead recent readings are extrapolated,
+  // how many hours of readings the fit uses, and how far beyond the observed
+  // range (in multiples of it) a nowcast may go
+  AQI_NOWCAST: {
+    horizonHours: 3,
+    windowHours: 6,
+    minSamples: 3,
+    maxRangeMultiple: 1
+  },
+
+  // Local road network for offline routing: URL of an OSM PBF, XML or GeoJSON
+  // extract (e.g. "/data/pune.geojson" placed in public/data), or null to
+  // route on the OSRM alternatives. Routing searches the part of the network
+  // within marginKm of the start/end bounding box.
+  ROAD_NETWORK: {
+    url: null,
+    marginKm: 2
+  },
+
+  // Joining OSRM alternatives into one graph: vertices closer than this are
+  // merged, and routes crossing or passing within it get a shared junction
+  ROUTE_STITCHING: {
+    toleranceMeters: 10
+  },
+
+  // Reachable-area maps: the search reaches at most maxRadiusKm from the
+  // start; without a road network it runs on a grid of gridSteps nodes from
+  // the centre to each side. The areas are drawn with cellsAcross cells over
+  // the search area, and epsilon / maxLabels bound the time-exposure search.
+  // AQI is fetched for at most maxTiles tiles spread over the area (each one
+  // queries every provider); the other roads are interpolated between them.
+  ISOCHRONES: {
+    maxRadiusKm: 10,
+    maxTiles: 24,
+    gridSteps: 20,
+    cellsAcross: 60,
+    epsilon: 0.05,
+    maxLabels: 150000
+  },
+
+  // OSRM servers per routing profile of the travel modes (the public demo
+  // server only has car data; the FOSSGIS servers route on foot and by bike)
+  OSRM_PROFILES: {
+    driving: "https://router.project-osrm.org/route/v1",
+    foot: "https://routing.openstreetmap.de/routed-foot/route/v1",
+    bike: "https://routing.openstreetmap.de/routed-bike/route/v1"
+  }
 };
 
 // Also make them available on window for backward compatibility
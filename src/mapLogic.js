@@ -1,7 +1,10 @@
 // Enhanced mapLogic.js with graph-based routing integration
 /* eslint-disable */
 import "leaflet-routing-machine";
-import graphRoutingService from './services/GraphRoutingService.js';
+import graphRoutingService, { SEARCH_ALGORITHMS } from './services/GraphRoutingService.js';
+import { getStandard } from './services/AQIStandards.js';
+import { getProfile, getProfileThresholds } from './services/HealthProfiles.js';
+import { getActiveModeId } from './services/DoseModel.js';
 
 // Import the original script and enhance it
 let originalMap;
@@ -65,7 +68,7 @@ async function findOptimalRoutes(startCoord, endCoord, originalRoutes, preferenc
     console.log('Starting graph-based route optimization...');
     
     // Step 1: Build graph from original routes
-    const graphStats = graphRoutingService.buildRoadGraph(originalRoutes);
+    const graphStats = graphRoutingService.buildRoadGraph(originalRoutes, preferences.travelMode);
     console.log('Graph construction complete:', graphStats);
     
     // Step 2: Find start and end nodes in the graph
@@ -86,6 +89,11 @@ async function findOptimalRoutes(startCoord, endCoord, originalRoutes, preferenc
     );
     
     if (!optimalRoutes || optimalRoutes.length === 0) {
+      // Report limits no route can meet instead of silently ignoring them
+      const constraintReport = graphRoutingService.lastConstraintReport;
+      if (constraintReport && !constraintReport.feasible) {
+        return { routes: [], constraintReport };
+      }
       console.warn('No optimal routes found, using original routes');
       return originalRoutes;
     }
@@ -94,15 +102,19 @@ async function findOptimalRoutes(startCoord, endCoord, originalRoutes, preferenc
     const enhancedRoutes = optimalRoutes.map((route, index) => ({
       ...route,
       routeIndex: index,
-      routeType: getRouteTypeName(route.weightCombination),
+      routeType: route.routeType || getRouteTypeName(route.weightCombination),
       paretoRank: route.paretoRank || (index + 1)
     }));
     
     console.log(`Graph routing found ${enhancedRoutes.length} optimal routes`);
     
+    // The service rebuilds the graph (possibly from a loaded road network)
     return {
       routes: enhancedRoutes,
-      graphStats
+      graphStats: optimalRoutes[0].graphStats || graphStats,
+      searchStats: optimalRoutes[0].searchStats,
+      shortestPathStats: getShortestPathStats(preferences.searchAlgorithm),
+      constraintReport: graphRoutingService.lastConstraintReport
     };
     
   } catch (error) {
@@ -113,6 +125,15 @@ async function findOptimalRoutes(startCoord, endCoord, originalRoutes, preferenc
 
 
 
+/**
+ * Recent timings of the chosen single-objective search, or null when it has not run
+ */
+function getShortestPathStats(algorithm = 'astar') {
+  const stats = graphRoutingService.getSearchStats()[algorithm];
+  if (!stats) return null;
+  return { ...stats, name: SEARCH_ALGORITHMS.find(option => option.id === algorithm)?.name || algorithm };
+}
+
 /**
  * Find the nearest node in the graph to given coordinates
  */
@@ -175,7 +196,9 @@ function setupRouteProcessing() {
     
     window.processRoutes = async function(routes) {
       try {
-        if (graphRoutingEnabled && routes.length > 0) {
+        // Multi-stop trips keep the OSRM route through every stop
+        const viaStops = routes[0]?.waypointIndices?.length > 2;
+        if (graphRoutingEnabled && routes.length > 0 && !viaStops) {
           console.log('Using enhanced graph-based routing...');
           
           // Get start and end coordinates from the first route
@@ -186,12 +209,37 @@ function setupRouteProcessing() {
           // Get user preferences
           const routeTypeSelect = document.getElementById('route-type');
           const avoidHighAqiToggle = document.getElementById('avoid-high-aqi');
+          const departureInput = document.getElementById('departure-time');
+          const objectiveSelect = document.getElementById('route-objective');
+          const riskSelect = document.getElementById('risk-measure');
+          const algorithmSelect = document.getElementById('search-algorithm');
+          const limitValue = (id) => parseFloat(document.getElementById(id)?.value);
+          const maxDetourPercent = limitValue('max-detour');
+          const standard = getStandard();
+          const profile = getProfile();
           
+          // Sensitive health profiles weigh exposure more and avoid lower AQI levels
           const preferences = {
             maxAlternatives: 5,
-            aqiWeight: routeTypeSelect?.value === 'aqi' ? 0.9 : 0.7,
-            distanceWeight: routeTypeSelect?.value === 'distance' ? 0.9 : 0.3,
-            maxAQIThreshold: avoidHighAqiToggle?.checked ? 4 : 5
+            aqiWeight: routeTypeSelect?.value === 'aqi' ? Math.max(0.9, profile.aqiWeight) : profile.aqiWeight,
+            distanceWeight: routeTypeSelect?.value === 'distance' ? 0.9 : 1 - profile.aqiWeight,
+            maxAQIThreshold: avoidHighAqiToggle?.checked ? getProfileThresholds(standard.id, profile.id).avoidAbove : Infinity,
+            standard: standard.id,
+            healthProfile: profile.id,
+            travelMode: getActiveModeId(),
+            objective: objectiveSelect?.value || 'aqi',
+            riskMeasure: riskSelect?.value || 'expected',
+            searchAlgorithm: algorithmSelect?.value || 'astar',
+            // Hard limits (empty inputs are ignored); within them, the route
+            // type picks what to minimize
+            constraints: {
+              maxDetourRatio: maxDetourPercent >= 0 ? 1 + maxDetourPercent / 100 : null,
+              maxExposure: limitValue('max-exposure'),
+              maxEdgeAQI: limitValue('max-road-aqi'),
+              maxTravelTime: limitValue('max-travel-time') * 60
+            },
+            constraintObjective: routeTypeSelect?.value === 'distance' ? 'distance' : 'exposure',
+            departureTime: departureInput?.value ? new Date(departureInput.value).getTime() : Date.now()
           };
           
           // Use graph routing service to find optimal routes
@@ -202,7 +250,21 @@ function setupRouteProcessing() {
             preferences
           );
           
-          if (enhancedRoutes && enhancedRoutes.routes.length > 0) {
+          if (enhancedRoutes?.constraintReport?.feasible === false) {
+            const statusDiv = document.getElementById('status');
+            if (statusDiv) {
+              statusDiv.innerHTML = `
+                <strong>No route within your limits:</strong>
+                ${enhancedRoutes.constraintReport.message}
+                Showing the standard routes instead.
+              `;
+              statusDiv.className = 'error';
+              statusDiv.style.display = 'block';
+            }
+            return originalProcessRoutes.call(this, routes);
+          }
+          
+          if (enhancedRoutes?.routes?.length > 0) {
             console.log(`Graph routing found ${enhancedRoutes.routes.length} optimal routes`);
             
             // Add enhanced routing status
@@ -212,7 +274,10 @@ function setupRouteProcessing() {
                 <strong>Enhanced Routing:</strong> 
                 Using advanced multi-objective optimization. 
                 Found ${enhancedRoutes.routes.length} optimized routes.
-                Graph stats: ${enhancedRoutes.graphStats?.nodes || 0} nodes, ${enhancedRoutes.graphStats?.edges || 0} edges.
+                Graph stats: ${enhancedRoutes.graphStats?.nodes || 0} nodes, ${enhancedRoutes.graphStats?.edges || 0} edges${enhancedRoutes.graphStats?.junctions ? `, ${enhancedRoutes.graphStats.junctions} junctions between routes` : ''}${enhancedRoutes.graphStats?.source === 'network' ? ' from the loaded road network' : ''}.
+                ${enhancedRoutes.constraintReport ? `Route limits: ${enhancedRoutes.constraintReport.message}.` : ''}
+                ${enhancedRoutes.searchStats ? `Pareto search: ${enhancedRoutes.searchStats.labels} labels${enhancedRoutes.searchStats.truncated ? ' (label cap reached)' : ''}.` : ''}
+                ${enhancedRoutes.shortestPathStats ? `Shortest-path search (${enhancedRoutes.shortestPathStats.name}): ${enhancedRoutes.shortestPathStats.runs} recent runs, ${enhancedRoutes.shortestPathStats.avgMs.toFixed(1)} ms on average.` : ''}
 
               `;
               statusDiv.className = 'info';
@@ -0,0 +1,209 @@
+/**
+ * Robust consensus of AQI readings from several sources
+ * Sources are combined with a weighted median (or a weighted trimmed mean),
+ * outliers are detected with the median absolute deviation, and each result
+ * gets a numeric confidence score built from source agreement, reading age and
+ * station distance. Values are US AQI points, except for the pollutant
+ * concentrations combined by aggregateComponents.
+ */
+
+// One US AQI band: sources further apart than this describe different levels
+const BAND_WIDTH = 50;
+// Robust z-score above which a source is an outlier
+const OUTLIER_Z = 3.5;
+// MAD -> standard deviation for normally distributed data
+const MAD_SCALE = 1.4826;
+
+// Agreement score given to a single source, which nothing can corroborate
+const SINGLE_SOURCE_AGREEMENT = 0.6;
+// Readings younger than this are fully fresh; freshness then decays to its floor
+const FRESH_MS = 60 * 60 * 1000;
+const STALE_MS = 6 * 60 * 60 * 1000;
+// Station distance at which proximity has decayed by 1/e
+const PROXIMITY_RANGE_KM = 15;
+const MIN_FACTOR = 0.2;
+
+/**
+ * Weighted median: the value where half of the total weight lies on each side
+ */
+export function weightedMedian(values, weights) {
+    const order = values.map((value, i) => ({ value, weight: weights[i] }))
+        .sort((a, b) => a.value - b.value);
+    const half = order.reduce((sum, item) => sum + item.weight, 0) / 2;
+
+    let cumulative = 0;
+    for (let i = 0; i < order.length; i++) {
+        cumulative += order[i].weight;
+        if (cumulative > half) return order[i].value;
+        // Exactly on the boundary: average with the next value
+        if (cumulative === half && i + 1 < order.length) {
+            return (order[i].value + order[i + 1].value) / 2;
+        }
+    }
+    return order[order.length - 1]?.value ?? null;
+}
+
+/**
+ * Weighted mean after dropping the lowest and highest `trim` fraction of weight
+ */
+export function weightedTrimmedMean(values, weights, trim = 0.2) {
+    const order = values.map((value, i) => ({ value, weight: weights[i] }))
+        .sort((a, b) => a.value - b.value);
+    const total = order.reduce((sum, item) => sum + item.weight, 0);
+    const low = total * trim;
+    const high = total * (1 - trim);
+
+    let cumulative = 0;
+    let sum = 0;
+    let kept = 0;
+    order.forEach(item => {
+        // Portion of this item's weight that falls inside [low, high]
+        const start = cumulative;
+        const end = cumulative + item.weight;
+        const inside = Math.max(0, Math.min(end, high) - Math.max(start, low));
+        sum += item.value * inside;
+        kept += inside;
+        cumulative = end;
+    });
+
+    return kept > 0 ? sum / kept : weightedMedian(values, weights);
+}
+
+/**
+ * Indices of outlying values by robust z-score around the median
+ * Needs at least three values: with two there is no majority to side with.
+ */
+export function findOutliers(values) {
+    if (values.length < 3) return [];
+
+    const median = weightedMedian(values, values.map(() => 1));
+    const mad = weightedMedian(values.map(v => Math.abs(v - median)), values.map(() => 1));
+    // With identical sources the MAD is 0; never treat less than a band as outlying
+    const scale = Math.max(MAD_SCALE * mad, BAND_WIDTH / OUTLIER_Z);
+
+    return values
+        .map((value, i) => (Math.abs(value - median) / scale > OUTLIER_Z ? i : -1))
+        .filter(i => i >= 0);
+}
+
+/**
+ * Freshness factor of a reading from its measurement time
+ */
+export function freshnessScore(reading, now = Date.now()) {
+    const measuredAt = reading.measuredAt || reading.timestamp || now;
+    const age = Math.max(0, now - measuredAt);
+    if (age <= FRESH_MS) return 1;
+
+    return Math.max(MIN_FACTOR, 1 - (age - FRESH_MS) / (STALE_MS - FRESH_MS) * (1 - MIN_FACTOR));
+}
+
+/**
+ * Proximity factor of a reading from the distance between station and query point
+ */
+export function proximityScore(reading) {
+    const distanceKm = reading.stationDistanceKm;
+    if (distanceKm === null || distanceKm === undefined) return 1;
+
+    return Math.max(MIN_FACTOR, Math.exp(-distanceKm / PROXIMITY_RANGE_KM));
+}
+
+/**
+ * Confidence score (0-1) of a single reading before any cross-checking
+ */
+export function scoreReading(reading) {
+    return SINGLE_SOURCE_AGREEMENT * freshnessScore(reading) * proximityScore(reading);
+}
+
+/**
+ * Label matching a numeric confidence score, for consumers of the old field
+ */
+export function confidenceLabel(score) {
+    if (score >= 0.75) return 'high';
+    if (score >= 0.45) return 'medium';
+    return 'low';
+}
+
+// Weighted median or weighted trimmed mean, as selected by the options
+function robustAverage(values, weights, { method = 'weighted-median', trim = 0.2 } = {}) {
+    return method === 'trimmed-mean'
+        ? weightedTrimmedMean(values, weights, trim)
+        : weightedMedian(values, weights);
+}
+
+/**
+ * Combine readings into a consensus value
+ * @param {Array<Object>} readings - Readings with `aqi`, `source`, `measuredAt`, `stationDistanceKm`
+ * @param {Array<number>} weights - Weight per reading (provider weight × confidence)
+ * @param {Object} options - { method: 'weighted-median' | 'trimmed-mean', trim }
+ * @returns {Object} - { aqi, inliers, inlierWeights, outliers, spread, disagreement,
+ *                     agreement, confidenceScore, method }
+ */
+export function aggregateReadings(readings, weights, options = {}) {
+    const { method = 'weighted-median' } = options;
+    const values = readings.map(r => r.aqi);
+
+    const outlierIndices = findOutliers(values);
+    const keep = values.map((_, i) => !outlierIndices.includes(i));
+    const inValues = values.filter((_, i) => keep[i]);
+    const inWeights = weights.filter((_, i) => keep[i]);
+    const inliers = readings.filter((_, i) => keep[i]);
+
+    const aqi = robustAverage(inValues, inWeights, options);
+
+    // Weighted standard deviation of the sources that were kept
+    const totalWeight = inWeights.reduce((sum, w) => sum + w, 0);
+    const mean = inValues.reduce((sum, v, i) => sum + v * inWeights[i], 0) / totalWeight;
+    const spread = Math.sqrt(inValues.reduce((sum, v, i) => sum + inWeights[i] * (v - mean) ** 2, 0) / totalWeight);
+
+    const agreement = inliers.length > 1
+        ? 1 / (1 + (spread / (BAND_WIDTH / 2)) ** 2)
+        : SINGLE_SOURCE_AGREEMENT;
+    const freshness = inliers.reduce((sum, r) => sum + freshnessScore(r), 0) / inliers.length;
+    const proximity = inliers.reduce((sum, r) => sum + proximityScore(r), 0) / inliers.length;
+
+    // More independent sources that agree make a result more trustworthy
+    const corroboration = Math.min(1, 0.8 + 0.1 * inliers.length);
+    const confidenceScore = Math.max(0, Math.min(1, agreement * freshness * proximity * corroboration));
+
+    const range = Math.max(...values) - Math.min(...values);
+
+    return {
+        aqi,
+        inliers,
+        inlierWeights: inWeights,
+        outliers: readings.filter((_, i) => !keep[i]),
+        spread,
+        disagreement: outlierIndices.length > 0 || range > BAND_WIDTH,
+        agreement,
+        confidenceScore,
+        method
+    };
+}
+
+/**
+ * Combine the pollutant concentrations of readings like aggregateReadings
+ * combines their AQI: each pollutant with the same weights and method, over the
+ * readings that report it
+ * @param {Array<Object>} readings - Readings with `components` (µg/m³)
+ * @param {Array<number>} weights - Weight per reading
+ * @param {Object} options - As for aggregateReadings
+ * @returns {Object} - Concentration per pollutant
+ */
+export function aggregateComponents(readings, weights, options = {}) {
+    const byPollutant = {}; // pollutant -> { values, weights }
+
+    readings.forEach((reading, i) => {
+        Object.entries(reading.components || {}).forEach(([pollutant, value]) => {
+            if (value === null || value === undefined) return;
+            if (!byPollutant[pollutant]) byPollutant[pollutant] = { values: [], weights: [] };
+            byPollutant[pollutant].values.push(value);
+            byPollutant[pollutant].weights.push(weights[i]);
+        });
+    });
+
+    const components = {};
+    Object.entries(byPollutant).forEach(([pollutant, { values, weights: pollutantWeights }]) => {
+        components[pollutant] = robustAverage(values, pollutantWeights, options);
+    });
+    return components;
+}
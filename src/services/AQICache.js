@@ -0,0 +1,288 @@
+/**
+ * Persistent AQI record cache backed by IndexedDB
+ * Shared by every AQI consumer (AQIService, the map script and the routing
+ * service). Full readings - components, sources, timestamps - are stored under
+ * namespaced keys. Reads are served synchronously from an in-memory mirror that
+ * is loaded from IndexedDB at start-up; writes go to both. Where IndexedDB is
+ * unavailable (private browsing, tests) the cache silently runs in memory only.
+ */
+
+const DB_VERSION = 1;
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+class AQICache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.maxEntries - Entry limit before LRU eviction
+     * @param {number} options.maxBytes - Approximate serialized size limit before LRU eviction
+     * @param {number} options.defaultTtl - TTL in ms for sources without their own TTL
+     * @param {Object} options.ttlBySource - TTL in ms keyed by source id
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'aqi-cache';
+        this.storeName = 'records';
+        this.maxEntries = options.maxEntries || 2000;
+        this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+        this.defaultTtl = options.defaultTtl || DEFAULT_TTL_MS;
+        this.ttlBySource = options.ttlBySource || {};
+
+        // key -> { key, source, record, timestamp, expiresAt, size }, least recently used first
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.db = null;
+        this.loaded = null;
+    }
+
+    /**
+     * Open the database and mirror unexpired entries into memory
+     * Safe to call repeatedly; resolves once loading has finished.
+     * @returns {Promise<number>} - Number of entries restored
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                    return db ? this.readAll() : [];
+                })
+                .then(stored => {
+                    const now = Date.now();
+                    let restored = 0;
+
+                    stored
+                        .sort((a, b) => a.timestamp - b.timestamp)
+                        .forEach(entry => {
+                            if (entry.expiresAt <= now) {
+                                this.deleteStored(entry.key);
+                            } else if (!this.entries.has(entry.key)) {
+                                this.remember(entry);
+                                restored++;
+                            }
+                        });
+
+                    this.evict();
+                    return restored;
+                })
+                .catch(error => {
+                    console.warn('AQI cache persistence unavailable, using memory only:', error);
+                    this.db = null;
+                    return 0;
+                });
+        }
+        return this.loaded;
+    }
+
+    /**
+     * TTL for records of a source
+     */
+    getTtl(source) {
+        return this.ttlBySource[source] ?? this.defaultTtl;
+    }
+
+    /**
+     * Get a record if present and fresh
+     * @returns {Object|undefined}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.record;
+    }
+
+    /**
+     * Store a record
+     * @param {string} key - Namespaced cache key
+     * @param {Object} record - JSON-serializable record
+     * @param {Object} options - { source, ttl } (ttl in ms overrides the source TTL)
+     */
+    set(key, record, { source = record?.source || 'unknown', ttl } = {}) {
+        const timestamp = Date.now();
+        const entry = {
+            key,
+            source,
+            record,
+            timestamp,
+            expiresAt: timestamp + (ttl ?? this.getTtl(source)),
+            size: estimateSize(record)
+        };
+
+        this.forget(key);
+        this.remember(entry);
+        this.evict();
+        this.writeStored(entry);
+    }
+
+    delete(key) {
+        const existed = this.forget(key);
+        this.deleteStored(key);
+        return existed;
+    }
+
+    /**
+     * Remove entries, optionally only those of one source or key prefix
+     * @param {Object} filter - { source, prefix }
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async clear(filter = {}) {
+        await this.load();
+
+        const keys = [...this.entries.values()]
+            .filter(entry => matches(entry, filter))
+            .map(entry => entry.key);
+
+        keys.forEach(key => this.forget(key));
+
+        if (this.db) {
+            if (!filter.source && !filter.prefix) {
+                await this.transaction('readwrite', store => store.clear());
+            } else {
+                await Promise.all(keys.map(key => this.deleteStored(key)));
+            }
+        }
+
+        return keys.length;
+    }
+
+    /**
+     * Summary of cache contents for inspection and debugging
+     */
+    inspect() {
+        const now = Date.now();
+        const bySource = {};
+        let oldest = null;
+        let newest = null;
+
+        for (const entry of this.entries.values()) {
+            const stats = bySource[entry.source] || (bySource[entry.source] = { entries: 0, bytes: 0, expired: 0 });
+            stats.entries++;
+            stats.bytes += entry.size;
+            if (entry.expiresAt <= now) stats.expired++;
+
+            if (oldest === null || entry.timestamp < oldest) oldest = entry.timestamp;
+            if (newest === null || entry.timestamp > newest) newest = entry.timestamp;
+        }
+
+        return {
+            persistent: Boolean(this.db),
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            bySource,
+            oldest,
+            newest
+        };
+    }
+
+    /**
+     * Fresh records matching a filter, e.g. every reading of one source
+     * @param {Object} filter - { source, prefix }
+     * @returns {Array<Object>} - [{ key, source, timestamp, record }]
+     */
+    list(filter = {}) {
+        const now = Date.now();
+        return [...this.entries.values()]
+            .filter(entry => entry.expiresAt > now && matches(entry, filter))
+            .map(({ key, source, timestamp, record }) => ({ key, source, timestamp, record }));
+    }
+
+    remember(entry) {
+        this.entries.set(entry.key, entry);
+        this.totalBytes += entry.size;
+    }
+
+    forget(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        return true;
+    }
+
+    /**
+     * Drop least recently used entries until both size limits hold
+     */
+    evict() {
+        while (this.entries.size > 0 &&
+               (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes)) {
+            const oldestKey = this.entries.keys().next().value;
+            this.forget(oldestKey);
+            this.deleteStored(oldestKey);
+        }
+    }
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    readAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    writeStored(entry) {
+        if (!this.db) return Promise.resolve();
+
+        return this.transaction('readwrite', store => store.put(entry)).catch(error => {
+            console.warn('Failed to persist AQI cache entry:', error);
+        });
+    }
+
+    deleteStored(key) {
+        if (!this.db) return Promise.resolve();
+
+        return this.transaction('readwrite', store => store.delete(key)).catch(error => {
+            console.warn('Failed to delete AQI cache entry:', error);
+        });
+    }
+}
+
+function matches(entry, { source, prefix } = {}) {
+    if (source && entry.source !== source) return false;
+    if (prefix && !entry.key.startsWith(prefix)) return false;
+    return true;
+}
+
+function estimateSize(record) {
+    try {
+        return JSON.stringify(record).length * 2; // UTF-16 characters
+    } catch {
+        return 1024;
+    }
+}
+
+export default AQICache;
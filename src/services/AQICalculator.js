@@ -0,0 +1,257 @@
+/**
+ * Breakpoint-based AQI computation from raw pollutant concentrations
+ * Sub-indices are linearly interpolated inside the official breakpoint table of
+ * each pollutant; the overall index is the maximum sub-index (dominant pollutant).
+ * All concentrations passed in and out of this module are in µg/m³.
+ */
+
+// ppb <-> µg/m³ conversion at 25 °C and 1 atm
+const MOLAR_VOLUME = 24.45;
+const MOLECULAR_WEIGHTS = {
+    o3: 48.00,
+    no2: 46.01,
+    so2: 64.07,
+    co: 28.01
+};
+
+/**
+ * Breakpoint tables per index standard
+ * Each segment is [C_lo, C_hi, I_lo, I_hi] in the unit declared for the pollutant.
+ */
+export const BREAKPOINT_TABLES = {
+    // US EPA (2024 PM2.5 revision); O3 8-hour, NO2/SO2 1-hour, CO 8-hour.
+    // The 8-hour O3 table stops at 200 ppb, above which EPA uses the 1-hour
+    // breakpoints: their Very Unhealthy band ends at 404 ppb, so the index holds
+    // at 300 until their Hazardous bands take over from 405 ppb
+    us_epa: {
+        pm2_5: { unit: 'ug/m3', segments: [
+            [0.0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150],
+            [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]
+        ] },
+        pm10: { unit: 'ug/m3', segments: [
+            [0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150],
+            [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]
+        ] },
+        o3: { unit: 'ppb', segments: [
+            [0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150],
+            [86, 105, 151, 200], [106, 200, 201, 300], [201, 404, 300, 300],
+            [405, 504, 301, 400], [505, 604, 401, 500]
+        ] },
+        no2: { unit: 'ppb', segments: [
+            [0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150],
+            [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]
+        ] },
+        so2: { unit: 'ppb', segments: [
+            [0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150],
+            [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]
+        ] },
+        co: { unit: 'ppm', segments: [
+            [0.0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150],
+            [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]
+        ] }
+    },
+
+    // India CPCB National AQI (24-hour PM/SO2/NO2/NH3, 8-hour O3/CO).
+    // The open-ended Severe band is capped so it can be interpolated.
+    in_naqi: {
+        pm2_5: { unit: 'ug/m3', segments: [
+            [0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200],
+            [91, 120, 201, 300], [121, 250, 301, 400], [251, 380, 401, 500]
+        ] },
+        pm10: { unit: 'ug/m3', segments: [
+            [0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200],
+            [251, 350, 201, 300], [351, 430, 301, 400], [431, 510, 401, 500]
+        ] },
+        o3: { unit: 'ug/m3', segments: [
+            [0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200],
+            [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]
+        ] },
+        no2: { unit: 'ug/m3', segments: [
+            [0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200],
+            [181, 280, 201, 300], [281, 400, 301, 400], [401, 520, 401, 500]
+        ] },
+        so2: { unit: 'ug/m3', segments: [
+            [0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200],
+            [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2000, 401, 500]
+        ] },
+        co: { unit: 'mg/m3', segments: [
+            [0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200],
+            [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 50, 401, 500]
+        ] },
+        nh3: { unit: 'ug/m3', segments: [
+            [0, 200, 0, 50], [201, 400, 51, 100], [401, 800, 101, 200],
+            [801, 1200, 201, 300], [1201, 1800, 301, 400], [1801, 2400, 401, 500]
+        ] }
+    },
+
+    // European Common Air Quality Index, hourly background grid.
+    // The open-ended Very High band is mapped to 100-125 at twice its lower bound.
+    eu_caqi: {
+        pm2_5: { unit: 'ug/m3', segments: [
+            [0, 15, 0, 25], [15, 30, 25, 50], [30, 55, 50, 75], [55, 110, 75, 100], [110, 220, 100, 125]
+        ] },
+        pm10: { unit: 'ug/m3', segments: [
+            [0, 25, 0, 25], [25, 50, 25, 50], [50, 90, 50, 75], [90, 180, 75, 100], [180, 360, 100, 125]
+        ] },
+        o3: { unit: 'ug/m3', segments: [
+            [0, 60, 0, 25], [60, 120, 25, 50], [120, 180, 50, 75], [180, 240, 75, 100], [240, 480, 100, 125]
+        ] },
+        no2: { unit: 'ug/m3', segments: [
+            [0, 50, 0, 25], [50, 100, 25, 50], [100, 200, 50, 75], [200, 400, 75, 100], [400, 800, 100, 125]
+        ] },
+        so2: { unit: 'ug/m3', segments: [
+            [0, 50, 0, 25], [50, 100, 25, 50], [100, 350, 50, 75], [350, 500, 75, 100], [500, 1000, 100, 125]
+        ] },
+        co: { unit: 'ug/m3', segments: [
+            [0, 5000, 0, 25], [5000, 7500, 25, 50], [7500, 10000, 50, 75],
+            [10000, 20000, 75, 100], [20000, 40000, 100, 125]
+        ] }
+    },
+
+    // OpenWeather qualitative 1-5 index; level k spans [k, k+1) so the
+    // position inside a band is kept for conversions
+    owm: {
+        pm2_5: { unit: 'ug/m3', segments: [
+            [0, 10, 1, 2], [10, 25, 2, 3], [25, 50, 3, 4], [50, 75, 4, 5], [75, 150, 5, 5.99]
+        ] },
+        pm10: { unit: 'ug/m3', segments: [
+            [0, 20, 1, 2], [20, 50, 2, 3], [50, 100, 3, 4], [100, 200, 4, 5], [200, 400, 5, 5.99]
+        ] },
+        o3: { unit: 'ug/m3', segments: [
+            [0, 60, 1, 2], [60, 100, 2, 3], [100, 140, 3, 4], [140, 180, 4, 5], [180, 360, 5, 5.99]
+        ] },
+        no2: { unit: 'ug/m3', segments: [
+            [0, 40, 1, 2], [40, 70, 2, 3], [70, 150, 3, 4], [150, 200, 4, 5], [200, 400, 5, 5.99]
+        ] },
+        so2: { unit: 'ug/m3', segments: [
+            [0, 20, 1, 2], [20, 80, 2, 3], [80, 250, 3, 4], [250, 350, 4, 5], [350, 700, 5, 5.99]
+        ] },
+        co: { unit: 'ug/m3', segments: [
+            [0, 4400, 1, 2], [4400, 9400, 2, 3], [9400, 12400, 3, 4],
+            [12400, 15400, 4, 5], [15400, 30800, 5, 5.99]
+        ] }
+    }
+};
+
+/**
+ * Convert a µg/m³ concentration to the unit used by a breakpoint table
+ */
+export function fromMicrograms(pollutant, value, unit) {
+    if (unit === 'ug/m3') return value;
+    if (unit === 'mg/m3') return value / 1000;
+
+    const weight = MOLECULAR_WEIGHTS[pollutant];
+    if (!weight) return value;
+
+    const ppb = value * MOLAR_VOLUME / weight;
+    return unit === 'ppm' ? ppb / 1000 : ppb;
+}
+
+/**
+ * Convert a concentration in a breakpoint table unit back to µg/m³
+ */
+export function toMicrograms(pollutant, value, unit) {
+    if (unit === 'ug/m3') return value;
+    if (unit === 'mg/m3') return value * 1000;
+
+    const weight = MOLECULAR_WEIGHTS[pollutant];
+    if (!weight) return value;
+
+    const ppb = unit === 'ppm' ? value * 1000 : value;
+    return ppb * weight / MOLAR_VOLUME;
+}
+
+/**
+ * Compute the sub-index of a single pollutant
+ * @param {string} pollutant - Component key (pm2_5, pm10, o3, no2, so2, co)
+ * @param {number} concentration - Concentration in µg/m³
+ * @param {string} standardId - Breakpoint table to use
+ * @returns {number|null} - Unrounded sub-index, or null if not computable
+ */
+export function computeSubIndex(pollutant, concentration, standardId = 'us_epa') {
+    const table = BREAKPOINT_TABLES[standardId]?.[pollutant];
+    if (!table || concentration === null || concentration === undefined || concentration < 0) {
+        return null;
+    }
+
+    const c = fromMicrograms(pollutant, concentration, table.unit);
+    const segments = table.segments;
+
+    // Tables leave small gaps between segments (e.g. 9.0 / 9.1); a value in a gap
+    // belongs to the next segment and is clamped to its lower index bound
+    const segment = segments.find(([, cHi]) => c <= cHi);
+    if (!segment) {
+        // Above the table: extrapolate along the top segment
+        const [cLo, cHi, iLo, iHi] = segments[segments.length - 1];
+        return iLo + (iHi - iLo) * (c - cLo) / (cHi - cLo);
+    }
+
+    const [cLo, cHi, iLo, iHi] = segment;
+    const index = iLo + (iHi - iLo) * (c - cLo) / (cHi - cLo);
+    return Math.max(iLo, Math.min(iHi, index));
+}
+
+/**
+ * Invert a sub-index back to a concentration (µg/m³)
+ * Used for sources that report indices rather than concentrations.
+ * @returns {number|null}
+ */
+export function concentrationFromSubIndex(pollutant, index, standardId = 'us_epa') {
+    const table = BREAKPOINT_TABLES[standardId]?.[pollutant];
+    if (!table || index === null || index === undefined || index < 0) return null;
+
+    const segments = table.segments;
+    const segment = segments.find(([, , , iHi]) => index <= iHi) || segments[segments.length - 1];
+    const [cLo, cHi, iLo, iHi] = segment;
+    const c = cLo + (cHi - cLo) * (Math.max(index, iLo) - iLo) / (iHi - iLo);
+
+    return toMicrograms(pollutant, c, table.unit);
+}
+
+/**
+ * Compute the overall index from pollutant concentrations
+ * @param {Object} components - Concentrations in µg/m³ keyed by pollutant
+ * @param {string} standardId - Breakpoint table to use
+ * @returns {Object|null} - { aqi, dominantPollutant, subIndices } or null without usable data
+ */
+export function computeAQI(components = {}, standardId = 'us_epa') {
+    const subIndices = {};
+    let aqi = null;
+    let dominantPollutant = null;
+
+    Object.entries(components).forEach(([pollutant, concentration]) => {
+        const subIndex = computeSubIndex(pollutant, concentration, standardId);
+        if (subIndex === null || Number.isNaN(subIndex)) return;
+
+        subIndices[pollutant] = subIndex;
+        if (aqi === null || subIndex > aqi) {
+            aqi = subIndex;
+            dominantPollutant = pollutant;
+        }
+    });
+
+    return aqi === null ? null : { aqi, dominantPollutant, subIndices };
+}
+
+/**
+ * Convert US AQI (0-500 scale) to the OpenWeather-style 1-5 level
+ */
+export function usAQIToLevel(usAqi) {
+    if (usAqi === null || usAqi === undefined || usAqi < 0) return -1;
+
+    if (usAqi <= 50) return 1;       // Good
+    if (usAqi <= 100) return 2;      // Moderate
+    if (usAqi <= 150) return 3;      // Unhealthy for Sensitive Groups
+    if (usAqi <= 200) return 4;      // Unhealthy
+    return 5;                        // Very Unhealthy or Hazardous
+}
+
+/**
+ * Continuous counterpart of usAQIToLevel for exposure sums: 1 plus the US AQI
+ * in 50-point bands, capped just below 6 so values stay on the 1-5 level scale
+ */
+export function usAQIToContinuousLevel(usAqi) {
+    if (usAqi === null || usAqi === undefined || usAqi < 0) return -1;
+
+    return Math.min(5.99, 1 + usAqi / 50);
+}
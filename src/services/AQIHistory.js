@@ -0,0 +1,305 @@
+/**
+ * Persistent AQI history for pinned locations, backed by IndexedDB
+ * Pinned locations and their readings are mirrored in memory and written
+ * through to IndexedDB, like AQICache. Readings keep their US AQI and
+ * pollutant concentrations so a series can be charted in any standard.
+ * Where IndexedDB is unavailable the history only lasts for the session.
+ */
+
+const DB_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Series that can be charted besides the overall index
+export const HISTORY_POLLUTANTS = ['pm2_5', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+class AQIHistory {
+    /**
+     * @param {Object} options - History options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.retentionDays - Readings older than this are dropped
+     * @param {number} options.minIntervalMinutes - Minimum spacing of recorded readings per location
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'aqi-history';
+        this.retentionMs = (options.retentionDays ?? 90) * DAY_MS;
+        this.minIntervalMs = (options.minIntervalMinutes ?? 15) * 60 * 1000;
+
+        this.locations = new Map(); // id -> { id, name, lat, lng, tileKey, createdAt }
+        this.series = new Map(); // location id -> readings sorted by time
+        this.db = null;
+        this.loaded = null;
+    }
+
+    /**
+     * Open the database and mirror pinned locations and their readings
+     * @returns {Promise<number>} - Number of pinned locations
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.openDatabase()
+                .then(async db => {
+                    this.db = db;
+                    if (!db) return this.locations.size;
+
+                    const [locations, readings] = await Promise.all([
+                        this.transaction('locations', 'readonly', store => store.getAll()),
+                        this.transaction('readings', 'readonly', store => store.getAll())
+                    ]);
+                    locations.forEach(location => this.locations.set(location.id, location));
+                    readings
+                        .sort((a, b) => a.time - b.time)
+                        .forEach(reading => this.getSeriesList(reading.locationId).push(reading));
+
+                    this.prune();
+                    return this.locations.size;
+                })
+                .catch(error => {
+                    console.warn('AQI history persistence unavailable, using memory only:', error);
+                    this.db = null;
+                    return this.locations.size;
+                });
+        }
+        return this.loaded;
+    }
+
+    /**
+     * Pin a location so its readings are recorded
+     * @param {Object} location - { lat, lng, name, tileKey }
+     * @returns {Object} - The pinned location (existing one if already pinned)
+     */
+    pin({ lat, lng, name, tileKey }) {
+        const id = `${lat.toFixed(4)}_${lng.toFixed(4)}`;
+        if (this.locations.has(id)) return this.locations.get(id);
+
+        const location = {
+            id,
+            name: name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+            lat,
+            lng,
+            tileKey,
+            createdAt: Date.now()
+        };
+        this.locations.set(id, location);
+        this.writeStored('locations', location);
+        return location;
+    }
+
+    /**
+     * Unpin a location and delete its readings
+     */
+    async unpin(id) {
+        const existed = this.locations.delete(id);
+        this.series.delete(id);
+
+        if (this.db) {
+            await this.deleteStored('locations', id);
+            await this.deleteReadings(id);
+        }
+        return existed;
+    }
+
+    listLocations() {
+        return [...this.locations.values()].sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Pinned locations in a cache tile
+     */
+    findByTile(tileKey) {
+        return this.listLocations().filter(location => location.tileKey === tileKey);
+    }
+
+    /**
+     * Record a reading for a pinned location
+     * Readings closer than minIntervalMinutes to the previous one are skipped.
+     * @param {string} locationId - Pinned location id
+     * @param {Object} reading - Reading with aqi, value, components and timestamp
+     * @returns {boolean} - Whether the reading was recorded
+     */
+    record(locationId, reading) {
+        if (!this.locations.has(locationId) || !(reading?.aqi >= 0)) return false;
+
+        const time = reading.measuredAt || reading.timestamp || Date.now();
+        const list = this.getSeriesList(locationId);
+        const last = list[list.length - 1];
+        if (last && time - last.time < this.minIntervalMs) return false;
+
+        const entry = {
+            id: `${locationId}:${time}`,
+            locationId,
+            time,
+            aqi: reading.aqi,
+            value: reading.value,
+            dominantPollutant: reading.dominantPollutant || null,
+            components: reading.components || {},
+            source: reading.source
+        };
+        list.push(entry);
+        list.sort((a, b) => a.time - b.time);
+        this.writeStored('readings', entry);
+        return true;
+    }
+
+    /**
+     * Time of the latest reading of a location, or null
+     */
+    lastRecorded(locationId) {
+        const list = this.series.get(locationId);
+        return list?.length ? list[list.length - 1].time : null;
+    }
+
+    /**
+     * Readings of a location, oldest first
+     * @param {Object} range - { from, to } in ms
+     */
+    getSeries(locationId, { from = 0, to = Infinity } = {}) {
+        return (this.series.get(locationId) || []).filter(reading => reading.time >= from && reading.time <= to);
+    }
+
+    /**
+     * Serialize the readings of a location
+     * @param {string} format - 'csv' or 'json'
+     * @returns {string}
+     */
+    exportSeries(locationId, format = 'csv', range = {}) {
+        const location = this.locations.get(locationId);
+        const readings = this.getSeries(locationId, range);
+
+        if (format === 'json') {
+            return JSON.stringify({ location, readings }, null, 2);
+        }
+
+        const header = ['time', 'us_aqi', 'dominant_pollutant', ...HISTORY_POLLUTANTS, 'source'];
+        const rows = readings.map(reading => [
+            new Date(reading.time).toISOString(),
+            Math.round(reading.aqi),
+            reading.dominantPollutant || '',
+            ...HISTORY_POLLUTANTS.map(pollutant => reading.components[pollutant] ?? ''),
+            reading.source || ''
+        ]);
+        return [header, ...rows].map(row => row.join(',')).join('\n');
+    }
+
+    /**
+     * Drop readings past the retention period
+     */
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+
+        for (const [locationId, list] of this.series) {
+            const expired = list.filter(reading => reading.time < cutoff);
+            if (expired.length === 0) continue;
+
+            this.series.set(locationId, list.filter(reading => reading.time >= cutoff));
+            expired.forEach(reading => this.deleteStored('readings', reading.id));
+        }
+    }
+
+    getSeriesList(locationId) {
+        if (!this.series.has(locationId)) this.series.set(locationId, []);
+        return this.series.get(locationId);
+    }
+
+    deleteReadings(locationId) {
+        return this.transaction('readings', 'readwrite', store => {
+            const request = store.index('locationId').openCursor(IDBKeyRange.only(locationId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return request;
+        }).catch(error => {
+            console.warn('Failed to delete AQI history readings:', error);
+        });
+    }
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('locations')) {
+                    db.createObjectStore('locations', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('readings')) {
+                    const readings = db.createObjectStore('readings', { keyPath: 'id' });
+                    readings.createIndex('locationId', 'locationId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transaction(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    writeStored(storeName, record) {
+        if (!this.db) return Promise.resolve();
+
+        return this.transaction(storeName, 'readwrite', store => store.put(record)).catch(error => {
+            console.warn('Failed to persist AQI history:', error);
+        });
+    }
+
+    deleteStored(storeName, key) {
+        if (!this.db) return Promise.resolve();
+
+        return this.transaction(storeName, 'readwrite', store => store.delete(key)).catch(error => {
+            console.warn('Failed to delete AQI history entry:', error);
+        });
+    }
+}
+
+/**
+ * Aggregate readings into daily or weekly buckets (local time, weeks from Monday)
+ * @param {Array} readings - Readings sorted by time
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Function} valueOf - Maps a reading to the charted value (null to skip)
+ * @returns {Array} - Buckets { start, mean, min, max, count }
+ */
+export function aggregateSeries(readings, period, valueOf) {
+    const buckets = new Map();
+
+    readings.forEach(reading => {
+        const value = valueOf(reading);
+        if (value === null || value === undefined || !Number.isFinite(value)) return;
+
+        const start = bucketStart(reading.time, period);
+        const bucket = buckets.get(start) || { start, sum: 0, min: Infinity, max: -Infinity, count: 0 };
+        bucket.sum += value;
+        bucket.min = Math.min(bucket.min, value);
+        bucket.max = Math.max(bucket.max, value);
+        bucket.count++;
+        buckets.set(start, bucket);
+    });
+
+    return [...buckets.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(({ start, sum, min, max, count }) => ({ start, mean: sum / count, min, max, count }));
+}
+
+function bucketStart(time, period) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    if (period === 'weekly') {
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    }
+    return date.getTime();
+}
+
+export default AQIHistory;
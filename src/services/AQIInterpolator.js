@@ -0,0 +1,243 @@
+/**
+ * Spatial interpolation of AQI between monitoring stations
+ * Keeps the latest reading of every station seen by AQIService and estimates a
+ * continuous AQI anywhere by inverse-distance weighting (default) or ordinary
+ * kriging. Every estimate carries an uncertainty (standard deviation, US AQI
+ * points) that grows with the distance to the nearest station.
+ */
+import { Matrix, solve } from 'ml-matrix';
+import { usAQIToLevel } from './AQICalculator.js';
+import { confidenceLabel } from './AQIAggregator.js';
+
+const OBSERVATION_TTL_MS = 30 * 60 * 1000; // Same lifetime as cached tiles
+
+// Uncertainty model: sigma grows from MIN to MAX with distance to the nearest station
+const MIN_UNCERTAINTY = 5;
+const MAX_UNCERTAINTY = 50;
+const UNCERTAINTY_RANGE_KM = 5;
+
+class AQIInterpolator {
+    constructor(options = {}) {
+        this.observations = new Map();
+        this.ttl = options.ttl || OBSERVATION_TTL_MS;
+        this.maxStations = options.maxStations || 8;
+        this.radiusKm = options.radiusKm || 25;
+    }
+
+    /**
+     * Record a station reading; a newer reading of the same station replaces the old one
+     * @param {Object} observation - { lat, lng, aqi, components?, source?, weight?, confidenceScore?, timestamp? }
+     */
+    addObservation(observation) {
+        if (!(observation?.aqi >= 0) || !Number.isFinite(observation.lat) || !Number.isFinite(observation.lng)) {
+            return;
+        }
+
+        const key = `${observation.source || 'unknown'}_${observation.lat.toFixed(4)}_${observation.lng.toFixed(4)}`;
+        this.observations.set(key, {
+            weight: 1.0,
+            confidenceScore: 0.6,
+            components: {},
+            ...observation,
+            timestamp: observation.timestamp || Date.now()
+        });
+    }
+
+    clear() {
+        this.observations.clear();
+    }
+
+    /**
+     * Fresh observations within the search radius, nearest first
+     */
+    findNearbyStations(lat, lng, radiusKm = this.radiusKm, maxStations = this.maxStations) {
+        const now = Date.now();
+        const nearby = [];
+
+        for (const [key, observation] of this.observations) {
+            if (now - observation.timestamp > this.ttl) {
+                this.observations.delete(key);
+                continue;
+            }
+
+            const distanceKm = haversineKm(lat, lng, observation.lat, observation.lng);
+            if (distanceKm <= radiusKm) {
+                nearby.push({ ...observation, distanceKm });
+            }
+        }
+
+        return nearby.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, maxStations);
+    }
+
+    /**
+     * Estimate AQI at a point
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} options - { method: 'idw' | 'kriging', power, radiusKm, maxStations }
+     * @returns {Object|null} - Reading-like estimate, or null when no station is in range
+     */
+    estimate(lat, lng, options = {}) {
+        const { method = 'idw', power = 2, radiusKm, maxStations } = options;
+        const stations = this.findNearbyStations(lat, lng, radiusKm, maxStations);
+
+        if (stations.length === 0) return null;
+
+        const nearestStationKm = stations[0].distanceKm;
+        let result = null;
+
+        // Kriging needs a few stations to say anything about spatial structure
+        if (method === 'kriging' && stations.length >= 3) {
+            result = this.krige(stations);
+        }
+        if (!result) {
+            result = this.inverseDistanceWeighting(stations, power);
+        }
+
+        // Station trust, discounted by how far the estimate is from the stations
+        const stationScore = stations.reduce((sum, s) => sum + s.confidenceScore, 0) / stations.length;
+        const confidenceScore = stationScore *
+            (1 - (result.uncertainty - MIN_UNCERTAINTY) / (MAX_UNCERTAINTY - MIN_UNCERTAINTY) * 0.5);
+
+        return {
+            value: usAQIToLevel(result.aqi),
+            aqi: result.aqi,
+            components: this.interpolateComponents(stations, power),
+            source: 'interpolated',
+            method: result.method,
+            uncertainty: result.uncertainty,
+            confidenceScore: Math.max(0, Math.min(1, confidenceScore)),
+            confidence: confidenceLabel(confidenceScore),
+            nearestStationKm,
+            stationCount: stations.length,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Inverse-distance weighted mean of station AQI
+     */
+    inverseDistanceWeighting(stations, power = 2) {
+        // A station practically on the point is taken as-is
+        if (stations[0].distanceKm < 0.01) {
+            return {
+                aqi: stations[0].aqi,
+                uncertainty: MIN_UNCERTAINTY,
+                method: 'idw'
+            };
+        }
+
+        let weightedSum = 0;
+        let totalWeight = 0;
+
+        stations.forEach(station => {
+            const weight = station.weight / Math.pow(station.distanceKm, power);
+            weightedSum += station.aqi * weight;
+            totalWeight += weight;
+        });
+
+        return {
+            aqi: weightedSum / totalWeight,
+            uncertainty: distanceUncertainty(stations[0].distanceKm),
+            method: 'idw'
+        };
+    }
+
+    /**
+     * Ordinary kriging with an exponential variogram fitted loosely to the stations
+     * (sill = sample variance, practical range = UNCERTAINTY_RANGE_KM)
+     * @returns {Object|null} - null when the kriging system cannot be solved
+     */
+    krige(stations) {
+        const n = stations.length;
+        const values = stations.map(s => s.aqi);
+        const mean = values.reduce((sum, v) => sum + v, 0) / n;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+
+        const sill = Math.max(variance, MIN_UNCERTAINTY ** 2);
+        const nugget = 0.05 * sill;
+        const variogram = h => (h <= 0 ? 0 : nugget + (sill - nugget) * (1 - Math.exp(-3 * h / UNCERTAINTY_RANGE_KM)));
+
+        try {
+            const system = Matrix.zeros(n + 1, n + 1);
+            const rhs = Matrix.zeros(n + 1, 1);
+
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    const h = haversineKm(stations[i].lat, stations[i].lng, stations[j].lat, stations[j].lng);
+                    system.set(i, j, variogram(h));
+                }
+                system.set(i, n, 1);
+                system.set(n, i, 1);
+                rhs.set(i, 0, variogram(stations[i].distanceKm));
+            }
+            rhs.set(n, 0, 1);
+
+            const solution = solve(system, rhs, true);
+            const weights = stations.map((_, i) => solution.get(i, 0));
+            const lagrange = solution.get(n, 0);
+
+            const aqi = weights.reduce((sum, w, i) => sum + w * values[i], 0);
+            const krigingVariance = weights.reduce((sum, w, i) => sum + w * rhs.get(i, 0), 0) + lagrange;
+
+            if (!Number.isFinite(aqi)) return null;
+
+            return {
+                aqi: Math.max(0, aqi),
+                uncertainty: Math.max(MIN_UNCERTAINTY, Math.sqrt(Math.max(krigingVariance, 0))),
+                method: 'kriging'
+            };
+        } catch (error) {
+            console.warn('Kriging failed, falling back to IDW:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Inverse-distance weighted pollutant concentrations (µg/m³)
+     */
+    interpolateComponents(stations, power = 2) {
+        const sums = {};
+        const weights = {};
+
+        stations.forEach(station => {
+            const weight = station.weight / Math.pow(Math.max(station.distanceKm, 0.01), power);
+
+            Object.entries(station.components || {}).forEach(([pollutant, value]) => {
+                if (value === null || value === undefined) return;
+                sums[pollutant] = (sums[pollutant] || 0) + value * weight;
+                weights[pollutant] = (weights[pollutant] || 0) + weight;
+            });
+        });
+
+        const components = {};
+        Object.keys(sums).forEach(pollutant => {
+            components[pollutant] = sums[pollutant] / weights[pollutant];
+        });
+
+        return components;
+    }
+}
+
+/**
+ * Uncertainty (US AQI points) for an estimate made at a distance from the nearest station
+ */
+export function distanceUncertainty(distanceKm) {
+    return MIN_UNCERTAINTY + (MAX_UNCERTAINTY - MIN_UNCERTAINTY) * (1 - Math.exp(-distanceKm / UNCERTAINTY_RANGE_KM));
+}
+
+/**
+ * Great-circle distance in kilometres
+ */
+export function haversineKm(lat1, lng1, lat2, lng2) {
+    const R = 6371; // Earth's radius in km
+    const deltaLat = (lat2 - lat1) * Math.PI / 180;
+    const deltaLng = (lng2 - lng1) * Math.PI / 180;
+
+    const a = Math.sin(deltaLat / 2) ** 2 +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(deltaLng / 2) ** 2;
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+export default AQIInterpolator;
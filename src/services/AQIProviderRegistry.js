@@ -0,0 +1,121 @@
+/**
+ * Registry of AQI data providers
+ * A provider is a plain object implementing:
+ *   id                      - unique source identifier ('openweather', 'waqi', ...)
+ *   weight                  - relative weight used when aggregating sources
+ *   fetch(lat, lng)         - Promise resolving to the raw API payload
+ *   normalize(raw, location)- { components, aqi?, dominantPollutant?, rawValue?, station?, location?, measuredAt? }
+ *                             with components in µg/m³; aqi (US EPA) is only needed
+ *                             when the source reports an index instead of concentrations;
+ *                             location is the station position (defaults to the query point);
+ *                             measuredAt is the measurement time in ms (defaults to fetch time)
+ *   confidence(reading)     - 'low' | 'medium' | 'high' for a normalized reading
+ * Providers are queried and listed in registration order.
+ */
+import { createOpenWeatherProvider } from './providers/OpenWeatherProvider.js';
+import { createIQAirProvider } from './providers/IQAirProvider.js';
+import { createWAQIProvider } from './providers/WAQIProvider.js';
+import { createFixtureProvider } from './providers/FixtureProvider.js';
+
+// Factories available to configuration entries, keyed by provider id
+export const PROVIDER_FACTORIES = {
+    openweather: createOpenWeatherProvider,
+    iqair: createIQAirProvider,
+    waqi: createWAQIProvider,
+    fixture: createFixtureProvider
+};
+
+const REQUIRED_METHODS = ['fetch', 'normalize', 'confidence'];
+
+export class AQIProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Build a registry from configuration entries
+     * @param {Array} entries - [{ id, enabled?, weight?, ...factoryOptions }]
+     * @param {Object} factories - Provider factories keyed by id
+     * @returns {AQIProviderRegistry}
+     */
+    static fromConfig(entries = [], factories = PROVIDER_FACTORIES) {
+        const registry = new AQIProviderRegistry();
+
+        entries.forEach(entry => {
+            if (entry.enabled === false) return;
+
+            const factory = factories[entry.id];
+            if (!factory) {
+                console.warn(`Unknown AQI provider "${entry.id}" in configuration, skipping`);
+                return;
+            }
+
+            const { id, enabled, ...options } = entry;
+            registry.register(factory(options));
+        });
+
+        return registry;
+    }
+
+    /**
+     * Register a provider, replacing any provider with the same id
+     * @param {Object} provider - Provider implementing the interface above
+     * @param {number} position - Optional index to insert at (defaults to the end)
+     */
+    register(provider, position = this.providers.size) {
+        const missing = REQUIRED_METHODS.filter(method => typeof provider?.[method] !== 'function');
+        if (!provider?.id || missing.length > 0) {
+            throw new Error(`Invalid AQI provider "${provider?.id}": missing ${missing.join(', ') || 'id'}`);
+        }
+
+        this.providers.delete(provider.id);
+
+        const ordered = [...this.providers.values()];
+        ordered.splice(Math.max(0, Math.min(position, ordered.length)), 0, {
+            weight: 1.0,
+            ...provider
+        });
+
+        this.providers = new Map(ordered.map(p => [p.id, p]));
+        return this;
+    }
+
+    /**
+     * Remove a provider
+     * @returns {boolean} - Whether a provider was removed
+     */
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    /**
+     * Reorder providers; ids not listed keep their relative order after the listed ones
+     * @param {Array<string>} ids - Provider ids in the desired order
+     */
+    reorder(ids) {
+        const listed = ids.filter(id => this.providers.has(id)).map(id => this.providers.get(id));
+        const rest = [...this.providers.values()].filter(p => !ids.includes(p.id));
+
+        this.providers = new Map([...listed, ...rest].map(p => [p.id, p]));
+        return this;
+    }
+
+    get(id) {
+        return this.providers.get(id);
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    /**
+     * Registered providers in query order
+     */
+    list() {
+        return [...this.providers.values()];
+    }
+
+    get size() {
+        return this.providers.size;
+    }
+}
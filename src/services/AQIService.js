@@ -1,72 +1,101 @@
 /**
  * Enhanced Service for fetching and processing Air Quality Index (AQI) data
  * Features: Multi-source data integration, caching, health recommendations,
- * and averaging algorithms for improved accuracy
+ * and averaging algorithms for improved accuracy.
+ * Data sources are pluggable providers held in an AQIProviderRegistry.
  */
-// Simple in-memory cache implementation for browser compatibility
-class SimpleCache {
-    constructor(options = {}) {
-        this.cache = new Map();
-        this.maxSize = options.max || 500;
-        this.ttl = options.ttl || 30 * 60 * 1000;
-    }
-    
-    get(key) {
-        const item = this.cache.get(key);
-        if (!item) return undefined;
-        
-        if (Date.now() - item.timestamp > this.ttl) {
-            this.cache.delete(key);
-            return undefined;
-        }
-        
-        return item.value;
-    }
-    
-    set(key, value) {
-        // Simple LRU: if cache is full, delete oldest entries
-        if (this.cache.size >= this.maxSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
-        }
-        
-        this.cache.set(key, {
-            value: value,
-            timestamp: Date.now()
-        });
-    }
-}
+import config from '../config.js';
+import { AQIProviderRegistry } from './AQIProviderRegistry.js';
+import { computeAQI, usAQIToLevel } from './AQICalculator.js';
+import { getActiveStandardId, getLevel, getReadingIndex, getStandard } from './AQIStandards.js';
+import AQIInterpolator, { distanceUncertainty, haversineKm } from './AQIInterpolator.js';
+import { aggregateComponents, aggregateReadings, confidenceLabel, scoreReading } from './AQIAggregator.js';
+import AQICache from './AQICache.js';
+import AQIHistory from './AQIHistory.js';
+import Nowcaster from './Nowcaster.js';
+import RequestScheduler, { createHttpError } from './RequestScheduler.js';
+import CircuitBreaker from './CircuitBreaker.js';
+import { getActiveProfileId, getProfile, getProfileLevel } from './HealthProfiles.js';
+import { getActiveModeId, getTravelMode } from './DoseModel.js';
 
-// API Keys for various AQI data providers
-const OPENWEATHER_KEY = "cc89ee52f5cdf7cd8a3915cba042774f";
-const IQAIR_KEY = "70c7d0a9-5a32-404b-9c78-c9bb12ea75bc";
-const WAQI_TOKEN = "cb0b1f9af2c3e8a97a36dbd1e6e97c48db52abe7";
+// API key for the forecast endpoint (provider keys live in config.AQI_PROVIDERS)
+const OPENWEATHER_KEY = config.OPENWEATHER_KEY;
 
 // Configuration constants
-const TILE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const CACHE_CONFIG = config.AQI_CACHE || {};
+const TILE_TTL_MS = (CACHE_CONFIG.ttlMinutes?.default ?? 30) * 60 * 1000;
 const USE_MULTIPLE_SOURCES = true; // Enable multi-source fetching
+const FORECAST_STEP_MS = 60 * 60 * 1000; // OpenWeather forecasts are hourly
+// Forecast error (US AQI points, standard deviation) grows with lead time
+const FORECAST_MIN_UNCERTAINTY = 10;
+const FORECAST_MAX_UNCERTAINTY = 50;
+const LATENCY_SAMPLES = 200; // Recent request latencies kept per source for percentiles
+
+// Reading used when no source is available: moderate (level 3, mid-band US AQI)
+const FALLBACK_READING = {
+    value: 3,
+    aqi: 125,
+    dominantPollutant: 'pm2_5',
+    components: {},
+    source: 'fallback',
+    confidence: 'low',
+    confidenceScore: 0
+};
+
+/**
+ * Nearest-rank percentile of an ascending list, or null when empty
+ */
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
 
 class AQIService {
-    constructor() {
-        // Main cache for aggregated AQI values
-        this.aqiCache = new SimpleCache({
-            max: 500, // Maximum number of tiles to cache
-            ttl: TILE_TTL_MS,
+    /**
+     * @param {AQIProviderRegistry} providers - Registry of AQI data sources
+     */
+    constructor(providers = AQIProviderRegistry.fromConfig(config.AQI_PROVIDERS)) {
+        this.providers = providers;
+        
+        // Persistent cache for aggregated readings ("aggregated:<tile>") and
+        // per-source readings ("source:<id>:<tile>"), with a TTL per source
+        this.cache = new AQICache({
+            maxEntries: CACHE_CONFIG.maxEntries,
+            maxBytes: CACHE_CONFIG.maxBytes,
+            defaultTtl: TILE_TTL_MS,
+            ttlBySource: Object.fromEntries(
+                Object.entries(CACHE_CONFIG.ttlMinutes || {}).map(([source, minutes]) => [source, minutes * 60 * 1000])
+            )
         });
         
-        // Individual caches for each data source
-        this.sourceSpecificCache = {
-            openweather: new SimpleCache({ max: 300, ttl: TILE_TTL_MS }),
-            iqair: new SimpleCache({ max: 300, ttl: TILE_TTL_MS }),
-            waqi: new SimpleCache({ max: 300, ttl: TILE_TTL_MS })
-        };
+        // Per-provider concurrency, quota and retry handling
+        this.scheduler = new RequestScheduler(config.AQI_RATE_LIMITS);
         
-        // Statistics for reliability tracking
-        this.sourcesStats = {
-            openweather: { requests: 0, successes: 0, failures: 0 },
-            iqair: { requests: 0, successes: 0, failures: 0 },
-            waqi: { requests: 0, successes: 0, failures: 0 }
-        };
+        // Aggregated tile requests in progress, so concurrent callers share one fetch
+        this.inFlight = new Map();
+        
+        // Reliability statistics and circuit breakers for each data source,
+        // created on first use so providers can be registered at any time
+        this.sourcesStats = {};
+        this.breakers = new Map();
+        
+        // Station readings for spatial interpolation between tiles
+        this.interpolator = new AQIInterpolator({ ttl: TILE_TTL_MS });
+        
+        // Time series of readings for the locations the user pins
+        this.history = new AQIHistory(config.AQI_HISTORY);
+        
+        // Recent readings of each tile, extrapolated a few hours ahead
+        this.nowcaster = new Nowcaster(config.AQI_NOWCAST);
+        this.nowcastSeeded = null;
+        
+        // Restore persisted readings, then re-seed the interpolator with their
+        // stations and the nowcaster with the latest reading of each tile
+        this.cacheReady = this.cache.load().then(() => {
+            this.cache.list({ prefix: 'source:' }).forEach(({ record }) => this.addObservation(record));
+            this.cache.list({ prefix: 'aggregated:' })
+                .forEach(({ key, record }) => this.nowcaster.observe(key.slice('aggregated:'.length), record));
+        });
     }
 
     /**
@@ -77,13 +106,26 @@ class AQIService {
      * @returns {Promise<Object>} - AQI value and metadata
      */
     async getAQI(lat, lng, forceRefresh = false) {
-        const cacheKey = this.getTileKey(lat, lng);
-        const cached = !forceRefresh ? this.aqiCache.get(cacheKey) : null;
-
-        if (cached) {
-            return cached.value !== undefined ? cached : { value: cached, source: 'cache' };
-        }
+        await this.cacheReady;
+        
+        const cacheKey = `aggregated:${this.getTileKey(lat, lng)}`;
+        const cached = !forceRefresh ? this.cache.get(cacheKey) : null;
 
+        if (cached) return cached;
+        
+        // Merge simultaneous requests for the same tile into a single fetch
+        if (this.inFlight.has(cacheKey)) return this.inFlight.get(cacheKey);
+        
+        const request = this.fetchTileAQI(lat, lng, cacheKey)
+            .finally(() => this.inFlight.delete(cacheKey));
+        this.inFlight.set(cacheKey, request);
+        return request;
+    }
+    
+    /**
+     * Fetch, aggregate and cache the reading of one tile
+     */
+    async fetchTileAQI(lat, lng, cacheKey) {
         try {
             let aqiData;
             
@@ -91,193 +133,353 @@ class AQIService {
                 // Fetch from multiple sources and aggregate
                 aqiData = await this.getAggregatedAQI(lat, lng);
             } else {
-                // Fallback to single source (OpenWeather)
-                aqiData = await this.getOpenWeatherAQI(lat, lng);
+                // Fallback to the first registered source
+                const [primary] = this.providers.list();
+                aqiData = primary ? await this.getProviderAQI(primary, lat, lng) : null;
+                if (!aqiData || aqiData.error) throw new Error('Primary AQI source unavailable');
             }
             
-            // Cache the aggregated result
-            this.aqiCache.set(cacheKey, aqiData);
+            // Cache the aggregated result (the fallback is not worth persisting)
+            if (aqiData.source !== 'fallback') {
+                this.cache.set(cacheKey, aqiData, { source: 'aggregated' });
+                this.recordHistory(lat, lng, aqiData);
+                this.nowcaster.observe(this.getTileKey(lat, lng), aqiData);
+            }
             return aqiData;
         } catch (error) {
             console.error("AQI fetch error:", error);
-            return { value: 3, source: 'fallback', confidence: 'low' }; // Default to moderate AQI
+            return { ...FALLBACK_READING }; // Default to moderate AQI
         }
     }
     
     /**
-     * Fetch AQI data from OpenWeather API
+     * Get (or create) the reliability counters for a provider
      */
-    async getOpenWeatherAQI(lat, lng) {
-        this.sourcesStats.openweather.requests++;
-        const cacheKey = this.getTileKey(lat, lng);
-        const cached = this.sourceSpecificCache.openweather.get(cacheKey);
-        
-        if (cached) return cached;
-        
-        try {
-            const url = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lng}&appid=${OPENWEATHER_KEY}`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch OpenWeather AQI: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            const aqi = data.list?.[0]?.main?.aqi ?? -1;
-            const components = data.list?.[0]?.components || {};
-            
-            const result = {
-                value: aqi,
-                source: 'openweather',
-                timestamp: Date.now(),
-                confidence: 'medium',
-                components: {
-                    pm2_5: components.pm2_5,
-                    pm10: components.pm10,
-                    o3: components.o3,
-                    no2: components.no2
-                }
+    getSourceStats(sourceId) {
+        if (!this.sourcesStats[sourceId]) {
+            this.sourcesStats[sourceId] = {
+                requests: 0,
+                successes: 0,
+                failures: 0,
+                skipped: 0,
+                throttled: 0,
+                noData: 0,
+                latencies: [],
+                lastError: null,
+                lastErrorAt: null,
+                lastSuccessAt: null
             };
-            
-            this.sourceSpecificCache.openweather.set(cacheKey, result);
-            this.sourcesStats.openweather.successes++;
-            return result;
-        } catch (error) {
-            console.error("OpenWeather AQI fetch error:", error);
-            this.sourcesStats.openweather.failures++;
-            return { value: -1, source: 'openweather', error: true };
         }
+        return this.sourcesStats[sourceId];
+    }
+    
+    /**
+     * Get (or create) the circuit breaker of a provider
+     */
+    getBreaker(sourceId) {
+        if (!this.breakers.has(sourceId)) {
+            const options = config.AQI_CIRCUIT_BREAKER || {};
+            this.breakers.set(sourceId, new CircuitBreaker({
+                failureThreshold: options.failureThreshold,
+                cooldownMs: (options.cooldownSeconds ?? 60) * 1000,
+                maxCooldownMs: (options.maxCooldownSeconds ?? 900) * 1000
+            }));
+        }
+        return this.breakers.get(sourceId);
+    }
+    
+    /**
+     * Close a provider's circuit so it is queried again immediately
+     */
+    resetSource(sourceId) {
+        this.getBreaker(sourceId).reset();
     }
     
     /**
-     * Fetch AQI data from IQAir API
+     * Fetch and normalize AQI data from a single registered provider
+     * @param {Object|string} provider - Provider object or its id
+     * @returns {Promise<Object>} - Normalized reading, or { value: -1, error: true }
      */
-    async getIQAirAQI(lat, lng) {
-        this.sourcesStats.iqair.requests++;
-        const cacheKey = this.getTileKey(lat, lng);
-        const cached = this.sourceSpecificCache.iqair.get(cacheKey);
+    async getProviderAQI(provider, lat, lng) {
+        if (typeof provider === 'string') {
+            const providerId = provider;
+            provider = this.providers.get(providerId);
+            if (!provider) throw new Error(`Unknown AQI provider: ${providerId}`);
+        }
+        
+        const stats = this.getSourceStats(provider.id);
+        const tileKey = this.getTileKey(lat, lng);
+        const cacheKey = `source:${provider.id}:${tileKey}`;
+        const cached = this.cache.get(cacheKey);
         
         if (cached) return cached;
         
+        // Skip providers whose circuit is open
+        const breaker = this.getBreaker(provider.id);
+        if (!breaker.allowRequest()) {
+            stats.skipped++;
+            return { value: -1, source: provider.id, error: true, skipped: true };
+        }
+        
         try {
-            const url = `https://api.airvisual.com/v2/nearest_city?lat=${lat}&lon=${lng}&key=${IQAIR_KEY}`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch IQAir AQI: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            if (data.status !== 'success') {
-                throw new Error(`IQAir API error: ${data.data?.message || 'Unknown error'}`);
+            // Queued against the provider's rate limits; retried on 429/5xx
+            const raw = await this.scheduler.schedule(provider.id, tileKey, async () => {
+                const started = performance.now();
+                try {
+                    return await provider.fetch(lat, lng);
+                } finally {
+                    stats.latencies.push(performance.now() - started);
+                    if (stats.latencies.length > LATENCY_SAMPLES) stats.latencies.shift();
+                }
+            });
+            const reading = this.finalizeReading(provider.normalize(raw, { lat, lng }));
+            if (reading.aqi < 0) {
+                const error = new Error('No usable AQI or pollutant data in response');
+                error.noData = true;
+                throw error;
             }
             
-            // Convert US AQI to the 1-5 scale used by OpenWeather
-            const usAqi = data.data?.current?.pollution?.aqius;
-            const aqi = this.convertUSAQItoScale(usAqi);
-            
+            const location = reading.location || { lat, lng };
             const result = {
-                value: aqi,
-                source: 'iqair',
-                timestamp: Date.now(),
-                confidence: 'high',
-                rawValue: usAqi,
-                components: {
-                    pm2_5: data.data?.current?.pollution?.pm25 || null
-                }
+                ...reading,
+                location,
+                stationDistanceKm: haversineKm(lat, lng, location.lat, location.lng),
+                measuredAt: reading.measuredAt || Date.now(),
+                source: provider.id,
+                timestamp: Date.now()
             };
+            result.confidence = provider.confidence(result);
+            result.confidenceScore = scoreReading(result);
             
-            this.sourceSpecificCache.iqair.set(cacheKey, result);
-            this.sourcesStats.iqair.successes++;
+            this.addObservation(result);
+            this.cache.set(cacheKey, result, { source: provider.id });
+            stats.requests++;
+            stats.successes++;
+            stats.lastSuccessAt = Date.now();
+            breaker.recordSuccess();
             return result;
         } catch (error) {
-            console.error("IQAir AQI fetch error:", error);
-            this.sourcesStats.iqair.failures++;
-            return { value: -1, source: 'iqair', error: true };
+            // Held back by our own rate limits: the request was never sent
+            if (error.throttled) {
+                stats.throttled++;
+                breaker.releaseProbe();
+                return { value: -1, source: provider.id, error: true, skipped: true };
+            }
+            
+            stats.requests++;
+            stats.lastError = error.message;
+            stats.lastErrorAt = Date.now();
+            
+            // The source answered, just without data for this point
+            if (error.noData) {
+                stats.noData++;
+                breaker.recordSuccess();
+                return { value: -1, source: provider.id, error: true };
+            }
+            
+            // Network or HTTP failure of the source itself
+            console.error(`${provider.name || provider.id} AQI fetch error:`, error);
+            stats.failures++;
+            if (breaker.recordFailure()) {
+                const { nextProbeAt } = breaker.getState();
+                console.warn(`${provider.name || provider.id} disabled after repeated failures, next probe at ${new Date(nextProbeAt).toLocaleTimeString()}`);
+            }
+            return { value: -1, source: provider.id, error: true };
         }
     }
     
     /**
-     * Fetch AQI data from World Air Quality Index (WAQI) API
+     * Feed a single-source reading to the interpolator as a station observation
      */
-    async getWAQIData(lat, lng) {
-        this.sourcesStats.waqi.requests++;
-        const cacheKey = this.getTileKey(lat, lng);
-        const cached = this.sourceSpecificCache.waqi.get(cacheKey);
+    addObservation(reading) {
+        if (!reading?.location) return;
         
-        if (cached) return cached;
+        this.interpolator.addObservation({
+            ...reading.location,
+            aqi: reading.aqi,
+            components: reading.components,
+            source: reading.source,
+            weight: this.providers.get(reading.source)?.weight ?? 1.0,
+            confidenceScore: reading.confidenceScore,
+            timestamp: reading.timestamp
+        });
+    }
+    
+    /**
+     * Inspect the persistent AQI cache (entries and bytes per source, limits)
+     */
+    getCacheStats() {
+        return this.cache.inspect();
+    }
+    
+    /**
+     * Clear cached readings
+     * @param {string} source - Only clear one source's readings ('aggregated' for merged tiles)
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async clearCache(source) {
+        const removed = await this.cache.clear(source ? { source } : {});
+        if (!source) this.interpolator.clear();
+        return removed;
+    }
+    
+    /**
+     * Add a fetched reading to the history of pinned locations in its tile
+     */
+    recordHistory(lat, lng, reading) {
+        this.history.findByTile(this.getTileKey(lat, lng))
+            .forEach(location => this.history.record(location.id, reading));
+    }
+    
+    /**
+     * Pin a location so its readings are recorded as a time series
+     * The current reading is recorded straight away.
+     * @param {string} name - Display name (defaults to the coordinates)
+     * @returns {Promise<Object>} - Pinned location
+     */
+    async pinLocation(lat, lng, name) {
+        await this.history.load();
+        const location = this.history.pin({ lat, lng, name, tileKey: this.getTileKey(lat, lng) });
         
-        try {
-            const url = `https://api.waqi.info/feed/geo:${lat};${lng}/?token=${WAQI_TOKEN}`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch WAQI data: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            if (data.status !== 'ok') {
-                throw new Error(`WAQI API error: ${data.data || 'Unknown error'}`);
-            }
-            
-            // Convert AQI to the 1-5 scale
-            const waqiValue = data.data?.aqi;
-            const aqi = this.convertUSAQItoScale(waqiValue);
+        const reading = await this.getAQI(lat, lng);
+        if (reading.source !== 'fallback') this.history.record(location.id, reading);
+        return location;
+    }
+    
+    /**
+     * Stop recording a location and delete its history
+     */
+    async unpinLocation(locationId) {
+        await this.history.load();
+        return this.history.unpin(locationId);
+    }
+    
+    async getPinnedLocations() {
+        await this.history.load();
+        return this.history.listLocations();
+    }
+    
+    /**
+     * Fetch a reading for every pinned location whose history is due an update
+     * @returns {Promise<number>} - Number of readings recorded
+     */
+    async refreshPinnedLocations() {
+        await this.history.load();
+        let recorded = 0;
+        
+        for (const location of this.history.listLocations()) {
+            const last = this.history.lastRecorded(location.id);
+            if (last !== null && Date.now() - last < this.history.minIntervalMs) continue;
             
-            const result = {
-                value: aqi,
-                source: 'waqi',
-                timestamp: Date.now(),
-                confidence: 'high',
-                rawValue: waqiValue,
-                components: {
-                    pm2_5: data.data?.iaqi?.pm25?.v || null,
-                    pm10: data.data?.iaqi?.pm10?.v || null,
-                    o3: data.data?.iaqi?.o3?.v || null,
-                    no2: data.data?.iaqi?.no2?.v || null
-                },
-                station: data.data?.city?.name || null
+            const reading = await this.getAQI(location.lat, location.lng);
+            if (reading.source !== 'fallback' && this.history.record(location.id, reading)) recorded++;
+        }
+        return recorded;
+    }
+    
+    /**
+     * Recorded readings of a pinned location, oldest first
+     * @param {Object} range - { from, to } in ms
+     */
+    async getHistory(locationId, range = {}) {
+        await this.history.load();
+        return this.history.getSeries(locationId, range);
+    }
+    
+    /**
+     * Get a continuous AQI estimate at any point, interpolated between stations
+     * The surrounding tile is fetched first so nearby stations are known.
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} options - { method: 'idw' | 'kriging', power, radiusKm, maxStations }
+     * @returns {Promise<Object>} - Reading with `uncertainty` (US AQI points) and `nearestStationKm`,
+     *                             plus the tile's source `spread` and `disagreement`
+     */
+    async getInterpolatedAQI(lat, lng, options = {}) {
+        const tileReading = await this.getAQI(lat, lng);
+        const estimate = this.interpolator.estimate(lat, lng, options);
+        
+        if (estimate) {
+            return {
+                ...estimate,
+                spread: tileReading.spread || 0,
+                disagreement: tileReading.disagreement || false
             };
-            
-            this.sourceSpecificCache.waqi.set(cacheKey, result);
-            this.sourcesStats.waqi.successes++;
-            return result;
-        } catch (error) {
-            console.error("WAQI data fetch error:", error);
-            this.sourcesStats.waqi.failures++;
-            return { value: -1, source: 'waqi', error: true };
         }
+        
+        // No station in range (e.g. every source failed): use the tile value, flagged as uncertain
+        return {
+            ...tileReading,
+            uncertainty: distanceUncertainty(Infinity),
+            nearestStationKm: null
+        };
+    }
+    
+    /**
+     * Estimate at a point from what is already known, without fetching: the
+     * stations in range, else the tile's cached reading, else the moderate
+     * fallback reading (source 'fallback')
+     * @param {Object} options - Interpolation options, as for getInterpolatedAQI
+     * @returns {Object} - Reading with `uncertainty` and `nearestStationKm`
+     */
+    estimateKnownAQI(lat, lng, options = {}) {
+        const estimate = this.interpolator.estimate(lat, lng, options);
+        if (estimate) return estimate;
+        
+        const tileReading = this.cache.get(`aggregated:${this.getTileKey(lat, lng)}`) || FALLBACK_READING;
+        return {
+            ...tileReading,
+            uncertainty: distanceUncertainty(Infinity),
+            nearestStationKm: null
+        };
+    }
+    
+    /**
+     * Derive the US AQI, dominant pollutant and 1-5 level of a normalized reading
+     * Concentrations take precedence; a provider-reported index is used only
+     * when the reading carries no usable concentrations.
+     */
+    finalizeReading(reading) {
+        const computed = computeAQI(reading.components);
+        const aqi = computed?.aqi ?? reading.aqi ?? -1;
+        
+        return {
+            ...reading,
+            aqi,
+            dominantPollutant: computed?.dominantPollutant || reading.dominantPollutant || null,
+            subIndices: computed?.subIndices || {},
+            value: usAQIToLevel(aqi)
+        };
     }
     
     /**
      * Get aggregated AQI from multiple sources with intelligent weighing
+     * Sources are combined on their computed US AQI with a robust consensus
+     * (weighted median by default, see config.AQI_AGGREGATION); outlying sources
+     * are left out and reported, and the result carries a numeric confidence score.
      */
     async getAggregatedAQI(lat, lng) {
-        // Fetch from all sources in parallel
-        const [openweatherData, iqairData, waqiData] = await Promise.all([
-            this.getOpenWeatherAQI(lat, lng),
-            this.getIQAirAQI(lat, lng),
-            this.getWAQIData(lat, lng)
-        ]);
+        // Sources with an open circuit are left out until their next probe,
+        // unless they still have a fresh reading of this tile
+        const tileKey = this.getTileKey(lat, lng);
+        const providers = this.providers.list().filter(provider =>
+            this.getBreaker(provider.id).isAvailable() || this.cache.get(`source:${provider.id}:${tileKey}`)
+        );
+        
+        // Fetch from all registered sources in parallel
+        const results = await Promise.all(
+            providers.map(provider => this.getProviderAQI(provider, lat, lng))
+        );
         
         // Collect valid results
-        const validResults = [
-            openweatherData?.value > 0 ? openweatherData : null,
-            iqairData?.value > 0 ? iqairData : null,
-            waqiData?.value > 0 ? waqiData : null
-        ].filter(result => result !== null);
+        const validResults = results.filter(result => result && !result.error && result.aqi >= 0);
         
-        // If no valid results, use OpenWeather as fallback
+        // If no valid results, use a moderate fallback
         if (validResults.length === 0) {
-            return { value: 3, source: 'fallback', confidence: 'low' };
-        }
-        
-        // If only one valid result, use it
-        if (validResults.length === 1) {
-            return validResults[0];
+            return { ...FALLBACK_READING };
         }
         
-        // Assign weights based on confidence and recency
+        // Assign weights based on confidence and the provider's configured weight
         const weights = validResults.map(result => {
             let weight = 1.0;
             
@@ -285,145 +487,127 @@ class AQIService {
             if (result.confidence === 'high') weight *= 1.5;
             if (result.confidence === 'low') weight *= 0.7;
             
-            // Prefer WAQI and IQAir over OpenWeather as they're usually more accurate
-            if (result.source === 'waqi') weight *= 1.3;
-            if (result.source === 'iqair') weight *= 1.2;
+            // Station-based providers are configured with higher weights than modelled ones
+            weight *= this.providers.get(result.source)?.weight ?? 1.0;
             
             return weight;
         });
         
-        // Calculate weighted average
-        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-        const weightedSum = validResults.reduce(
-            (sum, result, i) => sum + (result.value * weights[i]), 
-            0
-        );
-        
-        // Round to nearest integer (AQI levels are 1-5)
-        const aggregatedValue = Math.round(weightedSum / totalWeight);
+        const consensus = aggregateReadings(validResults, weights, config.AQI_AGGREGATION);
         
-        return {
-            value: aggregatedValue,
-            source: 'aggregated',
-            timestamp: Date.now(),
-            confidence: 'high',
-            sources: validResults.map(r => r.source),
-            individualValues: {
-                openweather: openweatherData?.value || null,
-                iqair: iqairData?.value || null,
-                waqi: waqiData?.value || null
-            },
-            components: this.aggregateComponents(validResults)
-        };
-    }
-    
-    /**
-     * Aggregate pollutant components from multiple sources
-     */
-    aggregateComponents(results) {
-        const components = {};
-        const componentCount = {};
+        if (consensus.outliers.length > 0) {
+            console.warn(
+                `AQI outliers at ${lat.toFixed(3)}, ${lng.toFixed(3)}:`,
+                consensus.outliers.map(r => `${r.source}=${Math.round(r.aqi)}`).join(', '),
+                `(consensus ${Math.round(consensus.aqi)})`
+            );
+        }
         
-        results.forEach(result => {
-            if (!result.components) return;
-            
-            Object.entries(result.components).forEach(([key, value]) => {
-                if (value === null || value === undefined) return;
-                
-                if (!components[key]) {
-                    components[key] = value;
-                    componentCount[key] = 1;
-                } else {
-                    components[key] += value;
-                    componentCount[key]++;
-                }
-            });
+        const individualValues = {};
+        providers.forEach((provider, i) => {
+            individualValues[provider.id] = results[i]?.aqi >= 0 ? results[i].aqi : null;
         });
         
-        // Calculate averages
-        Object.keys(components).forEach(key => {
-            components[key] = components[key] / componentCount[key];
-        });
+        // Concentrations are combined like the AQI (same weights and method), so
+        // the index derived from them in any standard follows the consensus
+        const components = aggregateComponents(consensus.inliers, consensus.inlierWeights, config.AQI_AGGREGATION);
+        const computed = computeAQI(components);
         
-        return components;
+        return {
+            value: usAQIToLevel(consensus.aqi),
+            aqi: consensus.aqi,
+            dominantPollutant: computed?.dominantPollutant || consensus.inliers[0].dominantPollutant || null,
+            subIndices: computed?.subIndices || {},
+            source: validResults.length > 1 ? 'aggregated' : validResults[0].source,
+            timestamp: Date.now(),
+            measuredAt: Math.min(...consensus.inliers.map(r => r.measuredAt || Date.now())),
+            confidence: confidenceLabel(consensus.confidenceScore),
+            confidenceScore: consensus.confidenceScore,
+            disagreement: consensus.disagreement,
+            spread: consensus.spread,
+            aggregation: consensus.method,
+            sources: consensus.inliers.map(r => r.source),
+            outliers: consensus.outliers.map(r => r.source),
+            individualValues,
+            components
+        };
     }
     
     /**
-     * Convert US AQI (0-500 scale) to OpenWeather scale (1-5)
+     * Express a reading as an index in the given standard
+     * @param {Object} aqiData - Reading returned by getAQI
+     * @param {string} standardId - Standard id (defaults to the user's selection)
+     * @returns {number} - Unrounded index, or -1 when unavailable
      */
-    convertUSAQItoScale(usAqi) {
-        if (!usAqi || usAqi < 0) return -1;
-        
-        if (usAqi <= 50) return 1;       // Good
-        if (usAqi <= 100) return 2;      // Moderate
-        if (usAqi <= 150) return 3;      // Unhealthy for Sensitive Groups
-        if (usAqi <= 200) return 4;      // Unhealthy
-        return 5;                        // Very Unhealthy or Hazardous
+    getIndex(aqiData, standardId = getActiveStandardId()) {
+        return getReadingIndex(aqiData, standardId);
     }
 
     /**
      * Get health recommendations based on AQI level and duration
-     * @param {number} aqi - AQI value
+     * @param {number} aqi - AQI value in the given standard
      * @param {number} durationMinutes - Exposure duration in minutes
+     * @param {string} standardId - Standard the value is expressed in
+     * @param {string} profileId - Health profile; sensitive profiles get the
+     *                             advice and risk of a worse level
+     * @param {string} modeId - Travel mode, adding its own advice
      * @returns {Object} - Health recommendation with text and risk level
      */
-    getHealthRecommendation(aqi, durationMinutes = 30) {
-        if (aqi === -1) {
+    getHealthRecommendation(aqi, durationMinutes = 30, standardId = getActiveStandardId(), profileId = getActiveProfileId(), modeId = getActiveModeId()) {
+        const level = getProfileLevel(aqi, standardId, profileId);
+        if (!level) {
             return { text: "AQI data not available", risk: "unknown" };
         }
         
         // Base recommendations
-        let recommendation = "";
-        let risk = "low";
-        
-        if (aqi === 1) {
-            recommendation = "Safe to travel";
-            risk = "very_low";
-        } else if (aqi === 2) {
-            recommendation = "Safe to travel. You may want to limit prolonged outdoor exercise.";
-            risk = "low";
-        } else if (aqi === 3) {
-            recommendation = "Wear a mask if you are sensitive. Avoid prolonged outdoor exercise.";
-            risk = "moderate";
-        } else if (aqi === 4) {
-            recommendation = "Avoid outdoor exercise and stay indoors. Consider wearing a mask.";
-            risk = "high";
-        } else if (aqi === 5) {
-            recommendation = "It is not safe to travel. Avoid outdoor activities. Wear a mask if you must go outside.";
-            risk = "very_high";
-        } else {
-            recommendation = "Hazardous air quality. Stay indoors and take necessary precautions.";
-            risk = "very_high";
+        let recommendation = level.advice;
+        let risk = level.risk;
+        
+        // Condition-specific advice once the air is no longer good for this profile
+        const profile = getProfile(profileId);
+        if (profile.advice && level.rank >= 1) {
+            recommendation += ` ${profile.advice}`;
+        }
+        
+        // Walkers and cyclists breathe far more outdoor air than drivers
+        const mode = getTravelMode(modeId);
+        if (mode.advice && level.rank >= 1) {
+            recommendation += ` ${mode.advice}`;
         }
         
-        // Adjust based on duration
-        if (durationMinutes > 60 && aqi >= 3) {
+        // Adjust based on duration (rank 2 is the third, "moderate" band of every standard)
+        if (durationMinutes > 60 && level.rank >= 2) {
             recommendation += " Extended exposure over 60 minutes significantly increases health risks.";
             // Increase risk by one level for long exposure
             if (risk === "moderate") risk = "high";
             else if (risk === "low") risk = "moderate";
-        } else if (durationMinutes < 10 && aqi <= 4) {
+        } else if (durationMinutes < 10 && level.rank <= 3) {
             recommendation += " Brief exposure under 10 minutes reduces some health risks.";
             // Potentially decrease risk for very short exposure
             if (risk === "high") risk = "moderate";
         }
         
-        return { text: recommendation, risk };
+        return { text: recommendation, risk, profile: profile.id, mode: mode.id };
     }
     
     /**
      * Get detailed AQI report with health risks and components
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
+     * @param {string} standardId - Standard to report the index in
      * @returns {Promise<Object>} - Detailed AQI report
      */
-    async getDetailedAQIReport(lat, lng) {
+    async getDetailedAQIReport(lat, lng, standardId = getActiveStandardId()) {
         const aqiData = await this.getAQI(lat, lng, true);
-        const healthRec = this.getHealthRecommendation(aqiData.value);
+        const index = this.getIndex(aqiData, standardId);
+        const healthRec = this.getHealthRecommendation(index, 30, standardId);
         
         return {
-            aqi: aqiData.value,
-            level: this.getAQILevelName(aqiData.value),
+            aqi: index,
+            standard: getStandard(standardId).id,
+            usAqi: aqiData.aqi ?? null,
+            dominantPollutant: aqiData.dominantPollutant || null,
+            level: this.getAQILevelName(index, standardId),
             health: healthRec,
             components: aqiData.components || {},
             sources: aqiData.sources || [aqiData.source],
@@ -436,14 +620,8 @@ class AQIService {
     /**
      * Get human-readable AQI level name
      */
-    getAQILevelName(aqi) {
-        if (aqi === -1) return "Unknown";
-        if (aqi === 1) return "Good";
-        if (aqi === 2) return "Fair";
-        if (aqi === 3) return "Moderate";
-        if (aqi === 4) return "Poor";
-        if (aqi === 5) return "Very Poor";
-        return "Unknown";
+    getAQILevelName(aqi, standardId = getActiveStandardId()) {
+        return getLevel(aqi, standardId)?.name || "Unknown";
     }
 
     /**
@@ -455,17 +633,40 @@ class AQIService {
         return `${latKey}_${lngKey}`;
     }
     
+    /**
+     * Get request queue state (active, queued, quota usage, retries) per provider
+     */
+    getSchedulerStats() {
+        return this.scheduler.getStats();
+    }
+    
     /**
      * Get reliability statistics for data sources
+     * Counts exclude cache hits; latency percentiles (ms) cover the most recent
+     * requests, and `circuit` describes the source's circuit breaker.
      */
     getSourcesStats() {
         const stats = {};
         
+        // Registered providers that have not been queried yet report zero counts
+        this.providers.list().forEach(provider => this.getSourceStats(provider.id));
+        
         for (const [source, data] of Object.entries(this.sourcesStats)) {
+            const { latencies, ...counts } = data;
+            const sorted = [...latencies].sort((a, b) => a - b);
+            
             stats[source] = {
-                ...data,
+                ...counts,
+                name: this.providers.get(source)?.name || source,
                 successRate: data.requests > 0 ? 
-                    (data.successes / data.requests * 100).toFixed(1) + '%' : '0%'
+                    (data.successes / data.requests * 100).toFixed(1) + '%' : '0%',
+                latency: {
+                    samples: sorted.length,
+                    p50: percentile(sorted, 0.5),
+                    p90: percentile(sorted, 0.9),
+                    p99: percentile(sorted, 0.99)
+                },
+                circuit: this.getBreaker(source).getState()
             };
         }
         
@@ -473,78 +674,211 @@ class AQIService {
     }
     
     /**
-     * Get AQI forecast for a location
-     * Currently uses OpenWeather forecast API
+     * Get the hourly AQI forecast (OpenWeather, about four days ahead) for the tile of a point
+     * @returns {Promise<Array>} - Readings sorted by `time` (ms), each with aqi, value and components
      */
-    async getAQIForecast(lat, lng) {
+    async getHourlyForecast(lat, lng) {
+        await this.cacheReady;
+        
+        const tileKey = this.getTileKey(lat, lng);
+        const cacheKey = `forecast:${tileKey}`;
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached) return cached.hours;
+        
         try {
             const url = `https://api.openweathermap.org/data/2.5/air_pollution/forecast?lat=${lat}&lon=${lng}&appid=${OPENWEATHER_KEY}`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch AQI forecast: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            if (!data.list || !data.list.length) {
-                throw new Error('No forecast data available');
-            }
-            
-            // Process forecast data into daily segments
-            const forecastByDay = {};
-            const now = new Date();
             
-            data.list.forEach(item => {
-                const date = new Date(item.dt * 1000);
-                const dayKey = date.toISOString().split('T')[0];
+            // Counts against the OpenWeather quota like the live readings
+            const data = await this.scheduler.schedule('openweather', cacheKey, async () => {
+                const response = await fetch(url);
                 
-                if (!forecastByDay[dayKey]) {
-                    forecastByDay[dayKey] = {
-                        date: dayKey,
-                        aqiValues: [],
-                        components: {
-                            pm2_5: [],
-                            pm10: [],
-                            o3: [],
-                            no2: []
-                        }
-                    };
+                if (!response.ok) {
+                    throw createHttpError(response, `Failed to fetch AQI forecast: ${response.statusText}`);
                 }
                 
-                forecastByDay[dayKey].aqiValues.push(item.main.aqi);
-                forecastByDay[dayKey].components.pm2_5.push(item.components.pm2_5);
-                forecastByDay[dayKey].components.pm10.push(item.components.pm10);
-                forecastByDay[dayKey].components.o3.push(item.components.o3);
-                forecastByDay[dayKey].components.no2.push(item.components.no2);
+                return response.json();
             });
+            if (!data.list || !data.list.length) {
+                throw new Error('No forecast data available');
+            }
             
-            // Calculate daily averages and max values
-            const forecast = Object.values(forecastByDay).map(day => {
-                const avgAqi = Math.round(day.aqiValues.reduce((sum, val) => sum + val, 0) / day.aqiValues.length);
-                const maxAqi = Math.max(...day.aqiValues);
-                
-                // Average components
-                const avgComponents = {};
-                Object.keys(day.components).forEach(component => {
-                    avgComponents[component] = day.components[component].reduce((sum, val) => sum + val, 0) / 
-                                              day.components[component].length;
-                });
-                
-                return {
-                    date: day.date,
-                    avgAqi,
-                    maxAqi,
-                    components: avgComponents,
-                    healthRisk: this.getHealthRecommendation(avgAqi).risk
-                };
-            });
+            // Index from the concentrations, consistent with live readings
+            const hours = data.list
+                .map(item => ({
+                    time: item.dt * 1000,
+                    ...this.finalizeReading({ components: item.components, rawValue: item.main?.aqi })
+                }))
+                .sort((a, b) => a.time - b.time);
             
-            return forecast;
+            this.cache.set(cacheKey, { hours }, { source: 'forecast' });
+            return hours;
         } catch (error) {
             console.error("AQI forecast error:", error);
             return [];
         }
     }
+    
+    /**
+     * Forecast reading for a point at a given moment, interpolated linearly
+     * between the surrounding forecast hours
+     * @param {number|Date} time - Moment of interest
+     * @returns {Promise<Object|null>} - Reading with `forecastTime`, or null outside the forecast range
+     */
+    async getForecastAQIAt(lat, lng, time) {
+        const target = +time;
+        const hours = await this.getHourlyForecast(lat, lng);
+        if (!hours.length) return null;
+        
+        const first = hours[0];
+        const last = hours[hours.length - 1];
+        if (target < first.time - FORECAST_STEP_MS || target > last.time + FORECAST_STEP_MS) return null;
+        
+        // Hours bracketing the target (clamped at both ends of the range)
+        const nextIndex = hours.findIndex(hour => hour.time >= target);
+        const after = nextIndex === -1 ? last : hours[nextIndex];
+        const before = nextIndex > 0 ? hours[nextIndex - 1] : after;
+        const fraction = after.time > before.time ? (target - before.time) / (after.time - before.time) : 0;
+        
+        const components = {};
+        new Set([...Object.keys(before.components || {}), ...Object.keys(after.components || {})]).forEach(key => {
+            const from = before.components?.[key] ?? after.components[key];
+            const to = after.components?.[key] ?? from;
+            components[key] = from + (to - from) * fraction;
+        });
+        
+        // Forecast skill drops with lead time
+        const leadHours = Math.max(0, (target - Date.now()) / FORECAST_STEP_MS);
+        const confidenceScore = 0.6 * Math.exp(-leadHours / 48);
+        const uncertainty = FORECAST_MIN_UNCERTAINTY +
+            (FORECAST_MAX_UNCERTAINTY - FORECAST_MIN_UNCERTAINTY) * (1 - Math.exp(-leadHours / 24));
+        
+        return {
+            ...this.finalizeReading({ components, aqi: before.aqi + (after.aqi - before.aqi) * fraction }),
+            source: 'forecast',
+            forecastTime: target,
+            confidence: confidenceLabel(confidenceScore),
+            confidenceScore,
+            uncertainty,
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Seed the nowcaster once with the recorded history of pinned locations
+     */
+    seedNowcaster() {
+        if (!this.nowcastSeeded) {
+            this.nowcastSeeded = this.history.load().then(() => {
+                const from = Date.now() - this.nowcaster.options.windowHours * FORECAST_STEP_MS;
+                this.history.listLocations().forEach(location => {
+                    this.nowcaster.seed(location.tileKey, this.history.getSeries(location.id, { from }));
+                });
+            }).catch(error => console.warn('Nowcast history unavailable:', error));
+        }
+        return this.nowcastSeeded;
+    }
+    
+    /**
+     * Nowcast AQI for a moment up to a few hours ahead, extrapolated from the
+     * recent readings of the tile (see Nowcaster)
+     * @param {number|Date} time - Target time
+     * @returns {Promise<Object|null>} - Reading with `uncertainty`, or null without
+     *                                   enough recent readings or beyond the horizon
+     */
+    async getNowcastAQIAt(lat, lng, time) {
+        await this.cacheReady;
+        await this.seedNowcaster();
+        
+        const target = +time;
+        const nowcast = this.nowcaster.nowcast(this.getTileKey(lat, lng), target);
+        if (!nowcast) return null;
+        
+        // Confidence falls as the prediction interval widens
+        const confidenceScore = Math.max(0.1, Math.min(0.8, 1 - nowcast.uncertainty / 100));
+        
+        return {
+            ...this.finalizeReading({ components: nowcast.components, aqi: nowcast.aqi }),
+            source: 'nowcast',
+            forecastTime: target,
+            confidence: confidenceLabel(confidenceScore),
+            confidenceScore,
+            uncertainty: nowcast.uncertainty,
+            nowcastSamples: nowcast.samples,
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Nowcast error against the readings that arrived later, per lead hour
+     */
+    getNowcastStats() {
+        return this.nowcaster.getErrorStats();
+    }
+    
+    /**
+     * Get AQI forecast for a location
+     * Currently uses OpenWeather forecast API. Days summarize the hourly
+     * forecast, which is kept in each day's `hourly` list.
+     * @param {string} standardId - Standard for the daily index values
+     */
+    async getAQIForecast(lat, lng, standardId = getActiveStandardId()) {
+        const hours = await this.getHourlyForecast(lat, lng);
+        
+        // Process forecast data into daily segments
+        const forecastByDay = {};
+        
+        hours.forEach(hour => {
+            const dayKey = new Date(hour.time).toISOString().split('T')[0];
+            
+            if (!forecastByDay[dayKey]) {
+                forecastByDay[dayKey] = {
+                    date: dayKey,
+                    hourly: [],
+                    components: {
+                        pm2_5: [],
+                        pm10: [],
+                        o3: [],
+                        no2: []
+                    }
+                };
+            }
+            
+            forecastByDay[dayKey].hourly.push({
+                time: hour.time,
+                aqi: this.getIndex(hour, standardId),
+                dominantPollutant: hour.dominantPollutant,
+                components: hour.components
+            });
+            Object.keys(forecastByDay[dayKey].components).forEach(component => {
+                forecastByDay[dayKey].components[component].push(hour.components?.[component] ?? 0);
+            });
+        });
+        
+        // Calculate daily averages and max values
+        return Object.values(forecastByDay).map(day => {
+            const aqiValues = day.hourly.map(hour => hour.aqi);
+            const avgAqi = aqiValues.reduce((sum, val) => sum + val, 0) / aqiValues.length;
+            const maxAqi = Math.max(...aqiValues);
+            
+            // Average components
+            const avgComponents = {};
+            Object.keys(day.components).forEach(component => {
+                avgComponents[component] = day.components[component].reduce((sum, val) => sum + val, 0) / 
+                                          day.components[component].length;
+            });
+            
+            return {
+                date: day.date,
+                avgAqi,
+                maxAqi,
+                components: avgComponents,
+                hourly: day.hourly,
+                standard: standardId,
+                healthRisk: this.getHealthRecommendation(avgAqi, 30, standardId).risk
+            };
+        });
+    }
 }
 
 export default new AQIService();
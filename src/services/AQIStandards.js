@@ -0,0 +1,218 @@
+/**
+ * AQI index standards: level names, colors, health advice and routing thresholds
+ * The breakpoint tables live in AQICalculator; readings keep pollutant
+ * concentrations so they can be expressed in any standard on demand.
+ */
+import { computeAQI, computeSubIndex, concentrationFromSubIndex } from './AQICalculator.js';
+
+const STORAGE_KEY = 'aqi_standard';
+const DEFAULT_STANDARD = 'owm';
+
+// Health advice shared by equivalent levels of every standard
+const ADVICE = {
+    very_low: "Safe to travel",
+    low: "Safe to travel. You may want to limit prolonged outdoor exercise.",
+    moderate: "Wear a mask if you are sensitive. Avoid prolonged outdoor exercise.",
+    high: "Avoid outdoor exercise and stay indoors. Consider wearing a mask.",
+    very_high: "It is not safe to travel. Avoid outdoor activities. Wear a mask if you must go outside.",
+    hazardous: "Hazardous air quality. Stay indoors and take necessary precautions."
+};
+
+/**
+ * Standard definitions
+ * levels: ascending by `min`; `risk` uses the service's risk vocabulary
+ * unhealthyFrom: index from which a whole route is considered unhealthy
+ * avoidAbove: edges above this index are penalized when avoiding high AQI
+ * precision: decimals shown for averaged values
+ */
+export const AQI_STANDARDS = {
+    us_epa: {
+        id: 'us_epa',
+        name: 'US EPA AQI',
+        max: 500,
+        precision: 0,
+        unhealthyFrom: 151,
+        avoidAbove: 200,
+        levels: [
+            { min: 0, range: '0–50', name: 'Good', color: '#00e400', risk: 'very_low', advice: ADVICE.very_low },
+            { min: 51, range: '51–100', name: 'Moderate', color: '#ffff00', risk: 'low', advice: ADVICE.low },
+            { min: 101, range: '101–150', name: 'Unhealthy for Sensitive Groups', color: '#ff7e00', risk: 'moderate', advice: ADVICE.moderate },
+            { min: 151, range: '151–200', name: 'Unhealthy', color: '#ff0000', risk: 'high', advice: ADVICE.high },
+            { min: 201, range: '201–300', name: 'Very Unhealthy', color: '#8f3f97', risk: 'very_high', advice: ADVICE.very_high },
+            { min: 301, range: '301+', name: 'Hazardous', color: '#7e0023', risk: 'very_high', advice: ADVICE.hazardous }
+        ]
+    },
+    in_naqi: {
+        id: 'in_naqi',
+        name: 'India NAQI (CPCB)',
+        max: 500,
+        precision: 0,
+        unhealthyFrom: 201,
+        avoidAbove: 300,
+        levels: [
+            { min: 0, range: '0–50', name: 'Good', color: '#00b050', risk: 'very_low', advice: ADVICE.very_low },
+            { min: 51, range: '51–100', name: 'Satisfactory', color: '#92d050', risk: 'low', advice: ADVICE.low },
+            { min: 101, range: '101–200', name: 'Moderate', color: '#ffff00', risk: 'moderate', advice: ADVICE.moderate },
+            { min: 201, range: '201–300', name: 'Poor', color: '#ff9900', risk: 'high', advice: ADVICE.high },
+            { min: 301, range: '301–400', name: 'Very Poor', color: '#ff0000', risk: 'very_high', advice: ADVICE.very_high },
+            { min: 401, range: '401+', name: 'Severe', color: '#c00000', risk: 'very_high', advice: ADVICE.hazardous }
+        ]
+    },
+    eu_caqi: {
+        id: 'eu_caqi',
+        name: 'EU CAQI',
+        max: 125,
+        precision: 0,
+        unhealthyFrom: 75,
+        avoidAbove: 100,
+        levels: [
+            { min: 0, range: '0–25', name: 'Very Low', color: '#79bc6a', risk: 'very_low', advice: ADVICE.very_low },
+            { min: 25, range: '25–50', name: 'Low', color: '#bbcf4c', risk: 'low', advice: ADVICE.low },
+            { min: 50, range: '50–75', name: 'Medium', color: '#eec20b', risk: 'moderate', advice: ADVICE.moderate },
+            { min: 75, range: '75–100', name: 'High', color: '#f29305', risk: 'high', advice: ADVICE.high },
+            { min: 100, range: '>100', name: 'Very High', color: '#e8416f', risk: 'very_high', advice: ADVICE.very_high }
+        ]
+    },
+    owm: {
+        id: 'owm',
+        name: 'OpenWeather (1–5)',
+        max: 5.99,
+        precision: 1,
+        unhealthyFrom: 4,
+        avoidAbove: 4,
+        // Displayed as the whole level the continuous index falls in
+        format: index => Math.floor(index),
+        levels: [
+            { min: 1, range: '1', name: 'Good', color: '#00e400', risk: 'very_low', advice: ADVICE.very_low },
+            { min: 2, range: '2', name: 'Fair', color: '#ffff00', risk: 'low', advice: ADVICE.low },
+            { min: 3, range: '3', name: 'Moderate', color: '#ff7e00', risk: 'moderate', advice: ADVICE.moderate },
+            { min: 4, range: '4', name: 'Poor', color: '#ff0000', risk: 'high', advice: ADVICE.high },
+            { min: 5, range: '5', name: 'Very Poor', color: '#8f3f97', risk: 'very_high', advice: ADVICE.very_high }
+        ]
+    }
+};
+
+export const UNAVAILABLE_COLOR = '#cccccc';
+
+/**
+ * Get a standard definition, falling back to the default
+ */
+export function getStandard(standardId = getActiveStandardId()) {
+    return AQI_STANDARDS[standardId] || AQI_STANDARDS[DEFAULT_STANDARD];
+}
+
+/**
+ * Currently selected standard id (persisted in localStorage)
+ */
+export function getActiveStandardId() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        return AQI_STANDARDS[stored] ? stored : DEFAULT_STANDARD;
+    } catch {
+        return DEFAULT_STANDARD;
+    }
+}
+
+/**
+ * Select the active standard and notify listeners with an 'aqi-standard-change' event
+ */
+export function setActiveStandard(standardId) {
+    if (!AQI_STANDARDS[standardId]) {
+        throw new Error(`Unknown AQI standard: ${standardId}`);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, standardId);
+    } catch {
+        // ignore storage errors; the selection only lasts for this session
+    }
+
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('aqi-standard-change', { detail: { standardId } }));
+    }
+}
+
+/**
+ * Find the level an index falls into
+ * @returns {Object|null} - Level definition plus its `rank` (0 = best), or null for missing data
+ */
+export function getLevel(index, standardId = getActiveStandardId()) {
+    if (index === null || index === undefined || index < 0 || Number.isNaN(index)) return null;
+
+    const levels = getStandard(standardId).levels;
+    let rank = 0;
+    levels.forEach((level, i) => {
+        if (index >= level.min) rank = i;
+    });
+
+    return { ...levels[rank], rank };
+}
+
+/**
+ * Color for an index, or the unavailable color for missing data
+ */
+export function getLevelColor(index, standardId = getActiveStandardId()) {
+    return getLevel(index, standardId)?.color || UNAVAILABLE_COLOR;
+}
+
+/**
+ * Format an index for display in its standard
+ */
+export function formatIndex(index, standardId = getActiveStandardId()) {
+    if (index === null || index === undefined || index < 0) return 'N/A';
+
+    const standard = getStandard(standardId);
+    return String(standard.format ? standard.format(index) : Math.round(index));
+}
+
+/**
+ * Continuous severity on a 1-based level scale: the level number plus the
+ * position inside the level's band. Lets scores compare across standards
+ * (an OpenWeather index of 3.4 has severity 3.4; US AQI 125 has about 3.5).
+ * @returns {number} - Severity, or -1 for missing data
+ */
+export function getSeverity(index, standardId = getActiveStandardId()) {
+    const level = getLevel(index, standardId);
+    if (!level) return -1;
+
+    const standard = getStandard(standardId);
+    const next = standard.levels[level.rank + 1];
+    const upper = next ? next.min : standard.max;
+    const fraction = upper > level.min ? Math.min(1, (index - level.min) / (upper - level.min)) : 0;
+
+    return level.rank + 1 + fraction;
+}
+
+/**
+ * Express a reading in a standard
+ * Uses the reading's pollutant concentrations when present, otherwise converts its
+ * US AQI through the concentration of the dominant pollutant.
+ * @param {Object} reading - Reading from AQIService (components in µg/m³, aqi in US EPA)
+ * @returns {number} - Unrounded index, or -1 without usable data
+ */
+export function getReadingIndex(reading, standardId = getActiveStandardId()) {
+    if (!reading || reading.error) return -1;
+
+    const standard = getStandard(standardId);
+    let index = computeAQI(reading.components, standard.id)?.aqi ?? null;
+
+    if (index === null && reading.aqi >= 0) {
+        index = convertIndex(reading.aqi, 'us_epa', standard.id, reading.dominantPollutant || 'pm2_5');
+    }
+
+    return index === null ? -1 : Math.min(index, standard.max);
+}
+
+/**
+ * Convert an index value between standards via the concentration of one pollutant
+ * @returns {number|null}
+ */
+export function convertIndex(index, fromStandardId, toStandardId, pollutant = 'pm2_5') {
+    if (fromStandardId === toStandardId) return index;
+
+    const concentration = concentrationFromSubIndex(pollutant, index, fromStandardId);
+    if (concentration === null) return null;
+
+    const converted = computeSubIndex(pollutant, concentration, toStandardId);
+    return converted === null ? null : Math.min(converted, getStandard(toStandardId).max);
+}
@@ -0,0 +1,117 @@
+/**
+ * Circuit breaker for an AQI provider
+ * After `failureThreshold` consecutive failures the circuit opens and the
+ * provider is skipped. Once the cooldown has passed a single probe request is
+ * let through (half-open): success closes the circuit, failure re-opens it
+ * with a doubled cooldown, up to `maxCooldownMs`.
+ */
+
+const DEFAULT_OPTIONS = {
+    failureThreshold: 5,       // consecutive failures before opening
+    cooldownMs: 60 * 1000,     // wait before the first probe
+    maxCooldownMs: 15 * 60 * 1000
+};
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - { failureThreshold, cooldownMs, maxCooldownMs }
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Close the circuit and forget past failures
+     */
+    reset() {
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.cooldownMs = this.options.cooldownMs;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a request would currently be let through (no state change)
+     */
+    isAvailable(now = Date.now()) {
+        if (this.state === CIRCUIT_STATES.CLOSED) return true;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) return !this.probeInFlight;
+        return now >= this.openedAt + this.cooldownMs;
+    }
+
+    /**
+     * Claim permission for a request; moves an open circuit whose cooldown
+     * has passed to half-open and reserves its single probe
+     * @returns {boolean} - Whether the request may be made
+     */
+    allowRequest(now = Date.now()) {
+        if (!this.isAvailable(now)) return false;
+
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.state = CIRCUIT_STATES.HALF_OPEN;
+            this.probeInFlight = true;
+        }
+        return true;
+    }
+
+    recordSuccess() {
+        this.reset();
+    }
+
+    /**
+     * Give back a probe that was never sent (e.g. held back by rate limits),
+     * so the next request probes instead
+     */
+    releaseProbe() {
+        this.probeInFlight = false;
+    }
+
+    /**
+     * @returns {boolean} - Whether this failure opened the circuit
+     */
+    recordFailure(now = Date.now()) {
+        this.consecutiveFailures++;
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            // Failed probe: back off further before the next one
+            this.cooldownMs = Math.min(this.cooldownMs * 2, this.options.maxCooldownMs);
+            this.open(now);
+            return true;
+        }
+
+        if (this.state === CIRCUIT_STATES.CLOSED && this.consecutiveFailures >= this.options.failureThreshold) {
+            this.open(now);
+            return true;
+        }
+        return false;
+    }
+
+    open(now) {
+        this.state = CIRCUIT_STATES.OPEN;
+        this.openedAt = now;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Snapshot for diagnostics
+     */
+    getState(now = Date.now()) {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt,
+            nextProbeAt: this.state === CIRCUIT_STATES.OPEN ? this.openedAt + this.cooldownMs : null,
+            probeDue: this.state === CIRCUIT_STATES.OPEN && this.isAvailable(now)
+        };
+    }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,150 @@
+/**
+ * Departure time recommender
+ * Evaluates routes across departure slots in the coming hours with the hourly
+ * AQI forecast and ranks the slots by expected exposure dose.
+ */
+import AQIService from './AQIService.js';
+import GraphRoutingService from './GraphRoutingService.js';
+import { getActiveStandardId } from './AQIStandards.js';
+import { getActiveProfileId, getProfileThresholds } from './HealthProfiles.js';
+import { exposureFactor, getActiveModeId } from './DoseModel.js';
+
+const MIN_HORIZON_HOURS = 1;
+const MAX_HORIZON_HOURS = 96; // Length of the OpenWeather forecast
+const SAMPLES_PER_ROUTE = 20; // Forecast lookups per route and departure
+
+class DeparturePlanner {
+    /**
+     * Rank departure windows for one or more candidate routes
+     * Each window is costed with the best of the routes for that departure.
+     * @param {Array} routes - Routes with coordinates and summary.totalTime (seconds)
+     * @param {Object} options - horizonHours (24-96), stepMinutes, maxResults,
+     *                           standard (index standard), startTime (ms), and the
+     *                           healthProfile exposure is weighted for (each route's
+     *                           own objective and travel mode are kept, 'aqi' and
+     *                           the active mode when it has none)
+     * @returns {Promise<Array>} - Windows sorted by expected exposure, best first
+     */
+    async planDepartures(routes, options = {}) {
+        const {
+            horizonHours = 24,
+            stepMinutes = 60,
+            maxResults = 5,
+            standard = getActiveStandardId(),
+            startTime = Date.now(),
+            healthProfile = getActiveProfileId()
+        } = options;
+
+        const horizon = Math.min(Math.max(horizonHours, MIN_HORIZON_HOURS), MAX_HORIZON_HOURS);
+        const { unhealthyFrom } = getProfileThresholds(standard);
+        const sampledRoutes = routes
+            .map((route, routeIndex) => ({ routeIndex, route, samples: this.sampleRoute(route) }))
+            .filter(({ samples }) => samples.length > 0);
+
+        const windows = [];
+        for (let offset = 0; offset < horizon * 60; offset += stepMinutes) {
+            const departureTime = startTime + offset * 60 * 1000;
+            let best = null;
+
+            for (const { routeIndex, route, samples } of sampledRoutes) {
+                const evaluation = await this.evaluateDeparture(route, samples, departureTime, standard, {
+                    objective: route.objective || 'aqi',
+                    healthProfile,
+                    modeId: route.travelMode || getActiveModeId()
+                });
+                if (evaluation && (!best || evaluation.totalExposure < best.totalExposure)) {
+                    best = { ...evaluation, routeIndex };
+                }
+            }
+
+            // Departures beyond the forecast range cannot be evaluated
+            if (!best) continue;
+
+            windows.push({
+                departureTime,
+                windowEnd: departureTime + stepMinutes * 60 * 1000,
+                ...best,
+                peakWarning: best.peakAQI >= unhealthyFrom
+            });
+        }
+
+        // Saving relative to leaving in the first slot
+        const baseline = windows[0]?.totalExposure;
+        windows.forEach(slot => {
+            slot.savingPercent = baseline > 0 ? (1 - slot.totalExposure / baseline) * 100 : 0;
+        });
+
+        return windows
+            .sort((a, b) => a.totalExposure - b.totalExposure)
+            .slice(0, maxResults)
+            .map((slot, index) => ({ ...slot, rank: index + 1, standard }));
+    }
+
+    /**
+     * Expected exposure of one route for a departure time
+     * @param {Object} context - objective, healthProfile and modeId the exposure is costed with
+     * @returns {Promise<Object|null>} - Totals, or null when the trip leaves the forecast range
+     */
+    async evaluateDeparture(route, samples, departureTime, standardId, context = {}) {
+        let totalExposure = 0;
+        let totalAQI = 0;
+        let peakAQI = -Infinity;
+        const modeFactor = exposureFactor(context.modeId);
+
+        for (const sample of samples) {
+            const reading = await AQIService.getForecastAQIAt(sample.lat, sample.lng, departureTime + sample.offsetMs);
+            if (!reading) return null;
+
+            const index = AQIService.getIndex(reading, standardId);
+            totalExposure += GraphRoutingService.exposureFromReading(reading, sample.minutes, context) * modeFactor;
+            totalAQI += index;
+            peakAQI = Math.max(peakAQI, index);
+        }
+
+        return {
+            totalExposure,
+            avgAQI: totalAQI / samples.length,
+            peakAQI,
+            arrivalTime: departureTime + (route.summary?.totalTime || 0) * 1000
+        };
+    }
+
+    /**
+     * Pick evenly spaced points along a route with the time at which each is reached
+     * Each sample stands for an equal share of the travel time.
+     * @returns {Array} - Samples { lat, lng, offsetMs, minutes }
+     */
+    sampleRoute(route) {
+        const coordinates = route.coordinates || [];
+        if (coordinates.length === 0) return [];
+
+        // Cumulative distance, so travel time is shared by length rather than by vertex
+        const cumulative = [0];
+        for (let i = 1; i < coordinates.length; i++) {
+            cumulative.push(cumulative[i - 1] + GraphRoutingService.calculateDistance(coordinates[i - 1], coordinates[i]));
+        }
+        const totalDistance = cumulative[cumulative.length - 1];
+        const totalTime = route.summary?.totalTime ?? totalDistance / 13.89; // ~50 km/h when unknown
+
+        const count = Math.min(SAMPLES_PER_ROUTE, coordinates.length);
+        const samples = [];
+        let index = 0;
+
+        for (let k = 0; k < count; k++) {
+            // Midpoint of the k-th equal-length stretch of the route
+            const fraction = (k + 0.5) / count;
+            while (index < coordinates.length - 1 && cumulative[index] < fraction * totalDistance) index++;
+
+            samples.push({
+                lat: coordinates[index].lat,
+                lng: coordinates[index].lng,
+                offsetMs: fraction * totalTime * 1000,
+                minutes: totalTime / 60 / count
+            });
+        }
+
+        return samples;
+    }
+}
+
+export default new DeparturePlanner();
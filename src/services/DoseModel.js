@@ -0,0 +1,190 @@
+/**
+ * Inhaled-dose model by travel mode
+ * The dose of a pollutant over a stretch of the trip is
+ *   concentration (µg/m³) × infiltration × ventilation (m³/min) × minutes
+ * where infiltration is the share of outdoor air reaching the traveller
+ * (1 in the open, lower inside vehicles) and ventilation the breathing rate
+ * for the effort the mode takes. Speeds are typical urban averages.
+ *
+ * The selected mode also picks the OSRM routing profile, and scales route
+ * exposure by how much outdoor air the traveller takes in relative to a car.
+ */
+
+const STORAGE_KEY = 'aqi_travel_mode';
+const DEFAULT_MODE = 'car';
+
+// Mode whose speed each OSRM profile's durations are for
+const PROFILE_MODES = { driving: 'car', foot: 'walk', bike: 'cycle' };
+
+// Pollutants with a dose; all concentrations are in µg/m³
+export const DOSE_POLLUTANTS = ['pm2_5', 'pm10', 'no2', 'o3', 'so2', 'co'];
+
+/**
+ * Travel mode definitions
+ * speedKmh: average door-to-door speed
+ * ventilationLpm: minute ventilation in litres per minute
+ * infiltration: fraction of outdoor concentration inside the mode (0-1)
+ * osrmProfile: OSRM routing profile ('driving', 'foot' or 'bike')
+ * advice: extra advice once the air is no longer good
+ */
+export const TRAVEL_MODES = {
+    walk: {
+        id: 'walk',
+        name: 'Walking',
+        speedKmh: 5,
+        ventilationLpm: 25,
+        infiltration: 1.0,
+        osrmProfile: 'foot',
+        advice: "On foot you breathe in several times more air than in a car: prefer side streets and parks away from traffic."
+    },
+    cycle: {
+        id: 'cycle',
+        name: 'Cycling',
+        speedKmh: 15,
+        ventilationLpm: 45,
+        infiltration: 1.0,
+        osrmProfile: 'bike',
+        advice: "Cycling multiplies the air you breathe: ride at an easy pace and prefer low-traffic streets."
+    },
+    two_wheeler: {
+        id: 'two_wheeler',
+        name: 'Two-wheeler',
+        speedKmh: 30,
+        ventilationLpm: 12,
+        infiltration: 1.0,
+        osrmProfile: 'driving',
+        advice: "Wear a well-fitting N95 mask under your helmet in heavy traffic."
+    },
+    car: {
+        id: 'car',
+        name: 'Car',
+        speedKmh: 50,
+        ventilationLpm: 9,
+        infiltration: 0.5, // Windows closed, fresh-air ventilation
+        osrmProfile: 'driving',
+        advice: "Keep the windows closed and set the ventilation to recirculate in heavy traffic."
+    },
+    bus: {
+        id: 'bus',
+        name: 'Bus',
+        speedKmh: 20,
+        ventilationLpm: 10,
+        infiltration: 0.8, // Frequent door openings
+        osrmProfile: 'driving',
+        advice: "Sit away from the doors; an N95 mask helps on crowded, stop-and-go routes."
+    }
+};
+
+/**
+ * Get a travel mode definition, falling back to the default
+ */
+export function getTravelMode(modeId = DEFAULT_MODE) {
+    return TRAVEL_MODES[modeId] || TRAVEL_MODES[DEFAULT_MODE];
+}
+
+/**
+ * Currently selected travel mode id (persisted in localStorage)
+ */
+export function getActiveModeId() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        return TRAVEL_MODES[stored] ? stored : DEFAULT_MODE;
+    } catch {
+        return DEFAULT_MODE;
+    }
+}
+
+/**
+ * Select the active travel mode and notify listeners with a 'travel-mode-change' event
+ */
+export function setActiveMode(modeId) {
+    if (!TRAVEL_MODES[modeId]) {
+        throw new Error(`Unknown travel mode: ${modeId}`);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, modeId);
+    } catch {
+        // ignore storage errors; the selection only lasts for this session
+    }
+
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('travel-mode-change', { detail: { modeId } }));
+    }
+}
+
+/**
+ * Travel speed of a mode in metres per second
+ */
+export function getSpeedMps(modeId = DEFAULT_MODE) {
+    return getTravelMode(modeId).speedKmh / 3.6;
+}
+
+/**
+ * Time to cover a distance at the mode's average speed
+ * @param {number} distanceMeters - Distance in metres
+ * @returns {number} - Seconds
+ */
+export function travelTimeSeconds(distanceMeters, modeId = DEFAULT_MODE) {
+    return distanceMeters / getSpeedMps(modeId);
+}
+
+/**
+ * Trip duration in a mode from the duration OSRM gives for the mode's profile:
+ * modes sharing a profile (a bus on the driving profile) are scaled by speed
+ * @param {number} profileSeconds - Duration of the OSRM route
+ * @returns {number} - Seconds
+ */
+export function modeDuration(profileSeconds, modeId = DEFAULT_MODE) {
+    const mode = getTravelMode(modeId);
+    const reference = getTravelMode(PROFILE_MODES[mode.osrmProfile]);
+    return profileSeconds * reference.speedKmh / mode.speedKmh;
+}
+
+/**
+ * Outdoor air taken in per minute relative to a car (ventilation × infiltration),
+ * e.g. about 10 when cycling; multiplies time-based exposure
+ */
+export function exposureFactor(modeId = DEFAULT_MODE) {
+    const mode = getTravelMode(modeId);
+    const car = TRAVEL_MODES[DEFAULT_MODE];
+    return (mode.ventilationLpm * mode.infiltration) / (car.ventilationLpm * car.infiltration);
+}
+
+/**
+ * Inhaled dose of each pollutant over some time in air of given composition
+ * @param {Object} components - Concentrations in µg/m³
+ * @param {number} minutes - Time spent in that air
+ * @returns {Object} - Dose in µg per pollutant (only pollutants with a concentration)
+ */
+export function inhaledDose(components, minutes, modeId = DEFAULT_MODE) {
+    const mode = getTravelMode(modeId);
+    const inhaledCubicMeters = mode.ventilationLpm / 1000 * minutes * mode.infiltration;
+    const dose = {};
+
+    DOSE_POLLUTANTS.forEach(pollutant => {
+        const concentration = components?.[pollutant];
+        if (concentration >= 0) dose[pollutant] = concentration * inhaledCubicMeters;
+    });
+
+    return dose;
+}
+
+/**
+ * Add a dose to a running total (mutates and returns the total)
+ */
+export function addDose(total, dose) {
+    Object.entries(dose || {}).forEach(([pollutant, micrograms]) => {
+        total[pollutant] = (total[pollutant] || 0) + micrograms;
+    });
+    return total;
+}
+
+/**
+ * Format a dose for display, switching to mg above 1000 µg
+ */
+export function formatDose(micrograms) {
+    if (micrograms === null || micrograms === undefined || !Number.isFinite(micrograms)) return 'N/A';
+    if (micrograms >= 1000) return `${(micrograms / 1000).toFixed(2)} mg`;
+    return `${micrograms < 10 ? micrograms.toFixed(2) : micrograms.toFixed(1)} µg`;
+}
@@ -1,92 +1,452 @@
 /**
  * Enhanced Graph-based routing service implementing multi-objective shortest-exposure routing
- * Features: Dijkstra/A*, Pareto front optimization, real-time multi-source AQI data
+ * Features: A* / bidirectional search, Pareto front optimization, real-time multi-source AQI data
  */
 
 import dijkstra from 'dijkstrajs';
+import config from '../config.js';
 import AQIService from './AQIService.js';
+import { computeAQI, computeSubIndex, usAQIToContinuousLevel, usAQIToLevel } from './AQICalculator.js';
+import { getActiveStandardId, getStandard } from './AQIStandards.js';
+import { getActiveProfileId, getPollutantFactor } from './HealthProfiles.js';
+import { addDose, exposureFactor, getTravelMode, inhaledDose, travelTimeSeconds } from './DoseModel.js';
+import { distanceUncertainty } from './AQIInterpolator.js';
+import { RISK_MEASURES, confidenceBand, riskLoading } from './RiskMeasures.js';
+import { dominates, paretoFront, paretoReach } from './ParetoSearch.js';
+import { aStar, bidirectionalAStar, minimaxPath, reverseGraph } from './ShortestPath.js';
+import MinHeap from './MinHeap.js';
+import { ROAD_CLASSES, isAccessible, loadRoadNetwork, networkCovers, onewayDirection } from './OSMNetworkLoader.js';
+import { stitchRoutes } from './RouteStitcher.js';
 
-class GraphRoutingService {
+// Edges reached later than this after now are costed with a nowcast or forecast
+const FORECAST_MIN_LEAD_MS = 30 * 60 * 1000;
+
+// Road network search area: the start/end bounding box grown by this margin
+const NETWORK_MARGIN_KM = config.ROAD_NETWORK?.marginKm ?? 2;
+
+// OSRM alternatives are joined where they cross or come within this distance
+const STITCH_TOLERANCE_M = config.ROUTE_STITCHING?.toleranceMeters ?? 10;
+
+const SEARCH_TIMING_SAMPLES = 200;
+
+// Exposure precomputation: tiles fetched at once, and edges costed between
+// two yields to the UI (so progress can be painted)
+const TILE_FETCH_CONCURRENCY = 6;
+const EDGE_BATCH_SIZE = 250;
+
+// Budgets of constrained routing and the search criterion ([exposure, distance,
+// time, expected exposure]) each one limits; maxEdgeAQI instead removes roads
+// above the limit. The exposure budget holds the expected exposure shown for
+// routes, not the risk-adjusted, penalized exposure the search minimizes.
+const BUDGET_CONSTRAINTS = [
+    { id: 'maxExposure', criterion: 3 },
+    { id: 'maxDetourRatio', criterion: 1 },
+    { id: 'maxTravelTime', criterion: 2 }
+];
+const CONSTRAINT_IDS = [...BUDGET_CONSTRAINTS.map(budget => budget.id), 'maxEdgeAQI'];
+
+// Route totals that constrained routing can minimize within the limits
+const CONSTRAINED_OBJECTIVES = { exposure: 'riskExposure', distance: 'totalDistance', time: 'estimatedTime' };
+
+// Default mix for the composite objective
+const COMPOSITE_WEIGHTS = { pm2_5: 0.5, no2: 0.25, o3: 0.25 };
+
+/**
+ * What routing can minimize: the overall AQI, a single pollutant or a weighted mix
+ */
+export const ROUTE_OBJECTIVES = [
+    { id: 'aqi', name: 'Overall AQI' },
+    { id: 'pm2_5', name: 'PM2.5' },
+    { id: 'pm10', name: 'PM10' },
+    { id: 'no2', name: 'NO₂' },
+    { id: 'o3', name: 'O₃' },
+    { id: 'composite', name: 'Composite (PM2.5 + NO₂ + O₃)' }
+];
+
+/**
+ * Single-objective search algorithms; 'dijkstra' is the former dijkstrajs search
+ */
+export const SEARCH_ALGORITHMS = [
+    { id: 'astar', name: 'A*' },
+    { id: 'bidirectional', name: 'Bidirectional A*' },
+    { id: 'dijkstra', name: 'Dijkstra (dijkstrajs)' }
+];
+
+/**
+ * Keys of at most `limit` tiles spread over the area: the tile under the most
+ * edges in each block of a grid coarsened until there are few enough blocks
+ * @param {Map} tiles - tileKey ("<row>_<col>") -> { edges }
+ * @returns {Set<string>}
+ */
+function spreadTiles(tiles, limit) {
+    if (tiles.size <= limit) return new Set(tiles.keys());
+    
+    for (let block = Math.ceil(Math.sqrt(tiles.size / limit)); ; block++) {
+        const chosen = new Map(); // blockKey -> tileKey
+        tiles.forEach((tile, tileKey) => {
+            const [row, col] = tileKey.split('_').map(Number);
+            const blockKey = `${Math.floor(row / block)}_${Math.floor(col / block)}`;
+            const current = chosen.get(blockKey);
+            if (!current || tiles.get(current).edges < tile.edges) chosen.set(blockKey, tileKey);
+        });
+        if (chosen.size <= limit) return new Set(chosen.values());
+    }
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+async function mapConcurrent(items, limit, fn) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await fn(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+}
+
+// Let the browser paint between batches of work
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Single-weight copy of a criteria graph, keeping the edges for which
+ * weightOf(nodeId, edge) is finite
+ * @returns {Map} - nodeId -> [{ to, weight }]
+ */
+function weightedGraph(graph, weightOf) {
+    const weighted = new Map();
+    graph.forEach((edges, nodeId) => {
+        weighted.set(nodeId, edges
+            .map(edge => ({ to: edge.to, weight: weightOf(nodeId, edge) }))
+            .filter(edge => Number.isFinite(edge.weight)));
+    });
+    return weighted;
+}
+
+export class GraphRoutingService {
     constructor() {
         this.roadGraph = new Map(); // Adjacency list representation
         this.nodePositions = new Map(); // lat,lng for each node
         this.edgeWeights = new Map(); // Stores both distance and AQI exposure weights
-        this.aqiCache = new Map(); // Cache for AQI values
+        this.edgeAQIEstimates = new Map(); // Interpolated AQI (with uncertainty) per edge
+        this.interpolationMethod = 'idw'; // 'idw', 'kriging' or 'tile'
+        this.nodeArrivalTimes = new Map(); // Estimated arrival time (ms) at each node
+        this.healthProfile = getActiveProfileId(); // Weights the pollutants in exposure
+        this.travelMode = 'car'; // Speed, breathing rate and infiltration for inhaled dose
+        this.edgeDoses = new Map(); // Inhaled µg per pollutant per edge
+        this.edgePollutantExposures = new Map(); // Exposure per pollutant per edge
+        this.objective = 'aqi'; // Minimized quantity: 'aqi', a pollutant or 'composite'
+        this.objectiveWeights = COMPOSITE_WEIGHTS;
+        this.edgeExposureMeans = new Map(); // Expected exposure per edge
+        this.edgeExposureStd = new Map(); // Standard deviation of exposure per edge
+        this.fallbackEdges = new Set(); // Edges costed from the moderate fallback reading (no data)
+        this.network = null; // Road network from a local OSM extract, if loaded
+        this.networkRequest = null; // Load of config.ROAD_NETWORK.url, started on first use
+        this.lastSearchStats = null; // Labels created by the last Pareto search
+        this.searchAlgorithm = 'astar'; // Single-objective search, see SEARCH_ALGORITHMS
+        this.searchTimings = []; // Recent { algorithm, ms, settled, nodes }
+        this.lastEndpoints = null; // { startNodeId, endNodeId } of the last routing
+        this.activeSearch = null; // { worker, reject } of the Pareto search in progress
+        this.lastConstraintReport = null; // Outcome of the last constrained search
     }
 
     /**
      * Build road network graph from route coordinates
+     * The routes are stitched together where they cross or run within
+     * STITCH_TOLERANCE_M of each other, so the search can switch between them.
      * @param {Array} routes - Array of route objects with coordinates
+     * @param {string} modeId - Travel mode whose speed gives the edge travel times
      */
-    buildRoadGraph(routes) {
+    buildRoadGraph(routes, modeId = this.travelMode) {
         console.log('Building road graph from routes...');
         this.roadGraph.clear();
         this.nodePositions.clear();
         this.edgeWeights.clear();
         
-        let nodeId = 0;
-        const coordinateToNodeId = new Map();
+        const { nodes, edges, junctions } = stitchRoutes(routes, { toleranceMeters: STITCH_TOLERANCE_M });
         
-        // Create nodes for each route point
-        routes.forEach((route, routeIndex) => {
-            route.coordinates.forEach((coord, coordIndex) => {
-                const coordKey = `${coord.lat.toFixed(5)}_${coord.lng.toFixed(5)}`;
-                
-                if (!coordinateToNodeId.has(coordKey)) {
-                    coordinateToNodeId.set(coordKey, nodeId);
-                    this.nodePositions.set(nodeId, coord);
-                    this.roadGraph.set(nodeId, new Map());
-                    nodeId++;
+        nodes.forEach((coord, nodeId) => {
+            this.nodePositions.set(nodeId, coord);
+            this.roadGraph.set(nodeId, new Map());
+        });
+        
+        // Add bidirectional edges
+        edges.forEach(([nodeId1, nodeId2]) => {
+            const coord1 = nodes[nodeId1];
+            const coord2 = nodes[nodeId2];
+            const distance = this.calculateDistance(coord1, coord2);
+            
+            this.roadGraph.get(nodeId1).set(nodeId2, distance);
+            this.roadGraph.get(nodeId2).set(nodeId1, distance);
+            
+            // Store edge weights for later AQI calculation
+            const edge = {
+                distance,
+                midpoint: {
+                    lat: (coord1.lat + coord2.lat) / 2,
+                    lng: (coord1.lng + coord2.lng) / 2
+                },
+                estimatedTravelTime: travelTimeSeconds(distance, modeId)
+            };
+            this.edgeWeights.set(`${nodeId1}_${nodeId2}`, edge);
+            this.edgeWeights.set(`${nodeId2}_${nodeId1}`, { ...edge });
+        });
+        
+        console.log(`Graph built with ${nodes.length} nodes, ${edges.length} edges and ${junctions} junctions between routes`);
+        return { nodes: nodes.length, edges: edges.length, junctions };
+    }
+    
+    /**
+     * Load a local OSM extract (XML or GeoJSON) to route on instead of the
+     * OSRM alternatives whenever it covers both ends of the trip
+     * @param {File|Blob|string} source - File picked by the user or URL of a bundled extract
+     * @returns {Promise<Object>} - { ways, nodes, bounds }
+     */
+    async loadNetwork(source) {
+        this.network = await loadRoadNetwork(source);
+        this.networkRequest = Promise.resolve(this.network);
+        return { ways: this.network.ways.length, nodes: this.network.nodes.size, bounds: this.network.bounds };
+    }
+    
+    unloadNetwork() {
+        this.network = null;
+        this.networkRequest = Promise.resolve(null);
+    }
+    
+    /**
+     * The loaded road network, loading config.ROAD_NETWORK.url the first time
+     * @returns {Promise<Object|null>}
+     */
+    getNetwork() {
+        if (!this.networkRequest) {
+            const url = config.ROAD_NETWORK?.url;
+            this.networkRequest = !url ? Promise.resolve(null) : loadRoadNetwork(url)
+                .then(network => (this.network = network))
+                .catch(error => {
+                    console.warn('Road network unavailable, using OSRM alternatives:', error);
+                    return null;
+                });
+        }
+        return this.networkRequest;
+    }
+    
+    /**
+     * Build the road graph from a road network, within a bounding box
+     * Graph nodes are the intersections and dead ends; the shape points between
+     * them become each edge's geometry. One-way streets get a single direction
+     * (except when walking) and roads the travel mode may not use are left out.
+     * @param {Object} network - Network from OSMNetworkLoader
+     * @param {Object} bbox - { south, west, north, east }
+     * @param {string} modeId - Travel mode (see DoseModel.TRAVEL_MODES)
+     */
+    buildNetworkGraph(network, bbox, modeId = this.travelMode) {
+        console.log('Building road graph from the road network...');
+        this.roadGraph.clear();
+        this.nodePositions.clear();
+        this.edgeWeights.clear();
+        
+        const inside = (osmId) => {
+            const { lat, lng } = network.nodes.get(osmId);
+            return lat >= bbox.south && lat <= bbox.north && lng >= bbox.west && lng <= bbox.east;
+        };
+        
+        // Split usable ways into runs of nodes inside the box
+        const segments = [];
+        network.ways.forEach(way => {
+            if (!isAccessible(way.highway, modeId)) return;
+            let run = [];
+            way.nodeIds.forEach(osmId => {
+                if (inside(osmId)) {
+                    run.push(osmId);
+                } else {
+                    if (run.length >= 2) segments.push({ way, nodeIds: run });
+                    run = [];
                 }
             });
+            if (run.length >= 2) segments.push({ way, nodeIds: run });
         });
         
-        // Create edges between consecutive points in each route
-        routes.forEach((route, routeIndex) => {
-            for (let i = 0; i < route.coordinates.length - 1; i++) {
-                const coord1 = route.coordinates[i];
-                const coord2 = route.coordinates[i + 1];
-                
-                const key1 = `${coord1.lat.toFixed(5)}_${coord1.lng.toFixed(5)}`;
-                const key2 = `${coord2.lat.toFixed(5)}_${coord2.lng.toFixed(5)}`;
-                
-                const nodeId1 = coordinateToNodeId.get(key1);
-                const nodeId2 = coordinateToNodeId.get(key2);
+        // Nodes shared by several segments (or ending one) are intersections
+        const uses = new Map();
+        segments.forEach(({ nodeIds }) => nodeIds.forEach((osmId, i) => {
+            const isEnd = i === 0 || i === nodeIds.length - 1;
+            uses.set(osmId, (uses.get(osmId) || 0) + (isEnd ? 2 : 1));
+        }));
+        
+        let nodeId = 0;
+        const graphIds = new Map();
+        const graphNode = (osmId) => {
+            if (!graphIds.has(osmId)) {
+                graphIds.set(osmId, nodeId);
+                this.nodePositions.set(nodeId, network.nodes.get(osmId));
+                this.roadGraph.set(nodeId, new Map());
+                nodeId++;
+            }
+            return graphIds.get(osmId);
+        };
+        
+        segments.forEach(({ way, nodeIds }) => {
+            const roadClass = ROAD_CLASSES[way.highway];
+            const direction = onewayDirection(way.tags, modeId);
+            const speedKmh = ['walk', 'cycle'].includes(modeId)
+                ? getTravelMode(modeId).speedKmh
+                : Math.min(roadClass.speedKmh, way.maxspeedKmh ?? Infinity);
+            
+            let geometry = [network.nodes.get(nodeIds[0])];
+            let fromOsmId = nodeIds[0];
+            for (let i = 1; i < nodeIds.length; i++) {
+                geometry.push(network.nodes.get(nodeIds[i]));
+                if (i < nodeIds.length - 1 && uses.get(nodeIds[i]) < 2) continue;
                 
-                if (nodeId1 !== undefined && nodeId2 !== undefined) {
-                    const distance = this.calculateDistance(coord1, coord2);
-                    
-                    // Add bidirectional edges
-                    this.roadGraph.get(nodeId1).set(nodeId2, distance);
-                    this.roadGraph.get(nodeId2).set(nodeId1, distance);
-                    
-                    // Store edge weights for later AQI calculation
-                    const edgeKey1 = `${nodeId1}_${nodeId2}`;
-                    const edgeKey2 = `${nodeId2}_${nodeId1}`;
-                    
-                    this.edgeWeights.set(edgeKey1, {
-                        distance,
-                        midpoint: {
-                            lat: (coord1.lat + coord2.lat) / 2,
-                            lng: (coord1.lng + coord2.lng) / 2
-                        },
-                        estimatedTravelTime: distance / 13.89 // ~50 km/h average speed
-                    });
-                    
-                    this.edgeWeights.set(edgeKey2, {
+                const from = graphNode(fromOsmId);
+                const to = graphNode(nodeIds[i]);
+                if (from !== to) {
+                    const edge = { highway: way.highway, name: way.name, speedKmh };
+                    if (direction >= 0) this.addNetworkEdge(from, to, geometry, edge);
+                    if (direction <= 0) this.addNetworkEdge(to, from, [...geometry].reverse(), edge);
+                }
+                geometry = [network.nodes.get(nodeIds[i])];
+                fromOsmId = nodeIds[i];
+            }
+        });
+        
+        console.log(`Network graph built with ${nodeId} nodes and ${this.edgeWeights.size} directed edges`);
+        return { nodes: nodeId, edges: this.edgeWeights.size, source: 'network' };
+    }
+    
+    /**
+     * Add a directed network edge, keeping the shorter of parallel edges
+     */
+    addNetworkEdge(from, to, geometry, { highway, name, speedKmh }) {
+        let distance = 0;
+        for (let i = 1; i < geometry.length; i++) {
+            distance += this.calculateDistance(geometry[i - 1], geometry[i]);
+        }
+        
+        const existing = this.roadGraph.get(from).get(to);
+        if (existing !== undefined && existing <= distance) return;
+        
+        this.roadGraph.get(from).set(to, distance);
+        this.edgeWeights.set(`${from}_${to}`, {
+            distance,
+            midpoint: this.pointAlong(geometry, distance / 2),
+            estimatedTravelTime: distance / (speedKmh / 3.6),
+            geometry,
+            highway,
+            name
+        });
+    }
+    
+    /**
+     * Build a grid graph around a point, for areas no road network covers
+     * Nodes sit on a square lattice, each linked to its eight neighbours; links
+     * are the straight lines lengthened by a detour factor, standing in for the
+     * unknown streets.
+     * @param {Object} center - { lat, lng }
+     * @param {number} radiusKm - Half the side of the grid
+     * @param {number} steps - Nodes from the centre to each side
+     * @param {string} modeId - Travel mode whose speed gives the edge travel times
+     * @param {number} detourFactor - Road distance over straight-line distance
+     */
+    buildGridGraph(center, radiusKm, steps, modeId = this.travelMode, detourFactor = 1.3) {
+        console.log('Building grid graph...');
+        this.roadGraph.clear();
+        this.nodePositions.clear();
+        this.edgeWeights.clear();
+
+        const latStep = radiusKm / steps / 111.32;
+        const lngStep = latStep / Math.cos(center.lat * Math.PI / 180);
+        const side = 2 * steps + 1;
+        const nodeId = (row, col) => (row + steps) * side + (col + steps);
+
+        for (let row = -steps; row <= steps; row++) {
+            for (let col = -steps; col <= steps; col++) {
+                this.nodePositions.set(nodeId(row, col), { lat: center.lat + row * latStep, lng: center.lng + col * lngStep });
+                this.roadGraph.set(nodeId(row, col), new Map());
+            }
+        }
+
+        for (let row = -steps; row <= steps; row++) {
+            for (let col = -steps; col <= steps; col++) {
+                [[0, 1], [1, -1], [1, 0], [1, 1]].forEach(([dRow, dCol]) => {
+                    if (row + dRow > steps || col + dCol < -steps || col + dCol > steps) return;
+
+                    const from = nodeId(row, col);
+                    const to = nodeId(row + dRow, col + dCol);
+                    const coord1 = this.nodePositions.get(from);
+                    const coord2 = this.nodePositions.get(to);
+                    const distance = this.calculateDistance(coord1, coord2) * detourFactor;
+
+                    this.roadGraph.get(from).set(to, distance);
+                    this.roadGraph.get(to).set(from, distance);
+
+                    const edge = {
                         distance,
                         midpoint: {
                             lat: (coord1.lat + coord2.lat) / 2,
                             lng: (coord1.lng + coord2.lng) / 2
                         },
-                        estimatedTravelTime: distance / 13.89
-                    });
-                }
+                        estimatedTravelTime: travelTimeSeconds(distance, modeId)
+                    };
+                    this.edgeWeights.set(`${from}_${to}`, edge);
+                    this.edgeWeights.set(`${to}_${from}`, { ...edge });
+                });
             }
-        });
-        
-        console.log(`Graph built with ${nodeId} nodes and ${this.edgeWeights.size / 2} edges`);
-        return { nodes: nodeId, edges: this.edgeWeights.size / 2 };
+        }
+
+        console.log(`Grid graph built with ${this.nodePositions.size} nodes and ${this.edgeWeights.size} directed edges`);
+        return { nodes: this.nodePositions.size, edges: this.edgeWeights.size, source: 'grid' };
+    }
+
+    /**
+     * Point at a given distance (metres) along a polyline
+     */
+    pointAlong(geometry, targetDistance) {
+        let travelled = 0;
+        for (let i = 1; i < geometry.length; i++) {
+            const step = this.calculateDistance(geometry[i - 1], geometry[i]);
+            if (travelled + step >= targetDistance && step > 0) {
+                const fraction = (targetDistance - travelled) / step;
+                return {
+                    lat: geometry[i - 1].lat + (geometry[i].lat - geometry[i - 1].lat) * fraction,
+                    lng: geometry[i - 1].lng + (geometry[i].lng - geometry[i - 1].lng) * fraction
+                };
+            }
+            travelled += step;
+        }
+        return geometry[geometry.length - 1];
+    }
+    
+    /**
+     * Coordinates of a node path, following edge geometries where known
+     */
+    pathCoordinates(path) {
+        const coordinates = [this.nodePositions.get(parseInt(path[0]))];
+        for (let i = 0; i < path.length - 1; i++) {
+            const geometry = this.edgeWeights.get(`${path[i]}_${path[i + 1]}`)?.geometry;
+            if (geometry) {
+                coordinates.push(...geometry.slice(1));
+            } else {
+                coordinates.push(this.nodePositions.get(parseInt(path[i + 1])));
+            }
+        }
+        return coordinates;
+    }
+    
+    /**
+     * Bounding box around two points grown by a margin in kilometres
+     */
+    searchBounds(startCoord, endCoord, marginKm = NETWORK_MARGIN_KM) {
+        const latMargin = marginKm / 111.32;
+        const lngMargin = marginKm / (111.32 * Math.cos(((startCoord.lat + endCoord.lat) / 2) * Math.PI / 180));
+        return {
+            south: Math.min(startCoord.lat, endCoord.lat) - latMargin,
+            north: Math.max(startCoord.lat, endCoord.lat) + latMargin,
+            west: Math.min(startCoord.lng, endCoord.lng) - lngMargin,
+            east: Math.max(startCoord.lng, endCoord.lng) + lngMargin
+        };
     }
     
     /**
@@ -109,66 +469,239 @@ class GraphRoutingService {
     
     /**
      * Get enhanced AQI data using the multi-source AQI service
+     * Readings come from the service's shared persistent cache.
+     * @param {string} standardId - Standard the returned index is expressed in
+     * @returns {Promise<number>} - Index in the requested standard
      */
-    async getAQIWithCache(lat, lng) {
-        const key = `${lat.toFixed(3)}_${lng.toFixed(3)}`;
-        
-        if (this.aqiCache.has(key)) {
-            const cached = this.aqiCache.get(key);
-            // Cache for 30 minutes
-            if (Date.now() - cached.timestamp < 30 * 60 * 1000) {
-                return cached.aqiData.value;
-            }
-        }
-        
-        // Fetch new AQI data using enhanced service
+    async getAQIWithCache(lat, lng, standardId = getActiveStandardId()) {
         try {
             const aqiData = await AQIService.getAQI(lat, lng);
-            const result = {
-                aqiData,
-                timestamp: Date.now()
-            };
-            
-            this.aqiCache.set(key, result);
             
             // Log data quality information
             if (aqiData.confidence === 'high' && aqiData.sources && aqiData.sources.length > 1) {
                 console.log(`High-quality AQI data from ${aqiData.sources.length} sources:`, aqiData.sources);
             }
             
-            return aqiData.value || 3; // Default to moderate if unavailable
+            const index = AQIService.getIndex(aqiData, standardId);
+            return index >= 0 ? index : this.getModerateIndex(standardId); // Default to moderate if unavailable
         } catch (error) {
             console.warn(`Failed to fetch enhanced AQI for ${lat}, ${lng}:`, error);
-            return 3; // Default to moderate AQI
+            return this.getModerateIndex(standardId); // Default to moderate AQI
         }
     }
     
+    /**
+     * Lower bound of the third ("moderate") band of a standard
+     */
+    getModerateIndex(standardId) {
+        return getStandard(standardId).levels[2].min;
+    }
+    
+    /**
+     * Estimate when the traveller reaches each node when leaving the start node
+     * at departureTime, as the earliest arrival over edge travel times.
+     * @param {number} startNodeId - Starting node
+     * @param {number} departureTime - Departure time (ms since epoch)
+     * @returns {Map<number, number>} - Arrival time (ms) per reachable node
+     */
+    estimateArrivalTimes(startNodeId, departureTime) {
+        const arrivals = new Map([[startNodeId, departureTime]]);
+        const open = new MinHeap((a, b) => a.arrival - b.arrival);
+        open.push({ nodeId: startNodeId, arrival: departureTime });
+        
+        while (!open.isEmpty()) {
+            const { nodeId, arrival } = open.pop();
+            if (arrival > arrivals.get(nodeId)) continue; // Stale queue entry
+            
+            for (const neighborId of this.roadGraph.get(nodeId)?.keys() || []) {
+                const edgeData = this.edgeWeights.get(`${nodeId}_${neighborId}`);
+                if (!edgeData) continue;
+                
+                const next = arrival + edgeData.estimatedTravelTime * 1000;
+                if (!arrivals.has(neighborId) || next < arrivals.get(neighborId)) {
+                    arrivals.set(neighborId, next);
+                    open.push({ nodeId: neighborId, arrival: next });
+                }
+            }
+        }
+        
+        return arrivals;
+    }
+    
+    /**
+     * Expected time (ms) at which the traveller passes the midpoint of an edge
+     */
+    getEdgeArrivalTime(edgeKey) {
+        const edgeData = this.edgeWeights.get(edgeKey);
+        const fromArrival = this.nodeArrivalTimes.get(parseInt(edgeKey.split('_')[0]));
+        if (!edgeData || fromArrival === undefined) return null;
+        
+        return fromArrival + edgeData.estimatedTravelTime * 1000 / 2;
+    }
+    
     /**
      * Calculate enhanced exposure dose for an edge using multi-source AQI data
+     * The AQI at the edge midpoint is interpolated between stations (or taken
+     * from its tile when interpolationMethod is 'tile'); edges reached well after
+     * now use a nowcast or the hourly forecast for the expected arrival time. The
+     * estimate, including its uncertainty, is kept in edgeAQIEstimates, and edges
+     * left with the fallback reading are listed in fallbackEdges.
+     * @param {string} edgeKey - Edge "<from>_<to>"
+     * @param {number|null} arrivalTime - Expected time (ms) on the edge, null for now
+     * @param {boolean} fetch - false to use only the stations already known
+     *                          (and the nowcast), without requests
      */
-    async calculateExposureDose(edgeKey) {
+    async calculateExposureDose(edgeKey, arrivalTime = null, fetch = true) {
         const edgeData = this.edgeWeights.get(edgeKey);
         if (!edgeData) return 0;
         
         try {
             // Get enhanced AQI data with multiple sources
-            const aqiData = await AQIService.getAQI(
-                edgeData.midpoint.lat, 
-                edgeData.midpoint.lng
-            );
+            const { lat, lng } = edgeData.midpoint;
+            let aqiData;
+            if (!fetch) {
+                aqiData = AQIService.estimateKnownAQI(lat, lng, { method: this.interpolationMethod === 'tile' ? 'idw' : this.interpolationMethod });
+            } else if (this.interpolationMethod === 'tile') {
+                aqiData = await AQIService.getAQI(lat, lng);
+            } else {
+                aqiData = await AQIService.getInterpolatedAQI(lat, lng, { method: this.interpolationMethod });
+            }
+            
+            // Air quality expected when the traveller gets there: the nowcast of
+            // the tile's recent readings for the next few hours, the hourly
+            // forecast beyond that (or when the tile has too few readings)
+            if (arrivalTime !== null && arrivalTime - Date.now() > FORECAST_MIN_LEAD_MS) {
+                const expected = await AQIService.getNowcastAQIAt(lat, lng, arrivalTime) ||
+                    (fetch ? await AQIService.getForecastAQIAt(lat, lng, arrivalTime) : null);
+                if (expected) aqiData = expected;
+            }
+            this.edgeAQIEstimates.set(edgeKey, aqiData);
+            if (aqiData.source === 'fallback') this.fallbackEdges.add(edgeKey);
+            else this.fallbackEdges.delete(edgeKey);
+            
+            // Physical dose over the edge's travel time, which the graph takes
+            // from the travel mode (or the road class when driving a road network)
+            this.edgeDoses.set(edgeKey, inhaledDose(aqiData.components, edgeData.estimatedTravelTime / 60, this.travelMode));
+            
+            // Time-based exposure, scaled by the outdoor air the mode takes in
+            const modeFactor = exposureFactor(this.travelMode);
+            const pollutantExposure = this.pollutantExposures(aqiData, edgeData.estimatedTravelTime / 60);
+            Object.keys(pollutantExposure).forEach(pollutant => {
+                pollutantExposure[pollutant] *= modeFactor;
+            });
+            this.edgePollutantExposures.set(edgeKey, pollutantExposure);
             
-            const aqi = aqiData.value || 3;
-            const travelTimeMinutes = edgeData.estimatedTravelTime / 60;
+            const exposure = this.exposureFromReading(aqiData, edgeData.estimatedTravelTime / 60) * modeFactor;
+            this.edgeExposureStd.set(edgeKey, this.exposureStd(aqiData, exposure));
+            return exposure;
             
-            // Base exposure dose = AQI level × travel time in minutes
-            let exposureDose = aqi * travelTimeMinutes;
+        } catch (error) {
+            console.warn(`Error calculating exposure dose for edge ${edgeKey}:`, error);
+            this.fallbackEdges.add(edgeKey);
+            return 3 * (edgeData.estimatedTravelTime / 60) * exposureFactor(this.travelMode); // Fallback calculation
+        }
+    }
+    
+    /**
+     * Exposure of every edge of the graph
+     * The distinct tiles under the edge midpoints are fetched first, several at
+     * a time (with their hourly forecast when an edge is reached later), so each
+     * edge is then costed from cached readings in batches that leave the UI responsive.
+     * With maxTiles, only that many tiles spread over the area are fetched and
+     * the other edges are interpolated from the stations those tiles returned.
+     * @param {Object} options - { maxTiles } (no limit by default)
+     * @returns {Promise<Map>} - Expected exposure per edge
+     */
+    async precomputeEdgeExposures(options = {}) {
+        const { maxTiles = Infinity } = options;
+        this.edgeAQIEstimates.clear();
+        this.edgeDoses.clear();
+        this.edgePollutantExposures.clear();
+        this.edgeExposureStd.clear();
+        this.fallbackEdges.clear();
+        
+        const tiles = new Map(); // tileKey -> { lat, lng, later, edges }
+        const edgeTiles = new Map(); // edgeKey -> tileKey
+        for (const [edgeKey, edgeData] of this.edgeWeights) {
+            const { lat, lng } = edgeData.midpoint;
+            const tileKey = AQIService.getTileKey(lat, lng);
+            const arrival = this.getEdgeArrivalTime(edgeKey);
+            const later = arrival !== null && arrival - Date.now() > FORECAST_MIN_LEAD_MS;
+            edgeTiles.set(edgeKey, tileKey);
             
-            // Apply confidence weighting - lower confidence gets slightly higher penalty
-            if (aqiData.confidence === 'low') {
-                exposureDose *= 1.1; // 10% penalty for low confidence data
-            } else if (aqiData.confidence === 'high') {
-                exposureDose *= 0.95; // 5% bonus for high confidence data
+            const tile = tiles.get(tileKey);
+            if (tile) {
+                tile.later = tile.later || later;
+                tile.edges++;
+            } else {
+                tiles.set(tileKey, { lat, lng, later, edges: 1 });
             }
+        }
+        
+        const fetchedTiles = spreadTiles(tiles, maxTiles);
+        console.log(`Fetching AQI for ${fetchedTiles.size} of ${tiles.size} tiles under ${this.edgeWeights.size} edges...`);
+        let fetched = 0;
+        await mapConcurrent([...fetchedTiles].map(tileKey => tiles.get(tileKey)), TILE_FETCH_CONCURRENCY, async tile => {
+            await AQIService.getAQI(tile.lat, tile.lng);
+            if (tile.later) await AQIService.getHourlyForecast(tile.lat, tile.lng);
+            this.reportProgress('tiles', ++fetched, fetchedTiles.size);
+        });
+        
+        const edgeExposures = new Map();
+        const edgeKeys = [...this.edgeWeights.keys()];
+        for (let start = 0; start < edgeKeys.length; start += EDGE_BATCH_SIZE) {
+            const batch = edgeKeys.slice(start, start + EDGE_BATCH_SIZE);
+            const exposures = await Promise.all(batch.map(edgeKey => this.calculateExposureDose(
+                edgeKey,
+                this.getEdgeArrivalTime(edgeKey),
+                fetchedTiles.has(edgeTiles.get(edgeKey))
+            )));
+            batch.forEach((edgeKey, i) => edgeExposures.set(edgeKey, exposures[i]));
+            
+            this.reportProgress('exposure', Math.min(start + EDGE_BATCH_SIZE, edgeKeys.length), edgeKeys.length);
+            await yieldToUI();
+        }
+        
+        return edgeExposures;
+    }
+    
+    /**
+     * Announce routing progress with a 'routing-progress' window event
+     * @param {string} phase - 'tiles', 'exposure' or 'search'
+     */
+    reportProgress(phase, done, total) {
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('routing-progress', { detail: { phase, done, total } }));
+        }
+    }
+    
+    /**
+     * Exposure dose of spending some time in air described by a reading
+     * @param {Object} aqiData - Reading (live, interpolated, nowcast or forecast)
+     * @param {number} travelTimeMinutes - Time spent in that air
+     * @param {Object} context - objective, objectiveWeights and healthProfile to cost
+     *                           with, by default those of the last route search
+     * @returns {number} - Exposure dose (AQI level × minutes, weighted)
+     */
+    exposureFromReading(aqiData, travelTimeMinutes, context = {}) {
+        const {
+            objective = this.objective,
+            objectiveWeights = this.objectiveWeights,
+            healthProfile = this.healthProfile
+        } = context;
+        const subIndices = this.getSubIndices(aqiData);
+        
+        // Base exposure dose = level of the optimized quantity × travel time in minutes
+        let exposureDose = this.getObjectiveLevel(aqiData, subIndices, { objective, objectiveWeights }) * travelTimeMinutes;
+        
+        // Apply confidence weighting - lower confidence gets slightly higher penalty,
+        // from +10% with no confidence to -5% with full confidence
+        exposureDose *= 1.1 - 0.15 * this.getConfidenceScore(aqiData);
+        
+        // Pollutant-specific objectives already choose what to weigh
+        if (objective === 'aqi') {
+            // Weight the pollutants that matter most for the traveller's health profile
+            exposureDose *= getPollutantFactor(subIndices, healthProfile);
             
             // Consider individual pollutant components if available
             if (aqiData.components && aqiData.components.pm2_5) {
@@ -178,44 +711,119 @@ class GraphRoutingService {
                     exposureDose *= 1.2; // 20% additional penalty for high PM2.5
                 }
             }
+        }
+        
+        return Math.max(exposureDose, 0.1); // Minimum exposure dose
+    }
+    
+    /**
+     * US AQI sub-index per pollutant of a reading
+     */
+    getSubIndices(aqiData) {
+        return aqiData.subIndices && Object.keys(aqiData.subIndices).length
+            ? aqiData.subIndices
+            : computeAQI(aqiData.components)?.subIndices || {};
+    }
+    
+    /**
+     * Continuous 1-5 level of the quantity being minimized: the overall AQI,
+     * one pollutant's sub-index, or a weighted mix of sub-indices. Falls back
+     * to the overall AQI when the reading lacks the pollutants.
+     */
+    getObjectiveLevel(aqiData, subIndices = this.getSubIndices(aqiData), context = {}) {
+        const { objective = this.objective, objectiveWeights = this.objectiveWeights } = context;
+        if (objective !== 'aqi') {
+            const weights = objective === 'composite' ? objectiveWeights : { [objective]: 1 };
+            let weighted = 0;
+            let total = 0;
             
-            return Math.max(exposureDose, 0.1); // Minimum exposure dose
-            
-        } catch (error) {
-            console.warn(`Error calculating exposure dose for edge ${edgeKey}:`, error);
-            return 3 * (edgeData.estimatedTravelTime / 60); // Fallback calculation
+            Object.entries(weights).forEach(([pollutant, weight]) => {
+                if (subIndices[pollutant] === undefined || !(weight > 0)) return;
+                weighted += weight * usAQIToContinuousLevel(subIndices[pollutant]);
+                total += weight;
+            });
+            if (total > 0) return weighted / total;
         }
+        
+        // Continuous level so exposure varies smoothly along the route
+        return aqiData.aqi >= 0 ? usAQIToContinuousLevel(aqiData.aqi) : (aqiData.value || 3);
+    }
+    
+    /**
+     * Exposure to each pollutant on its own (sub-index level × minutes)
+     */
+    pollutantExposures(aqiData, travelTimeMinutes) {
+        const exposures = {};
+        Object.entries(this.getSubIndices(aqiData)).forEach(([pollutant, subIndex]) => {
+            exposures[pollutant] = usAQIToContinuousLevel(subIndex) * travelTimeMinutes;
+        });
+        return exposures;
+    }
+    
+    /**
+     * Standard deviation of a reading's US AQI, combining the estimate's own
+     * uncertainty (distance to stations, forecast lead time) with the
+     * disagreement between sources
+     */
+    getAQIStd(aqiData) {
+        const uncertainty = aqiData.uncertainty ??
+            distanceUncertainty(aqiData.stationDistanceKm ?? aqiData.nearestStationKm ?? Infinity);
+        const spread = aqiData.spread || 0;
+        return Math.sqrt(uncertainty ** 2 + spread ** 2);
+    }
+    
+    /**
+     * Standard deviation of an edge exposure: the relative uncertainty of the
+     * AQI level carried over to the exposure
+     */
+    exposureStd(aqiData, exposure) {
+        if (!(aqiData.aqi >= 0)) return exposure * 0.5; // No reading: very uncertain
+        
+        // Levels rise by one per 50 US AQI points (see usAQIToContinuousLevel)
+        const levelStd = this.getAQIStd(aqiData) / 50;
+        return exposure * levelStd / usAQIToContinuousLevel(aqiData.aqi);
+    }
+    
+    /**
+     * Numeric confidence (0-1) of a reading, mapping old label-only readings
+     */
+    getConfidenceScore(aqiData) {
+        if (typeof aqiData.confidenceScore === 'number') return aqiData.confidenceScore;
+        if (aqiData.confidence === 'high') return 1;
+        if (aqiData.confidence === 'low') return 0;
+        return 0.6;
     }
     
     /**
      * Categorize pollutant levels (PM2.5, PM10, etc.) into AQI-like scale
+     * using the US EPA breakpoint sub-index of the concentration (µg/m³)
      */
     categorizePollutuantLevel(value, type) {
         if (!value || value < 0) return 1;
         
-        switch (type) {
-            case 'pm2_5':
-                if (value <= 12) return 1;
-                if (value <= 35.4) return 2;
-                if (value <= 55.4) return 3;
-                if (value <= 150.4) return 4;
-                return 5;
-            case 'pm10':
-                if (value <= 54) return 1;
-                if (value <= 154) return 2;
-                if (value <= 254) return 3;
-                if (value <= 354) return 4;
-                return 5;
-            default:
-                return 3; // Default to moderate
-        }
+        const subIndex = computeSubIndex(type, value);
+        return subIndex === null ? 3 : usAQIToLevel(subIndex); // Default to moderate
     }
     
     /**
-     * Multi-objective Dijkstra: finds Pareto front of routes
+     * Multi-objective search: finds the Pareto front of routes over exposure,
+     * distance and time with label setting (see ParetoSearch)
      * @param {number} startNodeId - Starting node
      * @param {number} endNodeId - Destination node
-     * @param {Object} preferences - User preferences for weighting
+     * @param {Object} preferences - User preferences for weighting; maxAQIThreshold
+     *                               is expressed in the index standard `standard`,
+     *                               departureTime (Date or ms) defaults to now,
+     *                               healthProfile selects the pollutant weights,
+     *                               travelMode ('walk', 'cycle', 'two_wheeler', 'car',
+     *                               'bus') the inhaled-dose model, objective what is
+     *                               minimized (see ROUTE_OBJECTIVES) with objectiveWeights
+     *                               giving the pollutant mix for 'composite',
+     *                               riskMeasure ('expected', 'mean-std' with riskK,
+     *                               'cvar' with riskAlpha) how edge uncertainty is priced,
+     *                               paretoEpsilon (0 = exact) the front's tolerance and
+     *                               maxLabels the search's label cap, searchAlgorithm
+     *                               ('astar', 'bidirectional', 'dijkstra') the
+     *                               single-objective search
      */
     async findParetoOptimalRoutes(startNodeId, endNodeId, preferences = {}) {
         console.log(`Finding Pareto optimal routes from ${startNodeId} to ${endNodeId}`);
@@ -224,26 +832,373 @@ class GraphRoutingService {
             maxAlternatives = 5, 
             aqiWeight = 0.7, 
             distanceWeight = 0.3,
-            maxAQIThreshold = 5 
+            maxAQIThreshold = Infinity,
+            standard = getActiveStandardId(),
+            interpolation = 'idw',
+            departureTime = Date.now(),
+            healthProfile = getActiveProfileId(),
+            travelMode = 'car',
+            objective = 'aqi',
+            objectiveWeights = COMPOSITE_WEIGHTS,
+            riskMeasure = 'expected',
+            riskK = 1,
+            riskAlpha = 0.9,
+            bandLevel = 0.9,
+            paretoEpsilon = 0,
+            maxLabels = 20000,
+            searchAlgorithm = 'astar',
+            constraints = null,
+            constraintObjective = 'exposure'
         } = preferences;
         
+        this.interpolationMethod = interpolation;
+        this.healthProfile = healthProfile;
+        this.travelMode = getTravelMode(travelMode).id;
+        this.objective = ROUTE_OBJECTIVES.some(option => option.id === objective) ? objective : 'aqi';
+        this.objectiveWeights = objectiveWeights;
+        this.riskMeasure = RISK_MEASURES.some(option => option.id === riskMeasure) ? riskMeasure : 'expected';
+        this.bandLevel = bandLevel;
+        this.searchAlgorithm = SEARCH_ALGORITHMS.some(option => option.id === searchAlgorithm) ? searchAlgorithm : 'astar';
+        this.nodeArrivalTimes = this.estimateArrivalTimes(startNodeId, +departureTime);
+        
         // Log high AQI avoidance status
-        if (maxAQIThreshold < 5) {
-            console.log(`🚫 High AQI avoidance ACTIVE: Avoiding areas with AQI > ${maxAQIThreshold}`);
+        if (Number.isFinite(maxAQIThreshold)) {
+            console.log(`🚫 High AQI avoidance ACTIVE: Avoiding areas with ${getStandard(standard).name} > ${maxAQIThreshold}`);
         } else {
             console.log(`✅ High AQI avoidance INACTIVE: All AQI levels allowed`);
         }
         
         // Pre-calculate exposure doses for all edges
         console.log('Calculating exposure doses for edges...');
-        const edgeExposures = new Map();
+        const edgeExposures = await this.precomputeEdgeExposures();
+        this.edgeExposureMeans = edgeExposures;
         
-        for (const [edgeKey, edgeData] of this.edgeWeights) {
-            const exposure = await this.calculateExposureDose(edgeKey);
-            edgeExposures.set(edgeKey, exposure);
+        // Risk-adjusted edge costs: mean plus a multiple of the standard deviation
+        const loading = riskLoading(this.riskMeasure, { k: riskK, alpha: riskAlpha });
+        const edgeCosts = loading > 0
+            ? new Map([...edgeExposures].map(([edgeKey, mean]) => [edgeKey, mean + loading * (this.edgeExposureStd.get(edgeKey) || 0)]))
+            : edgeExposures;
+        if (loading > 0) {
+            console.log(`Uncertainty-aware routing (${this.riskMeasure}): costs include ${loading.toFixed(2)}σ`);
         }
         
+        // Hard limits replace the weighted trade-off
+        this.lastConstraintReport = null;
+        const limits = this.normalizeConstraints(constraints);
+        if (limits) {
+            return this.findConstrainedRoutes(startNodeId, endNodeId, edgeCosts, limits, {
+                standardId: standard,
+                maxAQIThreshold,
+                minimize: constraintObjective,
+                maxAlternatives,
+                maxLabels,
+                paretoEpsilon,
+                loading
+            });
+        }
+        
+        // Exact (or epsilon-bounded) Pareto front over exposure, distance and time
+        const avoidance = await this.getAQIAvoidance(maxAQIThreshold, standard);
+        const criteriaGraph = this.buildCriteriaGraph(edgeCosts, avoidance);
+        const search = await this.runParetoSearch(criteriaGraph, startNodeId, endNodeId, { epsilon: paretoEpsilon, maxLabels });
+        this.lastSearchStats = { labels: search.labels, truncated: search.truncated, frontSize: search.routes.length };
+        console.log(`Label-setting search: ${search.labels} labels, ${search.routes.length} Pareto routes${search.truncated ? ' (label cap reached)' : ''}`);
+        
+        let frontRoutes = search.routes.map(({ path }) => this.summarizePath(path, edgeCosts));
+        
+        // The label cap can stop the search before it reaches the destination:
+        // fall back to weighted single-objective searches
+        if (frontRoutes.length === 0) {
+            frontRoutes = this.findWeightedRoutes(startNodeId, endNodeId, edgeCosts, avoidance);
+        }
+        frontRoutes = await this.retimeRoutes(frontRoutes, edgeCosts, loading);
+        
+        // Sort by composite score, then skip near-duplicates among the alternatives shown
+        frontRoutes.sort((a, b) => {
+            const scoreA = (a.riskExposure * aqiWeight) + (a.totalDistance * distanceWeight / 1000);
+            const scoreB = (b.riskExposure * aqiWeight) + (b.totalDistance * distanceWeight / 1000);
+            return scoreA - scoreB;
+        });
+        
         const paretoRoutes = [];
+        frontRoutes.forEach(route => {
+            if (!this.isSimilarRoute(route, paretoRoutes)) paretoRoutes.push(route);
+        });
+        paretoRoutes.forEach(route => {
+            route.routeType = this.getRouteType(route, frontRoutes);
+        });
+        
+        console.log(`Found ${paretoRoutes.length} Pareto optimal routes`);
+        return paretoRoutes.slice(0, maxAlternatives);
+    }
+    
+    /**
+     * Positive limits among the known constraints, or null when none is set
+     */
+    normalizeConstraints(constraints) {
+        if (!constraints) return null;
+        
+        const limits = {};
+        CONSTRAINT_IDS.forEach(id => {
+            const value = Number(constraints[id]);
+            if (Number.isFinite(value) && value > 0) limits[id] = value;
+        });
+        return Object.keys(limits).length ? limits : null;
+    }
+    
+    /**
+     * Constrained routing: the Pareto-optimal routes within hard limits, best
+     * first by the chosen objective (e.g. the cleanest route at most 15% longer
+     * than the shortest). Budgets bound the label-setting search; roads above
+     * maxEdgeAQI are removed, and roads above maxAQIThreshold penalized as in
+     * unconstrained routing. When no route is feasible, returns no routes and
+     * lastConstraintReport says which limits cannot be met.
+     * @param {Map} edgeCosts - Exposure cost per edge (minimized; the exposure
+     *                          budget holds the expected exposure instead)
+     * @param {Object} limits - { maxDetourRatio (× shortest distance), maxExposure
+     *                            (expected exposure), maxTravelTime (s), maxEdgeAQI
+     *                            (index in the standard) }
+     * @param {Object} options - { standardId, maxAQIThreshold, minimize: 'exposure' |
+     *                             'distance' | 'time', maxAlternatives, maxLabels,
+     *                             paretoEpsilon, loading (multiple of σ in the edge costs) }
+     */
+    async findConstrainedRoutes(startNodeId, endNodeId, edgeCosts, limits, options) {
+        const {
+            standardId,
+            maxAQIThreshold = Infinity,
+            minimize = 'exposure',
+            maxAlternatives = 5,
+            maxLabels,
+            paretoEpsilon = 0,
+            loading = 0
+        } = options;
+        
+        // Detours are measured against the shortest route, whatever its air
+        // quality (the high AQI penalty only raises the exposure criterion)
+        const avoidance = await this.getAQIAvoidance(maxAQIThreshold, standardId);
+        const fullGraph = this.buildCriteriaGraph(edgeCosts, avoidance, limits.maxExposure ? this.edgeExposureMeans : null);
+        const shortest = aStar(weightedGraph(fullGraph, (_, edge) => edge.costs[1]), startNodeId, endNodeId);
+        if (!shortest.path) throw new Error('No route connects the start and end points');
+        
+        let edgeIndices = null;
+        let graph = fullGraph;
+        if (limits.maxEdgeAQI) {
+            edgeIndices = await this.getEdgeIndices(standardId);
+            graph = new Map([...fullGraph].map(([nodeId, edges]) => [
+                nodeId,
+                edges.filter(edge => edgeIndices.get(`${nodeId}_${edge.to}`) <= limits.maxEdgeAQI)
+            ]));
+        }
+        
+        const bounds = this.constraintBounds(limits, shortest.cost);
+        const search = await this.runParetoSearch(graph, startNodeId, endNodeId, { epsilon: paretoEpsilon, maxLabels, bounds });
+        this.lastSearchStats = { labels: search.labels, truncated: search.truncated, frontSize: search.routes.length };
+        console.log(`Constrained search: ${search.labels} labels, ${search.routes.length} feasible Pareto routes`);
+        
+        if (search.routes.length === 0) {
+            this.lastConstraintReport = await this.diagnoseInfeasibility(graph, fullGraph, edgeIndices, startNodeId, endNodeId, limits, {
+                shortestDistance: shortest.cost,
+                truncated: search.truncated,
+                epsilon: paretoEpsilon,
+                maxLabels
+            });
+            console.warn(`No route within the limits: ${this.lastConstraintReport.message}`);
+            return [];
+        }
+        
+        const sortKey = CONSTRAINED_OBJECTIVES[minimize] || CONSTRAINED_OBJECTIVES.exposure;
+        const frontRoutes = (await this.retimeRoutes(search.routes.map(({ path }) => this.summarizePath(path, edgeCosts)), edgeCosts, loading))
+            .sort((a, b) => a[sortKey] - b[sortKey]);
+        
+        const routes = [];
+        frontRoutes.forEach(route => {
+            if (!this.isSimilarRoute(route, routes)) routes.push(route);
+        });
+        routes.forEach(route => {
+            route.routeType = this.getRouteType(route, frontRoutes);
+            route.detourRatio = shortest.cost > 0 ? route.totalDistance / shortest.cost : 1;
+        });
+        
+        this.lastConstraintReport = {
+            feasible: true,
+            limits,
+            shortestDistance: shortest.cost,
+            violated: [],
+            message: `${frontRoutes.length} Pareto-optimal route${frontRoutes.length === 1 ? '' : 's'} within the limits`
+        };
+        return routes.slice(0, maxAlternatives);
+    }
+    
+    /**
+     * Upper bound of each search criterion under the budgets
+     * @returns {Array<number>} - Bound per criterion, Infinity where unlimited
+     */
+    constraintBounds(limits, shortestDistance) {
+        const bounds = [Infinity, Infinity, Infinity, Infinity];
+        BUDGET_CONSTRAINTS.forEach(({ id, criterion }) => {
+            if (limits[id]) bounds[criterion] = id === 'maxDetourRatio' ? limits[id] * shortestDistance : limits[id];
+        });
+        return bounds;
+    }
+    
+    /**
+     * Why no route meets the limits: first the limits no route meets even on
+     * its own (with the best value possible), otherwise the limits that could
+     * each be met if it were the one relaxed
+     * @param {Map} graph - Criteria graph without the roads above maxEdgeAQI
+     * @param {Map} fullGraph - Criteria graph with every road
+     * @param {Map|null} edgeIndices - AQI index per edge, when maxEdgeAQI is set
+     * @returns {Promise<Object>} - { feasible: false, limits, violated: [{ constraint, limit, best }], message }
+     */
+    async diagnoseInfeasibility(graph, fullGraph, edgeIndices, startNodeId, endNodeId, limits, options) {
+        const { shortestDistance, truncated, epsilon, maxLabels } = options;
+        const report = (violated, message) => ({ feasible: false, limits, shortestDistance, violated, message });
+        const inLimitUnits = (id, value) => id === 'maxDetourRatio' ? value / shortestDistance : value;
+        
+        // Roads above the AQI limit cut every route
+        if (edgeIndices && !aStar(weightedGraph(graph, (_, edge) => edge.costs[1]), startNodeId, endNodeId).path) {
+            const cleanest = minimaxPath(weightedGraph(fullGraph, (nodeId, edge) => edgeIndices.get(`${nodeId}_${edge.to}`)), startNodeId, endNodeId);
+            const violated = [{ constraint: 'maxEdgeAQI', limit: limits.maxEdgeAQI, best: cleanest.cost }];
+            return report(violated, `Every route passes a road above the ${this.describeConstraint(violated[0], 'cleanest route')}.`);
+        }
+        
+        const budgets = BUDGET_CONSTRAINTS.filter(({ id }) => limits[id]);
+        const bounds = this.constraintBounds(limits, shortestDistance);
+        
+        // Budgets no route meets on its own
+        const alone = [];
+        budgets.forEach(({ id, criterion }) => {
+            const best = aStar(weightedGraph(graph, (_, edge) => edge.costs[criterion]), startNodeId, endNodeId).cost;
+            if (best > bounds[criterion]) alone.push({ constraint: id, limit: limits[id], best: inLimitUnits(id, best) });
+        });
+        if (alone.length > 0) {
+            return report(alone, `No route meets the ${alone.map(violation => this.describeConstraint(violation, 'best possible')).join(' or the ')}.`);
+        }
+        
+        // Each budget is reachable alone: find the ones that conflict with the rest
+        const search = await this.runParetoSearch(graph, startNodeId, endNodeId, { epsilon, maxLabels });
+        const together = [];
+        budgets.forEach(({ id, criterion }) => {
+            const meetOthers = search.routes.filter(route => route.costs.every((cost, i) => i === criterion || cost <= bounds[i]));
+            if (meetOthers.length === 0) return;
+            const best = Math.min(...meetOthers.map(route => route.costs[criterion]));
+            together.push({ constraint: id, limit: limits[id], best: inLimitUnits(id, best) });
+        });
+        
+        if (together.length > 0) {
+            return report(together, `The limits cannot all be met at once; relaxing the ${together.map(violation => this.describeConstraint(violation, 'needed with the other limits')).join(' or the ')} would allow a route.`);
+        }
+        if (truncated) {
+            return report([], `The search stopped at ${maxLabels} labels before finding a route within the limits; raise maxLabels or relax the limits.`);
+        }
+        return report(
+            budgets.map(({ id }) => ({ constraint: id, limit: limits[id], best: null })),
+            'No route meets the limits together, and relaxing a single one is not enough.'
+        );
+    }
+    
+    /**
+     * Readable limit with the value reachable instead, e.g.
+     * "detour limit of 10% (best possible: 18%)"
+     */
+    describeConstraint({ constraint, limit, best }, context) {
+        const format = {
+            maxDetourRatio: ratio => `${Math.round((ratio - 1) * 100)}%`,
+            maxExposure: exposure => exposure.toFixed(1),
+            maxTravelTime: seconds => `${Math.round(seconds / 60)} min`,
+            maxEdgeAQI: index => `${Math.round(index)}`
+        }[constraint];
+        const name = {
+            maxDetourRatio: 'detour limit',
+            maxExposure: 'exposure budget',
+            maxTravelTime: 'travel time limit',
+            maxEdgeAQI: 'road AQI limit'
+        }[constraint];
+        
+        return best === null || best === undefined
+            ? `${name} of ${format(limit)}`
+            : `${name} of ${format(limit)} (${context}: ${format(best)})`;
+    }
+    
+    /**
+     * Run the Pareto search in a Web Worker, reporting its progress
+     * A search still running is cancelled. Where workers are unavailable (or
+     * fail to start) the search runs on the main thread.
+     * @returns {Promise<Object>} - paretoFront() result
+     */
+    runParetoSearch(graph, startNodeId, endNodeId, options) {
+        return this.runSearchWorker(
+            { type: 'front', graph, source: startNodeId, target: endNodeId, options },
+            onProgress => paretoFront(graph, startNodeId, endNodeId, { ...options, onProgress })
+        );
+    }
+    
+    /**
+     * Run the one-to-all Pareto search in a Web Worker, like runParetoSearch
+     * @returns {Promise<Object>} - paretoReach() result
+     */
+    runParetoReach(graph, startNodeId, options) {
+        return this.runSearchWorker(
+            { type: 'reach', graph, source: startNodeId, options },
+            onProgress => paretoReach(graph, startNodeId, { ...options, onProgress })
+        );
+    }
+    
+    /**
+     * Post a search to a new route search worker, cancelling the one in progress
+     * @param {Object} message - routeSearch.worker.js message
+     * @param {Function} searchInline - onProgress -> result, for the main thread fallback
+     */
+    runSearchWorker(message, searchInline) {
+        const onProgress = (labels, maxLabels) => this.reportProgress('search', labels, maxLabels);
+        const runInline = () => searchInline(onProgress);
+        
+        if (typeof Worker === 'undefined') return Promise.resolve(runInline());
+        
+        if (this.activeSearch) {
+            this.activeSearch.worker.terminate();
+            this.activeSearch.reject(new Error('Route search cancelled by a newer search'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('../workers/routeSearch.worker.js', import.meta.url), { type: 'module' });
+            const finish = () => {
+                worker.terminate();
+                if (this.activeSearch?.worker === worker) this.activeSearch = null;
+            };
+            this.activeSearch = { worker, reject };
+            
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'progress') {
+                    onProgress(data.labels, data.maxLabels);
+                } else if (data.type === 'result') {
+                    finish();
+                    resolve(data.result);
+                } else {
+                    finish();
+                    reject(new Error(data.message));
+                }
+            };
+            worker.onerror = (event) => {
+                console.warn('Route search worker failed, searching on the main thread:', event.message);
+                finish();
+                try {
+                    resolve(runInline());
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            
+            worker.postMessage(message);
+        });
+    }
+    
+    /**
+     * Approximate the Pareto front with Dijkstra runs over fixed weight
+     * combinations (only finds routes on the front's convex hull)
+     */
+    findWeightedRoutes(startNodeId, endNodeId, edgeCosts, avoidance) {
+        const routes = [];
         
         // Try different weight combinations to find Pareto front
         const weightCombinations = [
@@ -256,95 +1211,278 @@ class GraphRoutingService {
         
         for (const weights of weightCombinations) {
             try {
-                const route = await this.findSingleObjectiveRoute(
+                const route = this.findSingleObjectiveRoute(
                     startNodeId, 
                     endNodeId, 
                     weights, 
-                    edgeExposures,
-                    maxAQIThreshold
+                    edgeCosts,
+                    avoidance
                 );
                 
-                if (route && !this.isDominatedRoute(route, paretoRoutes)) {
-                    paretoRoutes.push(route);
+                if (route && !this.isDominatedRoute(route, routes)) {
+                    routes.push(route);
                 }
             } catch (error) {
                 console.warn('Error finding route with weights:', weights, error);
             }
         }
         
-        // Sort by composite score and return top alternatives
-        paretoRoutes.sort((a, b) => {
-            const scoreA = (a.totalExposure * aqiWeight) + (a.totalDistance * distanceWeight / 1000);
-            const scoreB = (b.totalExposure * aqiWeight) + (b.totalDistance * distanceWeight / 1000);
-            return scoreA - scoreB;
-        });
+        return routes.filter(route => !this.isDominatedRoute(route, routes.filter(other => other !== route)));
+    }
+    
+    /**
+     * Index of an edge in a standard, preferring its interpolated estimate
+     */
+    async getEdgeIndex(edgeKey, standardId = getActiveStandardId()) {
+        const estimate = this.edgeAQIEstimates.get(edgeKey);
+        if (estimate) return AQIService.getIndex(estimate, standardId);
         
-        console.log(`Found ${paretoRoutes.length} Pareto optimal routes`);
-        return paretoRoutes.slice(0, maxAlternatives);
+        const edgeData = this.edgeWeights.get(edgeKey);
+        return this.getAQIWithCache(edgeData.midpoint.lat, edgeData.midpoint.lng, standardId);
+    }
+    
+    /**
+     * Index of every edge in a standard, looked up once so the search graphs
+     * can be built synchronously; only edges without an estimate wait for a reading
+     * @returns {Promise<Map>} - edgeKey -> index
+     */
+    async getEdgeIndices(standardId = getActiveStandardId()) {
+        const indices = new Map();
+        for (const edgeKey of this.edgeWeights.keys()) {
+            const estimate = this.edgeAQIEstimates.get(edgeKey);
+            indices.set(edgeKey, estimate ? AQIService.getIndex(estimate, standardId) : await this.getEdgeIndex(edgeKey, standardId));
+        }
+        return indices;
+    }
+    
+    /**
+     * High AQI avoidance for the search graphs: the threshold with the edge
+     * indices to compare it with
+     * @returns {Promise<Object|null>} - { threshold, indices, format }, null when inactive
+     */
+    async getAQIAvoidance(maxAQIThreshold, standardId = getActiveStandardId()) {
+        if (!Number.isFinite(maxAQIThreshold)) return null;
+        return {
+            threshold: maxAQIThreshold,
+            indices: await this.getEdgeIndices(standardId),
+            format: getStandard(standardId).format
+        };
+    }
+    
+    /**
+     * Exposure cost of an edge for the search: edges above the AQI threshold get
+     * a heavy penalty instead of being removed, to maintain connectivity. The
+     * threshold is compared with the index as displayed, so for standards shown
+     * as whole levels (OpenWeather) only edges in a higher level are penalized.
+     * @param {Object|null} avoidance - getAQIAvoidance() result
+     */
+    getEdgeSearchExposure(edgeKey, edgeExposures, avoidance) {
+        const exposure = edgeExposures.get(edgeKey) || 0;
+        if (!avoidance) return exposure;
+        
+        const { threshold, indices, format } = avoidance;
+        const index = indices.get(edgeKey);
+        const highAQIPenalty = 10.0; // 10x penalty for high AQI edges
+        return (format ? format(index) : index) > threshold ? exposure * highAQIPenalty : exposure;
+    }
+    
+    /**
+     * Graph for the multi-criteria search: every edge costs
+     * [exposure, distance (m), travel time (s)], plus the expected exposure
+     * when budgetExposures are given (for the exposure budget)
+     * @param {Object|null} avoidance - getAQIAvoidance() result
+     * @param {Map|null} budgetExposures - Expected exposure per edge
+     * @returns {Map} - nodeId -> [{ to, costs }]
+     */
+    buildCriteriaGraph(edgeExposures, avoidance = null, budgetExposures = null) {
+        const graph = new Map();
+        
+        for (const [nodeId, neighbors] of this.roadGraph) {
+            const edges = [];
+            for (const [neighborId, distance] of neighbors) {
+                const edgeKey = `${nodeId}_${neighborId}`;
+                const edgeData = this.edgeWeights.get(edgeKey);
+                if (!edgeData) continue;
+                
+                const exposure = this.getEdgeSearchExposure(edgeKey, edgeExposures, avoidance);
+                const costs = [exposure, distance, edgeData.estimatedTravelTime];
+                if (budgetExposures) costs.push(budgetExposures.get(edgeKey) || 0);
+                edges.push({ to: neighborId, costs });
+            }
+            graph.set(nodeId, edges);
+        }
+        
+        return graph;
     }
     
     /**
      * Find single route using weighted objective function
+     * @param {Map} edgeExposures - Exposure cost per edge (risk-adjusted when
+     *                              uncertainty-aware); totals report the expected
+     *                              exposure with its confidence band
+     */
+    findSingleObjectiveRoute(startNodeId, endNodeId, weights, edgeExposures, avoidance = null) {
+        const { graph, costPerMeter } = this.buildWeightedGraph(weights, edgeExposures, avoidance);
+        const result = this.runShortestPath(graph, startNodeId, endNodeId, costPerMeter);
+        
+        if (!result.path || result.path.length < 2) {
+            return null;
+        }
+        
+        return this.summarizePath(result.path, edgeExposures, weights);
+    }
+    
+    /**
+     * Weighted adjacency list for single-objective search, plus the lowest
+     * edge weight per metre of straight-line distance, which turns the
+     * haversine distance into an admissible, consistent A* heuristic
+     * @returns {Object} - { graph: Map(nodeId -> [{ to, weight }]), costPerMeter }
      */
-    async findSingleObjectiveRoute(startNodeId, endNodeId, weights, edgeExposures, maxAQIThreshold = 5) {
-        // Create weighted graph for Dijkstra
-        const weightedGraph = {};
+    buildWeightedGraph(weights, edgeExposures, avoidance = null) {
+        const graph = new Map();
+        let costPerMeter = Infinity;
         
         for (const [nodeId, neighbors] of this.roadGraph) {
-            weightedGraph[nodeId] = {};
+            const edges = [];
             
             for (const [neighborId, distance] of neighbors) {
                 const edgeKey = `${nodeId}_${neighborId}`;
-                const exposure = edgeExposures.get(edgeKey) || 0;
+                const exposure = this.getEdgeSearchExposure(edgeKey, edgeExposures, avoidance);
                 
-                // Get edge data to check AQI
-                const edgeData = this.edgeWeights.get(edgeKey);
-                if (edgeData) {
-                    // Calculate AQI for this edge
-                    const edgeAQI = await this.getAQIWithCache(
-                        edgeData.midpoint.lat, 
-                        edgeData.midpoint.lng
-                    );
-                    
-                    // Skip this edge if AQI exceeds threshold and we're avoiding high AQI
-                    if (maxAQIThreshold < 5 && edgeAQI > maxAQIThreshold) {
-                        // Apply heavy penalty instead of complete avoidance to maintain connectivity
-                        const highAQIPenalty = 10.0; // 10x penalty for high AQI edges
-                        
-                        // Composite weight with penalty
-                        const normalizedExposure = (exposure * highAQIPenalty) / 10;
-                        const normalizedDistance = distance / 1000;
-                        
-                        const compositeWeight = (normalizedExposure * weights.aqiW) + 
-                                              (normalizedDistance * weights.distW);
-                        
-                        weightedGraph[nodeId][neighborId] = Math.max(compositeWeight, 0.001);
-                        continue;
-                    }
-                }
-                
-                // Normal weight calculation for acceptable AQI edges
                 const normalizedExposure = exposure / 10; // Normalize AQI×time
                 const normalizedDistance = distance / 1000; // Normalize to km
                 
                 const compositeWeight = (normalizedExposure * weights.aqiW) + 
                                       (normalizedDistance * weights.distW);
+                const weight = Math.max(compositeWeight, 0.001); // Avoid zero weights
+                edges.push({ to: neighborId, weight });
                 
-                weightedGraph[nodeId][neighborId] = Math.max(compositeWeight, 0.001); // Avoid zero weights
+                const straight = this.calculateDistance(this.nodePositions.get(nodeId), this.nodePositions.get(neighborId));
+                if (straight > 0) costPerMeter = Math.min(costPerMeter, weight / straight);
             }
+            graph.set(nodeId, edges);
         }
         
-        // Run Dijkstra algorithm
-        const path = dijkstra.find_path(weightedGraph, startNodeId.toString(), endNodeId.toString());
+        return { graph, costPerMeter: Number.isFinite(costPerMeter) ? costPerMeter : 0 };
+    }
+    
+    /**
+     * Run the configured shortest-path algorithm and record its timing
+     * @param {Map} graph - nodeId -> [{ to, weight }]
+     * @param {number} costPerMeter - Heuristic scale (see buildWeightedGraph)
+     * @param {string} algorithm - 'astar', 'bidirectional' or 'dijkstra' (dijkstrajs)
+     * @returns {Object} - { path, cost, settled }
+     */
+    runShortestPath(graph, startNodeId, endNodeId, costPerMeter, algorithm = this.searchAlgorithm) {
+        const target = this.nodePositions.get(endNodeId);
+        const source = this.nodePositions.get(startNodeId);
+        const toTarget = (nodeId) => costPerMeter * this.calculateDistance(this.nodePositions.get(nodeId), target);
+        const fromSource = (nodeId) => costPerMeter * this.calculateDistance(source, this.nodePositions.get(nodeId));
         
-        if (!path || path.length < 2) {
-            return null;
+        const started = performance.now();
+        let result;
+        
+        if (algorithm === 'bidirectional') {
+            result = bidirectionalAStar(graph, reverseGraph(graph), startNodeId, endNodeId, { toTarget, fromSource });
+        } else if (algorithm === 'dijkstra') {
+            // Previous implementation, kept for comparison
+            const plainGraph = {};
+            graph.forEach((edges, nodeId) => {
+                plainGraph[nodeId] = Object.fromEntries(edges.map(({ to, weight }) => [to, weight]));
+            });
+            try {
+                const path = dijkstra.find_path(plainGraph, startNodeId.toString(), endNodeId.toString()).map(id => parseInt(id));
+                result = { path, cost: null, settled: null };
+            } catch {
+                result = { path: null, cost: Infinity, settled: null }; // find_path throws when unreachable
+            }
+        } else {
+            result = aStar(graph, startNodeId, endNodeId, toTarget);
         }
         
-        // Convert path to coordinates and calculate metrics
-        const coordinates = path.map(nodeId => this.nodePositions.get(parseInt(nodeId)));
+        this.recordSearchTiming(algorithm, performance.now() - started, result.settled, graph.size);
+        return result;
+    }
+    
+    recordSearchTiming(algorithm, ms, settled, nodes) {
+        this.searchTimings.push({ algorithm, ms, settled, nodes });
+        if (this.searchTimings.length > SEARCH_TIMING_SAMPLES) this.searchTimings.shift();
+    }
+    
+    /**
+     * Timing of recent shortest-path searches per algorithm
+     * @returns {Object} - algorithm -> { runs, avgMs, maxMs, avgSettled, avgNodes }
+     */
+    getSearchStats() {
+        const stats = {};
+        this.searchTimings.forEach(({ algorithm, ms, settled, nodes }) => {
+            const entry = stats[algorithm] || (stats[algorithm] = { runs: 0, totalMs: 0, maxMs: 0, totalSettled: 0, totalNodes: 0 });
+            entry.runs++;
+            entry.totalMs += ms;
+            entry.maxMs = Math.max(entry.maxMs, ms);
+            entry.totalSettled += settled ?? 0;
+            entry.totalNodes += nodes;
+        });
+        
+        return Object.fromEntries(Object.entries(stats).map(([algorithm, entry]) => [algorithm, {
+            runs: entry.runs,
+            avgMs: entry.totalMs / entry.runs,
+            maxMs: entry.maxMs,
+            avgSettled: algorithm === 'dijkstra' ? null : entry.totalSettled / entry.runs, // dijkstrajs does not report it
+            avgNodes: entry.totalNodes / entry.runs
+        }]));
+    }
+    
+    /**
+     * Run every algorithm on the current graph for the pure exposure and pure
+     * distance objectives and compare their timings and path costs
+     * Call after findOptimalRoutes, which builds the graph and edge exposures;
+     * the endpoints default to those of that routing.
+     * @returns {Promise<Array>} - [{ objective, algorithm, ms, settled, cost }]
+     */
+    async compareSearchAlgorithms(
+        startNodeId = this.lastEndpoints?.startNodeId,
+        endNodeId = this.lastEndpoints?.endNodeId,
+        edgeExposures = this.edgeExposureMeans
+    ) {
+        if (startNodeId === undefined) {
+            throw new Error('Find a route first: the comparison runs on its graph');
+        }
+        
+        const rows = [];
+        const objectives = { exposure: { aqiW: 1.0, distW: 0.0 }, distance: { aqiW: 0.0, distW: 1.0 } };
+        
+        for (const [objective, weights] of Object.entries(objectives)) {
+            const { graph, costPerMeter } = this.buildWeightedGraph(weights, edgeExposures);
+            for (const { id: algorithm } of SEARCH_ALGORITHMS) {
+                const started = performance.now();
+                const result = this.runShortestPath(graph, startNodeId, endNodeId, costPerMeter, algorithm);
+                const cost = result.path
+                    ? result.path.slice(1).reduce((sum, nodeId, i) => sum + graph.get(result.path[i]).find(edge => edge.to === nodeId).weight, 0)
+                    : Infinity;
+                rows.push({ objective, algorithm, ms: performance.now() - started, settled: result.settled, cost });
+            }
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Totals of a node path: distance, time, expected exposure with its
+     * confidence band, risk-adjusted exposure, dose and per-pollutant exposure
+     * @param {Array<number>} path - Node ids
+     * @param {Map} edgeExposures - Exposure cost per edge used by the search
+     * @param {Object|null} weights - Weights of the weighted search that found it
+     */
+    summarizePath(path, edgeExposures, weights = null) {
+        const coordinates = this.pathCoordinates(path);
         let totalDistance = 0;
+        let estimatedTime = 0;
         let totalExposure = 0;
+        let riskExposure = 0;
+        let exposureStd = 0;
+        const dose = {};
+        const pollutantExposure = {};
         
         for (let i = 0; i < path.length - 1; i++) {
             const edgeKey = `${path[i]}_${path[i + 1]}`;
@@ -352,25 +1490,115 @@ class GraphRoutingService {
             
             if (edgeData) {
                 totalDistance += edgeData.distance;
-                totalExposure += edgeExposures.get(edgeKey) || 0;
+                estimatedTime += edgeData.estimatedTravelTime;
+                totalExposure += this.edgeExposureMeans.get(edgeKey) ?? edgeExposures.get(edgeKey) ?? 0;
+                riskExposure += edgeExposures.get(edgeKey) || 0;
+                exposureStd += this.edgeExposureStd.get(edgeKey) || 0; // Fully correlated errors
+                addDose(dose, this.edgeDoses.get(edgeKey));
+                Object.entries(this.edgePollutantExposures.get(edgeKey) || {}).forEach(([pollutant, exposure]) => {
+                    pollutantExposure[pollutant] = (pollutantExposure[pollutant] || 0) + exposure;
+                });
             }
         }
         
         return {
             coordinates,
-            path: path.map(id => parseInt(id)),
+            path,
             totalDistance,
             totalExposure,
-            avgAQI: coordinates.length > 0 ? totalExposure / (totalDistance / 1000 / 50 * 60) : 0, // Approximate
-            estimatedTime: totalDistance / 13.89, // seconds
+            riskExposure,
+            exposureStd,
+            exposureBand: confidenceBand(totalExposure, exposureStd, this.bandLevel),
+            riskMeasure: this.riskMeasure,
+            dose, // Inhaled µg per pollutant
+            pollutantExposure, // Exposure per pollutant (sub-index level × minutes)
+            objective: this.objective,
+            travelMode: this.travelMode,
+            avgAQI: estimatedTime > 0 ? totalExposure / (estimatedTime / 60) : 0, // Exposure per minute
+            estimatedTime, // seconds
             weights: weights
         };
     }
     
     /**
-     * Check if a route is dominated by existing routes (Pareto dominance)
+     * Re-cost routes with the times at which they reach their own edges
+     * Edge exposures are precomputed for the earliest arrival at each node over
+     * the whole graph, which a route taking a longer way reaches later. Edges a
+     * route reaches later, far enough ahead to be costed with a nowcast or the
+     * forecast, are costed again for the route's own time and the route is
+     * summarized with those costs; the precomputed edge costs are left as they were.
+     * @param {Array} routes - summarizePath() results
+     * @param {Map} edgeCosts - Risk-adjusted exposure per edge
+     * @param {number} loading - Multiple of the standard deviation in edgeCosts
+     * @returns {Promise<Array>} - The routes, re-costed where their timing differs
+     */
+    async retimeRoutes(routes, edgeCosts, loading = 0) {
+        const retimed = [];
+        
+        for (const route of routes) {
+            const { path } = route;
+            let arrival = this.nodeArrivalTimes.get(parseInt(path[0]));
+            const later = [];
+            for (let i = 0; i < path.length - 1 && arrival !== undefined; i++) {
+                const edgeKey = `${path[i]}_${path[i + 1]}`;
+                const edgeData = this.edgeWeights.get(edgeKey);
+                if (!edgeData) continue;
+                
+                const onEdge = arrival + edgeData.estimatedTravelTime * 1000 / 2;
+                if (onEdge > this.getEdgeArrivalTime(edgeKey) && onEdge - Date.now() > FORECAST_MIN_LEAD_MS) {
+                    later.push({ edgeKey, onEdge });
+                }
+                arrival += edgeData.estimatedTravelTime * 1000;
+            }
+            
+            if (later.length === 0) {
+                retimed.push(route);
+                continue;
+            }
+            
+            // calculateExposureDose() stores its results per edge: keep the
+            // precomputed ones to put back once the route is summarized
+            const edgeMaps = [this.edgeAQIEstimates, this.edgeDoses, this.edgePollutantExposures, this.edgeExposureStd, this.edgeExposureMeans];
+            const saved = later.map(({ edgeKey }) => edgeMaps.map(map => map.get(edgeKey)));
+            
+            const pathCosts = new Map();
+            for (let i = 0; i < path.length - 1; i++) {
+                const edgeKey = `${path[i]}_${path[i + 1]}`;
+                pathCosts.set(edgeKey, edgeCosts.get(edgeKey));
+            }
+            for (const { edgeKey, onEdge } of later) {
+                const exposure = await this.calculateExposureDose(edgeKey, onEdge);
+                this.edgeExposureMeans.set(edgeKey, exposure);
+                pathCosts.set(edgeKey, exposure + loading * (this.edgeExposureStd.get(edgeKey) || 0));
+            }
+            
+            retimed.push({ ...route, ...this.summarizePath(path, pathCosts, route.weights) });
+            
+            later.forEach(({ edgeKey }, i) => {
+                edgeMaps.forEach((map, m) => {
+                    if (saved[i][m] === undefined) map.delete(edgeKey);
+                    else map.set(edgeKey, saved[i][m]);
+                });
+            });
+        }
+        
+        return retimed;
+    }
+    
+    /**
+     * Check if a route is Pareto-dominated by one of the existing routes on
+     * risk-adjusted exposure, distance and time
      */
     isDominatedRoute(newRoute, existingRoutes) {
+        const costs = (route) => [route.riskExposure, route.totalDistance, route.estimatedTime];
+        return existingRoutes.some(existing => dominates(costs(existing), costs(newRoute)));
+    }
+    
+    /**
+     * Check if a route is within 5% of an existing route on both distance and
+     * exposure, i.e. adds little as an alternative to show
+     */
+    isSimilarRoute(newRoute, existingRoutes) {
         const threshold = 0.05; // 5% tolerance
         
         return existingRoutes.some(existing => {
@@ -405,8 +1633,12 @@ class GraphRoutingService {
      */
     async findOptimalRoutes(startCoord, endCoord, existingRoutes, preferences = {}) {
         try {
-            // Build graph from existing OSRM routes
-            const graphStats = this.buildRoadGraph(existingRoutes);
+            // Search the whole road network when one covers the trip, otherwise
+            // re-combine the OSRM alternatives
+            const network = preferences.useNetwork === false ? null : await this.getNetwork();
+            const graphStats = network && networkCovers(network, startCoord) && networkCovers(network, endCoord)
+                ? this.buildNetworkGraph(network, this.searchBounds(startCoord, endCoord), preferences.travelMode || 'car')
+                : this.buildRoadGraph(existingRoutes, preferences.travelMode || 'car');
             
             // Find nearest nodes to start/end coordinates
             const startNodeId = this.findNearestNode(startCoord);
@@ -415,9 +1647,11 @@ class GraphRoutingService {
             if (startNodeId === null || endNodeId === null) {
                 throw new Error('Could not find nearest nodes to start/end coordinates');
             }
+            this.lastEndpoints = { startNodeId, endNodeId };
             
             // Find Pareto optimal routes
-            const optimalRoutes = await this.findParetoOptimalRoutes(startNodeId, endNodeId, preferences);
+            const departureTime = +(preferences.departureTime ?? Date.now());
+            const optimalRoutes = await this.findParetoOptimalRoutes(startNodeId, endNodeId, { ...preferences, departureTime });
             
             // Convert back to format expected by existing system
             return optimalRoutes.map((route, index) => ({
@@ -426,11 +1660,23 @@ class GraphRoutingService {
                     totalDistance: route.totalDistance,
                     totalTime: route.estimatedTime
                 },
+                departureTime,
+                arrivalTime: departureTime + route.estimatedTime * 1000,
                 avgAQI: route.totalExposure / (route.estimatedTime / 60), // AQI per minute
                 totalExposure: route.totalExposure,
-                routeType: this.getRouteTypeFromWeights(route.weights),
+                riskExposure: route.riskExposure,
+                exposureStd: route.exposureStd,
+                exposureBand: route.exposureBand,
+                riskMeasure: route.riskMeasure,
+                dose: route.dose,
+                pollutantExposure: route.pollutantExposure,
+                objective: route.objective,
+                travelMode: route.travelMode,
+                routeType: route.routeType,
+                detourRatio: route.detourRatio,
                 paretoRank: index + 1,
-                graphStats: graphStats
+                graphStats: graphStats,
+                searchStats: this.lastSearchStats
             }));
             
         } catch (error) {
@@ -439,9 +1685,13 @@ class GraphRoutingService {
         }
     }
     
-    getRouteTypeFromWeights(weights) {
-        if (weights.aqiW >= 0.8) return 'aqi-optimized';
-        if (weights.distW >= 0.8) return 'distance-optimized';
+    /**
+     * Label a route by where it lies on the front: the least-exposure route,
+     * the shortest route, or a balance between them
+     */
+    getRouteType(route, frontRoutes) {
+        if (route.riskExposure <= Math.min(...frontRoutes.map(other => other.riskExposure))) return 'aqi-optimized';
+        if (route.totalDistance <= Math.min(...frontRoutes.map(other => other.totalDistance))) return 'distance-optimized';
         return 'balanced';
     }
 }
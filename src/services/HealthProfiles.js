@@ -0,0 +1,161 @@
+/**
+ * Personal health profiles
+ * A profile makes risk levels, health advice, the "avoid high AQI" threshold
+ * and the routing weights reflect the traveller's sensitivity. Sensitive groups
+ * are treated `levelShift` bands more severely than the general population, and
+ * their pollutant weights raise the exposure of the pollutants that matter most
+ * for their condition.
+ */
+import { getLevel, getStandard } from './AQIStandards.js';
+
+const STORAGE_KEY = 'aqi_health_profile';
+const DEFAULT_PROFILE = 'general';
+
+/**
+ * Profile definitions
+ * levelShift: bands added to the level of an index for risk and thresholds
+ * aqiWeight: weight of exposure (vs distance) for balanced routes
+ * pollutantWeights: exposure multipliers per pollutant (1 when omitted)
+ * advice: extra advice once the air is no longer good for this profile
+ */
+export const HEALTH_PROFILES = {
+    general: {
+        id: 'general',
+        name: 'General adult',
+        levelShift: 0,
+        aqiWeight: 0.7,
+        pollutantWeights: {},
+        advice: null
+    },
+    child: {
+        id: 'child',
+        name: 'Child',
+        levelShift: 1,
+        aqiWeight: 0.8,
+        pollutantWeights: { pm2_5: 1.3, no2: 1.3, o3: 1.2 },
+        advice: "Limit outdoor play and keep children away from busy roads."
+    },
+    elderly: {
+        id: 'elderly',
+        name: 'Older adult (65+)',
+        levelShift: 1,
+        aqiWeight: 0.8,
+        pollutantWeights: { pm2_5: 1.3, pm10: 1.1, o3: 1.2 },
+        advice: "Keep outdoor time short, rest often and avoid strenuous walking."
+    },
+    respiratory: {
+        id: 'respiratory',
+        name: 'Asthma / COPD',
+        levelShift: 2,
+        aqiWeight: 0.9,
+        pollutantWeights: { o3: 1.5, no2: 1.4, so2: 1.5, pm2_5: 1.3, pm10: 1.2 },
+        advice: "Carry your reliever inhaler, avoid exertion near traffic and follow your action plan if symptoms start."
+    },
+    pregnancy: {
+        id: 'pregnancy',
+        name: 'Pregnancy',
+        levelShift: 1,
+        aqiWeight: 0.85,
+        pollutantWeights: { pm2_5: 1.4, co: 1.4, no2: 1.2 },
+        advice: "Avoid busy roads and prolonged time outdoors; prefer indoor or low-traffic alternatives."
+    },
+    cardiac: {
+        id: 'cardiac',
+        name: 'Heart condition',
+        levelShift: 1,
+        aqiWeight: 0.85,
+        pollutantWeights: { pm2_5: 1.5, co: 1.5, pm10: 1.2 },
+        advice: "Avoid exertion outdoors and seek medical help if you notice chest pain, breathlessness or palpitations."
+    }
+};
+
+/**
+ * Get a profile definition, falling back to the default
+ */
+export function getProfile(profileId = getActiveProfileId()) {
+    return HEALTH_PROFILES[profileId] || HEALTH_PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * Currently selected profile id (persisted in localStorage)
+ */
+export function getActiveProfileId() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        return HEALTH_PROFILES[stored] ? stored : DEFAULT_PROFILE;
+    } catch {
+        return DEFAULT_PROFILE;
+    }
+}
+
+/**
+ * Select the active profile and notify listeners with a 'health-profile-change' event
+ */
+export function setActiveProfile(profileId) {
+    if (!HEALTH_PROFILES[profileId]) {
+        throw new Error(`Unknown health profile: ${profileId}`);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, profileId);
+    } catch {
+        // ignore storage errors; the selection only lasts for this session
+    }
+
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('health-profile-change', { detail: { profileId } }));
+    }
+}
+
+/**
+ * Level of an index as experienced by a profile: the standard's level moved
+ * up by the profile's levelShift (capped at the worst level)
+ * @returns {Object|null} - Level definition plus its shifted `rank`
+ */
+export function getProfileLevel(index, standardId, profileId = getActiveProfileId()) {
+    const level = getLevel(index, standardId);
+    if (!level) return null;
+
+    const levels = getStandard(standardId).levels;
+    const rank = Math.min(level.rank + getProfile(profileId).levelShift, levels.length - 1);
+    return { ...levels[rank], rank };
+}
+
+/**
+ * Route thresholds of a standard lowered by the profile's levelShift bands
+ * @returns {Object} - { unhealthyFrom, avoidAbove } in the standard's index
+ */
+export function getProfileThresholds(standardId, profileId = getActiveProfileId()) {
+    const standard = getStandard(standardId);
+    const shift = getProfile(profileId).levelShift;
+    const lowerBy = (index) => {
+        const rank = getLevel(index, standard.id).rank;
+        const target = Math.max(0, rank - shift);
+        return index - (standard.levels[rank].min - standard.levels[target].min);
+    };
+
+    return {
+        unhealthyFrom: lowerBy(standard.unhealthyFrom),
+        avoidAbove: lowerBy(standard.avoidAbove)
+    };
+}
+
+/**
+ * Exposure multiplier of a reading for a profile: the profile's pollutant
+ * weights averaged by each pollutant's share of the sub-indices
+ * @param {Object} subIndices - Sub-index per pollutant (any standard)
+ * @returns {number} - Multiplier (1 for the general profile)
+ */
+export function getPollutantFactor(subIndices, profileId = getActiveProfileId()) {
+    const weights = getProfile(profileId).pollutantWeights;
+    let weighted = 0;
+    let total = 0;
+
+    Object.entries(subIndices || {}).forEach(([pollutant, subIndex]) => {
+        if (!(subIndex > 0)) return;
+        weighted += subIndex * (weights[pollutant] ?? 1);
+        total += subIndex;
+    });
+
+    return total > 0 ? weighted / total : 1;
+}
@@ -0,0 +1,93 @@
+/**
+ * Outlines of reachable areas on a square grid
+ * An isochrone is rasterized into the cells its reached roads pass through;
+ * a morphological closing fills the gaps between nearby roads, and the cell
+ * edges between filled and empty cells are chained into closed rings. Outer
+ * rings run counter-clockwise and holes clockwise, so the rings can be drawn
+ * together with an even-odd fill.
+ *
+ * Cells are "cx_cy" keys of integer cell coordinates; ring vertices are cell
+ * corners [x, y] in the same units. Works on plain data (no DOM or service
+ * dependencies).
+ */
+
+export const cellKey = (cx, cy) => `${cx}_${cy}`;
+
+function parseKey(key) {
+    const [cx, cy] = key.split('_');
+    return [parseInt(cx), parseInt(cy)];
+}
+
+function neighborhood(cx, cy, radius) {
+    const cells = [];
+    for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) cells.push(cellKey(cx + dx, cy + dy));
+    }
+    return cells;
+}
+
+/**
+ * Morphological closing: grow the cells by radius, then shrink them back,
+ * filling gaps and holes narrower than about twice the radius
+ * @param {Set<string>} cells
+ * @param {number} radius - In cells
+ * @returns {Set<string>} - The cells plus the filled gaps
+ */
+export function closeCells(cells, radius = 1) {
+    if (radius <= 0) return new Set(cells);
+
+    const grown = new Set();
+    cells.forEach(key => neighborhood(...parseKey(key), radius).forEach(near => grown.add(near)));
+
+    const closed = new Set();
+    grown.forEach(key => {
+        if (neighborhood(...parseKey(key), radius).every(near => grown.has(near))) closed.add(key);
+    });
+    return closed;
+}
+
+/**
+ * Boundary rings of a set of cells
+ * @param {Set<string>} cells
+ * @returns {Array<Array<number[]>>} - Rings of corner points, collinear corners removed
+ */
+export function traceRings(cells) {
+    // Directed boundary edges with the filled cell on their left
+    const outgoing = new Map(); // "x_y" -> [[x, y]]
+    const addEdge = (x1, y1, x2, y2) => {
+        const key = cellKey(x1, y1);
+        if (!outgoing.has(key)) outgoing.set(key, []);
+        outgoing.get(key).push([x2, y2]);
+    };
+    cells.forEach(key => {
+        const [cx, cy] = parseKey(key);
+        if (!cells.has(cellKey(cx, cy - 1))) addEdge(cx, cy, cx + 1, cy);
+        if (!cells.has(cellKey(cx + 1, cy))) addEdge(cx + 1, cy, cx + 1, cy + 1);
+        if (!cells.has(cellKey(cx, cy + 1))) addEdge(cx + 1, cy + 1, cx, cy + 1);
+        if (!cells.has(cellKey(cx - 1, cy))) addEdge(cx, cy + 1, cx, cy);
+    });
+
+    // Every corner has as many edges in as out, so following unused edges
+    // from any corner returns to it
+    const rings = [];
+    outgoing.forEach((ends, startKey) => {
+        while (ends.length > 0) {
+            const ring = [parseKey(startKey)];
+            let next = ends.pop();
+            while (cellKey(...next) !== startKey) {
+                ring.push(next);
+                next = outgoing.get(cellKey(...next)).pop();
+            }
+            rings.push(removeCollinear(ring));
+        }
+    });
+    return rings;
+}
+
+function removeCollinear(ring) {
+    return ring.filter((point, i) => {
+        const previous = ring[(i + ring.length - 1) % ring.length];
+        const next = ring[(i + 1) % ring.length];
+        return (point[0] - previous[0]) * (next[1] - point[1]) !== (point[1] - previous[1]) * (next[0] - point[0]);
+    });
+}
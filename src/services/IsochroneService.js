@@ -0,0 +1,248 @@
+/**
+ * Exposure-aware isochrones
+ * Areas reachable from a point within several travel times, or within a time
+ * horizon while keeping the cumulative exposure under several budgets. The
+ * search runs on the road graph: the loaded road network around the point,
+ * or else a grid of straight links lengthened by a detour factor. Every node
+ * reached keeps the Pareto set of its (travel time, exposure) costs, so the
+ * least exposure of reaching it within any time limit is known. The reached
+ * roads are rasterized into cells whose outlines become the polygons.
+ *
+ * Each call builds and costs its graph on a router of its own, so the route
+ * search's graph and settings are left as they were, and the search itself
+ * runs in the route search worker. Only maxTiles AQI tiles spread over the
+ * area are fetched, to stay within the providers' rate limits and quotas; the
+ * other roads are interpolated from the stations those returned, and areas
+ * whose roads still had no data (costed with the moderate fallback reading)
+ * are reported.
+ */
+import config from '../config.js';
+import SharedRouter, { GraphRoutingService } from './GraphRoutingService.js';
+import { getActiveProfileId } from './HealthProfiles.js';
+import { getActiveModeId, getTravelMode } from './DoseModel.js';
+import { ROAD_CLASSES, isAccessible, networkCovers } from './OSMNetworkLoader.js';
+import { cellKey, closeCells, traceRings } from './IsochroneContours.js';
+
+export const DEFAULT_MINUTES = [10, 20, 30];
+
+const MAX_RADIUS_KM = config.ISOCHRONES?.maxRadiusKm ?? 10;
+const GRID_STEPS = config.ISOCHRONES?.gridSteps ?? 20;
+const CELLS_ACROSS = config.ISOCHRONES?.cellsAcross ?? 60;
+const MAX_TILES = config.ISOCHRONES?.maxTiles ?? 24;
+const SEARCH_OPTIONS = {
+    epsilon: config.ISOCHRONES?.epsilon ?? 0.05,
+    maxLabels: config.ISOCHRONES?.maxLabels ?? 150000
+};
+const DETOUR_FACTOR = 1.3; // Road distance over straight-line distance on the grid
+
+const EARTH_RADIUS = 6371000;
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Positive, distinct values in increasing order
+function thresholdList(values) {
+    return [...new Set((values || []).map(Number).filter(value => value > 0))].sort((a, b) => a - b);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class IsochroneService {
+    /**
+     * Reachable areas from a point
+     * @param {Object} origin - { lat, lng }
+     * @param {Object} options - by ('time': one area per time limit, or 'exposure':
+     *                           one area per exposure budget within the longest
+     *                           time limit), minutes (time limits), budgets
+     *                           (exposure, AQI level × minutes) and modeId
+     * @returns {Promise<Object>} - { layers: [{ minutes, budget, rings, areaKm2,
+     *                              exposure: { median, max }, fallbackShare }] from
+     *                              the smallest area, horizon (area within the time
+     *                              limit regardless of exposure, 'exposure' only),
+     *                              fallback ({ rings, share } of the area costed
+     *                              without data), travelMode, source ('network'
+     *                              or 'grid'), truncated }
+     */
+    async computeIsochrones(origin, options = {}) {
+        const { by = 'time', modeId = getActiveModeId() } = options;
+        const minutes = thresholdList(options.minutes);
+        const budgets = thresholdList(options.budgets);
+        if (minutes.length === 0) minutes.push(...DEFAULT_MINUTES);
+        if (by === 'exposure' && budgets.length === 0) throw new Error('Enter at least one exposure budget');
+
+        const horizon = minutes[minutes.length - 1];
+        const thresholds = by === 'exposure'
+            ? [...budgets, Infinity].map(budget => ({ minutes: horizon, budget }))
+            : minutes.map(limit => ({ minutes: limit, budget: Infinity }));
+
+        // Graph around the origin, costed like a route search
+        const router = new GraphRoutingService();
+        router.interpolationMethod = SharedRouter.interpolationMethod;
+        router.healthProfile = getActiveProfileId();
+        router.travelMode = getTravelMode(modeId).id;
+        router.objective = 'aqi';
+
+        const { source, radiusKm } = await this.buildGraph(router, origin, horizon);
+        const startNodeId = router.findNearestNode(origin);
+        if (startNodeId === null) throw new Error('No roads near this point');
+
+        router.nodeArrivalTimes = router.estimateArrivalTimes(startNodeId, Date.now());
+        const edgeExposures = await router.precomputeEdgeExposures({ maxTiles: MAX_TILES });
+
+        // (minutes, exposure) fronts of every node within the horizon
+        const graph = new Map();
+        router.roadGraph.forEach((neighbors, from) => {
+            graph.set(from, [...neighbors.keys()].map(to => {
+                const edgeKey = `${from}_${to}`;
+                return {
+                    to,
+                    costs: [router.edgeWeights.get(edgeKey).estimatedTravelTime / 60, edgeExposures.get(edgeKey) || 0]
+                };
+            }));
+        });
+        const { bags, labels, truncated } = await router.runParetoReach(graph, startNodeId, { ...SEARCH_OPTIONS, bounds: [horizon, Infinity] });
+        console.log(`Isochrone search: ${bags.size} nodes reached with ${labels} labels${truncated ? ' (truncated)' : ''}`);
+
+        const cellMeters = 2 * radiusKm * 1000 / CELLS_ACROSS;
+        const projection = this.localProjection(origin);
+        const { reached, fallbackCells } = this.rasterize(router, bags, edgeExposures, thresholds, projection, cellMeters);
+        const toRings = (cells) => traceRings(cells)
+            .map(ring => ring.map(([x, y]) => projection.unproject(x * cellMeters, y * cellMeters)));
+
+        const areas = reached.map((cells, i) => {
+            const closed = closeCells(new Set(cells.keys()));
+            const inner = i > 0 ? reached[i - 1] : new Map();
+            const band = [...cells].filter(([key]) => !inner.has(key)).map(([, exposure]) => exposure);
+            const values = band.length > 0 ? band : [...cells.values()];
+
+            return {
+                ...thresholds[i],
+                rings: toRings(closed),
+                areaKm2: closed.size * cellMeters * cellMeters / 1e6,
+                exposure: values.length > 0
+                    ? { median: median(values), max: Math.max(...values) }
+                    : { median: 0, max: 0 },
+                fallbackShare: cells.size > 0 ? [...cells.keys()].filter(key => fallbackCells.has(key)).length / cells.size : 0
+            };
+        });
+        const outermost = reached[reached.length - 1];
+        if (fallbackCells.size > 0) {
+            console.warn(`Isochrones: ${router.fallbackEdges.size} roads costed without AQI data`);
+        }
+
+        return {
+            origin,
+            by,
+            layers: by === 'exposure' ? areas.slice(0, -1) : areas,
+            horizon: by === 'exposure' ? areas[areas.length - 1] : null,
+            fallback: {
+                rings: toRings(closeCells(fallbackCells)),
+                share: outermost.size > 0 ? fallbackCells.size / outermost.size : 0
+            },
+            travelMode: router.travelMode,
+            source,
+            truncated
+        };
+    }
+
+    /**
+     * Build the router's graph around the origin, for its travel mode: the
+     * road network loaded for route search when it covers the origin, otherwise
+     * a grid. Its radius is how far the fastest roads lead within the horizon,
+     * up to MAX_RADIUS_KM.
+     * @returns {Promise<Object>} - { source, radiusKm }
+     */
+    async buildGraph(router, origin, horizonMinutes) {
+        const modeId = router.travelMode;
+        const network = await SharedRouter.getNetwork();
+        if (network && networkCovers(network, origin)) {
+            const fastest = ['walk', 'cycle'].includes(modeId)
+                ? getTravelMode(modeId).speedKmh
+                : Math.max(...Object.keys(ROAD_CLASSES)
+                    .filter(highway => isAccessible(highway, modeId))
+                    .map(highway => ROAD_CLASSES[highway].speedKmh));
+            const radiusKm = Math.min(MAX_RADIUS_KM, fastest * horizonMinutes / 60);
+            router.buildNetworkGraph(network, router.searchBounds(origin, origin, radiusKm), modeId);
+            return { source: 'network', radiusKm };
+        }
+
+        const radiusKm = Math.min(MAX_RADIUS_KM, getTravelMode(modeId).speedKmh * horizonMinutes / 60 / DETOUR_FACTOR);
+        router.buildGridGraph(origin, radiusKm, GRID_STEPS, modeId, DETOUR_FACTOR);
+        return { source: 'grid', radiusKm };
+    }
+
+    /**
+     * Cells reached under each threshold, with the least exposure of reaching them
+     * Points are sampled along every edge leaving a reached node, at half a
+     * cell apart; a point is reached under a threshold when one of the node's
+     * labels, extended along the edge, stays within its time and exposure.
+     * @returns {Object} - { reached: per threshold, cellKey -> least exposure,
+     *                     fallbackCells: Set of cells reached on roads costed
+     *                     with the fallback reading }
+     */
+    rasterize(router, bags, edgeExposures, thresholds, projection, cellMeters) {
+        const reached = thresholds.map(() => new Map());
+        const fallbackCells = new Set();
+
+        router.edgeWeights.forEach((edgeData, edgeKey) => {
+            const [from, to] = edgeKey.split('_').map(Number);
+            const labels = bags.get(from);
+            if (!labels) return;
+
+            const edgeMinutes = edgeData.estimatedTravelTime / 60;
+            const edgeExposure = edgeExposures.get(edgeKey) || 0;
+            const samples = Math.max(1, Math.ceil(edgeData.distance / (cellMeters / 2)));
+            const fromCoord = router.nodePositions.get(from);
+            const toCoord = router.nodePositions.get(to);
+            const fallback = router.fallbackEdges.has(edgeKey);
+
+            for (let s = 0; s <= samples; s++) {
+                const fraction = s / samples;
+                const point = edgeData.geometry
+                    ? router.pointAlong(edgeData.geometry, fraction * edgeData.distance)
+                    : {
+                        lat: fromCoord.lat + (toCoord.lat - fromCoord.lat) * fraction,
+                        lng: fromCoord.lng + (toCoord.lng - fromCoord.lng) * fraction
+                    };
+                const { x, y } = projection.project(point);
+                const key = cellKey(Math.floor(x / cellMeters), Math.floor(y / cellMeters));
+
+                thresholds.forEach(({ minutes, budget }, i) => {
+                    let least = Infinity;
+                    labels.forEach(([time, exposure]) => {
+                        const pointExposure = exposure + fraction * edgeExposure;
+                        if (time + fraction * edgeMinutes <= minutes && pointExposure <= budget) {
+                            least = Math.min(least, pointExposure);
+                        }
+                    });
+                    if (least < (reached[i].get(key) ?? Infinity)) reached[i].set(key, least);
+                    if (fallback && least < Infinity) fallbackCells.add(key);
+                });
+            }
+        });
+
+        return { reached, fallbackCells };
+    }
+
+    /**
+     * Equirectangular projection in metres around a point
+     */
+    localProjection(center) {
+        const cosLat = Math.cos(toRad(center.lat));
+        return {
+            project: ({ lat, lng }) => ({
+                x: toRad(lng - center.lng) * EARTH_RADIUS * cosLat,
+                y: toRad(lat - center.lat) * EARTH_RADIUS
+            }),
+            unproject: (x, y) => ({
+                lat: center.lat + toDeg(y / EARTH_RADIUS),
+                lng: center.lng + toDeg(x / (EARTH_RADIUS * cosLat))
+            })
+        };
+    }
+}
+
+export default new IsochroneService();
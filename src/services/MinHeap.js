@@ -0,0 +1,67 @@
+/**
+ * Binary min-heap with a custom ordering
+ * Push and pop are O(log n), unlike the sorted-array queue of dijkstrajs,
+ * which matters for searches that queue many labels.
+ */
+class MinHeap {
+    /**
+     * @param {Function} compare - (a, b) => negative when a comes first
+     */
+    constructor(compare = (a, b) => a - b) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+
+        // Sift up
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        if (items.length === 0) return undefined;
+
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+
+            // Sift down
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export default MinHeap;
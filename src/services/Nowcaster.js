@@ -0,0 +1,217 @@
+/**
+ * Short-term AQI nowcasting from the recent readings of a tile
+ * Each pollutant's concentrations over the last hours are fitted with a
+ * low-degree polynomial of time and extrapolated up to `horizonHours` ahead,
+ * filling the gap for sources without short-range forecasts. The uncertainty
+ * (standard deviation, US AQI points) is the prediction interval of the same
+ * fit on the US AQI series, so it widens with lead time and with noisy data.
+ * A quadratic fit whose prediction is that uncertain gives way to a straight
+ * line, and predictions are kept within the observed range widened by
+ * `maxRangeMultiple` of that range, so an extrapolated curve cannot run off.
+ * Nowcasts are remembered and scored against the readings that arrive later.
+ */
+import PolynomialRegression from 'ml-regression-polynomial';
+import { Matrix, pseudoInverse } from 'ml-matrix';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Floor on the nowcast uncertainty per hour of lead: readings are not exact
+// and even a clean trend can change
+const MIN_UNCERTAINTY = 5;
+
+const NOWCAST_POLLUTANTS = ['pm2_5', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+const DEFAULT_OPTIONS = {
+    horizonHours: 3,           // furthest nowcast after the latest reading
+    windowHours: 6,            // readings used for the fit
+    minSamples: 3,             // fewer readings give no nowcast
+    quadraticFromSamples: 5,   // below this the trend is fitted as a straight line
+    maxRangeMultiple: 1,       // predictions stay within the observed range ± this multiple of it
+    matchToleranceMinutes: 15, // a reading scores nowcasts for targets this close
+    maxPending: 500,           // nowcasts awaiting a reading
+    maxErrors: 1000            // scored nowcasts kept for the statistics
+};
+
+class Nowcaster {
+    /**
+     * @param {Object} options - { horizonHours, windowHours, minSamples, quadraticFromSamples,
+     *                            maxRangeMultiple, matchToleranceMinutes, maxPending, maxErrors }
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.series = new Map();  // tileKey -> readings, oldest first
+        this.pending = new Map(); // "tileKey:bucket" -> nowcast awaiting its reading
+        this.errors = [];         // { leadHours, error } of scored nowcasts
+    }
+
+    /**
+     * Add a reading of a tile and score the nowcasts it answers
+     * @param {Object} reading - Reading with aqi, components and measuredAt/timestamp
+     */
+    observe(tileKey, reading) {
+        const entry = this.add(tileKey, reading);
+        if (entry) this.score(tileKey, entry);
+    }
+
+    /**
+     * Add older readings (e.g. recorded history) without scoring anything
+     */
+    seed(tileKey, readings) {
+        readings.forEach(reading => this.add(tileKey, reading));
+    }
+
+    add(tileKey, reading) {
+        if (!(reading?.aqi >= 0)) return null;
+
+        const time = reading.measuredAt || reading.time || reading.timestamp || Date.now();
+        const list = this.series.get(tileKey) || [];
+        if (list.some(entry => entry.time === time)) return null;
+
+        const entry = { time, aqi: reading.aqi, components: reading.components || {} };
+        list.push(entry);
+        list.sort((a, b) => a.time - b.time);
+
+        // Keep only the fitting window behind the latest reading
+        const cutoff = list[list.length - 1].time - this.options.windowHours * HOUR_MS;
+        this.series.set(tileKey, list.filter(item => item.time >= cutoff));
+        return entry;
+    }
+
+    /**
+     * Extrapolate a tile's readings to a moment
+     * @param {number} time - Target time in ms
+     * @returns {Object|null} - { aqi, components, uncertainty, leadHours, samples, degree },
+     *                          or null without enough recent readings or beyond the horizon
+     */
+    nowcast(tileKey, time, now = Date.now()) {
+        const list = this.series.get(tileKey) || [];
+        if (list.length < this.options.minSamples) return null;
+
+        const latest = list[list.length - 1].time;
+        const x = (time - latest) / HOUR_MS; // hours after the latest reading
+        if (x > this.options.horizonHours || now - latest > this.options.windowHours * HOUR_MS) return null;
+
+        const hours = list.map(entry => (entry.time - latest) / HOUR_MS);
+        const aqiValues = list.map(entry => entry.aqi);
+
+        // A curve is only worth following while its prediction is no less
+        // certain than the spread of the readings themselves
+        let degree = list.length >= this.options.quadraticFromSamples ? 2 : 1;
+        if (degree === 2 && this.predictionStd(hours, aqiValues, 2, x) > Math.max(...aqiValues) - Math.min(...aqiValues)) {
+            degree = 1;
+        }
+
+        const extrapolate = (values, times) => {
+            const low = Math.min(...values);
+            const high = Math.max(...values);
+            const margin = this.options.maxRangeMultiple * (high - low);
+            const predicted = new PolynomialRegression(times, values, degree).predict(x);
+            return Math.min(high + margin, Math.max(low - margin, predicted));
+        };
+
+        const components = {};
+        NOWCAST_POLLUTANTS.forEach(pollutant => {
+            const points = list
+                .map((entry, i) => [hours[i], entry.components[pollutant]])
+                .filter(([, value]) => value >= 0);
+            if (points.length < this.options.minSamples) return;
+            components[pollutant] = Math.max(0, extrapolate(points.map(([, value]) => value), points.map(([hour]) => hour)));
+        });
+
+        const result = {
+            aqi: Math.max(0, extrapolate(aqiValues, hours)),
+            components,
+            uncertainty: this.predictionStd(hours, aqiValues, degree, x),
+            leadHours: Math.max(0, (time - now) / HOUR_MS),
+            samples: list.length,
+            degree
+        };
+
+        this.remember(tileKey, time, result);
+        return result;
+    }
+
+    /**
+     * Standard deviation of a polynomial least-squares prediction at x,
+     * √(s² (1 + x₀ᵀ (XᵀX)⁻¹ x₀)) with s² the residual variance of the fit
+     */
+    predictionStd(xs, ys, degree, x) {
+        const powers = (value) => Array.from({ length: degree + 1 }, (_, k) => value ** k);
+        const X = new Matrix(xs.map(powers));
+        const y = Matrix.columnVector(ys);
+        const inverse = pseudoInverse(X.transpose().mmul(X));
+        const beta = inverse.mmul(X.transpose()).mmul(y);
+
+        const residuals = y.sub(X.mmul(beta)).to1DArray();
+        const dof = xs.length - (degree + 1);
+        // A fit with no spare readings says nothing about its error: use half the observed range
+        const variance = dof > 0
+            ? residuals.reduce((sum, r) => sum + r * r, 0) / dof
+            : ((Math.max(...ys) - Math.min(...ys)) / 2) ** 2;
+
+        const x0 = Matrix.rowVector(powers(x));
+        const leverage = x0.mmul(inverse).mmul(x0.transpose()).get(0, 0);
+        return Math.max(MIN_UNCERTAINTY * (1 + Math.max(0, x)), Math.sqrt(Math.max(0, variance * (1 + leverage))));
+    }
+
+    /**
+     * Keep a nowcast until a reading near its target time arrives
+     */
+    remember(tileKey, time, result) {
+        if (result.leadHours <= 0) return;
+
+        const bucketMs = this.options.matchToleranceMinutes * 60 * 1000;
+        const key = `${tileKey}:${Math.round(time / bucketMs)}`;
+        if (this.pending.has(key)) return;
+
+        this.pending.set(key, { tileKey, time, aqi: result.aqi, leadHours: result.leadHours });
+        if (this.pending.size > this.options.maxPending) {
+            this.pending.delete(this.pending.keys().next().value);
+        }
+    }
+
+    /**
+     * Compare the pending nowcasts of a tile with a new reading
+     */
+    score(tileKey, entry) {
+        const tolerance = this.options.matchToleranceMinutes * 60 * 1000;
+
+        for (const [key, prediction] of this.pending) {
+            if (prediction.tileKey !== tileKey) continue;
+
+            if (Math.abs(prediction.time - entry.time) <= tolerance) {
+                this.errors.push({ leadHours: prediction.leadHours, error: prediction.aqi - entry.aqi });
+                this.pending.delete(key);
+            } else if (prediction.time < entry.time - tolerance) {
+                this.pending.delete(key); // Target passed without a matching reading
+            }
+        }
+
+        if (this.errors.length > this.options.maxErrors) {
+            this.errors.splice(0, this.errors.length - this.options.maxErrors);
+        }
+    }
+
+    /**
+     * Error of scored nowcasts (US AQI points), overall and per lead hour
+     * @returns {Object} - { overall, byLead: [{ leadHours, count, mae, rmse, bias }], pending }
+     */
+    getErrorStats() {
+        const summarize = (errors) => ({
+            count: errors.length,
+            mae: errors.length ? errors.reduce((sum, e) => sum + Math.abs(e.error), 0) / errors.length : null,
+            rmse: errors.length ? Math.sqrt(errors.reduce((sum, e) => sum + e.error ** 2, 0) / errors.length) : null,
+            bias: errors.length ? errors.reduce((sum, e) => sum + e.error, 0) / errors.length : null
+        });
+
+        const byLead = [];
+        for (let hour = 1; hour <= Math.ceil(this.options.horizonHours); hour++) {
+            const errors = this.errors.filter(e => Math.max(1, Math.ceil(e.leadHours)) === hour);
+            byLead.push({ leadHours: hour, ...summarize(errors) });
+        }
+
+        return { overall: summarize(this.errors), byLead, pending: this.pending.size };
+    }
+}
+
+export default Nowcaster;
@@ -0,0 +1,245 @@
+/**
+ * Road network loader for local OpenStreetMap extracts
+ * Reads an OSM PBF (.osm.pbf) or XML (.osm) extract, or a pre-converted GeoJSON
+ * file of the road ways, into a network of nodes and ways with their road class
+ * and one-way direction, so routing can search every street of the city
+ * offline instead of only the OSRM alternatives.
+ */
+import { readOSMPbf } from './OSMPbfReader.js';
+
+// Roads by OSM highway class: typical urban speed and who may use them
+export const ROAD_CLASSES = {
+    motorway: { speedKmh: 80, motor: true, bicycle: false, foot: false },
+    motorway_link: { speedKmh: 50, motor: true, bicycle: false, foot: false },
+    trunk: { speedKmh: 60, motor: true, bicycle: true, foot: true },
+    trunk_link: { speedKmh: 40, motor: true, bicycle: true, foot: true },
+    primary: { speedKmh: 45, motor: true, bicycle: true, foot: true },
+    primary_link: { speedKmh: 35, motor: true, bicycle: true, foot: true },
+    secondary: { speedKmh: 40, motor: true, bicycle: true, foot: true },
+    secondary_link: { speedKmh: 30, motor: true, bicycle: true, foot: true },
+    tertiary: { speedKmh: 35, motor: true, bicycle: true, foot: true },
+    tertiary_link: { speedKmh: 30, motor: true, bicycle: true, foot: true },
+    unclassified: { speedKmh: 30, motor: true, bicycle: true, foot: true },
+    residential: { speedKmh: 25, motor: true, bicycle: true, foot: true },
+    living_street: { speedKmh: 10, motor: true, bicycle: true, foot: true },
+    service: { speedKmh: 15, motor: true, bicycle: true, foot: true },
+    road: { speedKmh: 25, motor: true, bicycle: true, foot: true },
+    cycleway: { speedKmh: 15, motor: false, bicycle: true, foot: true },
+    pedestrian: { speedKmh: 5, motor: false, bicycle: false, foot: true },
+    footway: { speedKmh: 5, motor: false, bicycle: false, foot: true },
+    path: { speedKmh: 5, motor: false, bicycle: true, foot: true },
+    steps: { speedKmh: 3, motor: false, bicycle: false, foot: true }
+};
+
+/**
+ * Whether a travel mode may use a road class
+ */
+export function isAccessible(highway, modeId = 'car') {
+    const roadClass = ROAD_CLASSES[highway];
+    if (!roadClass) return false;
+    if (modeId === 'walk') return roadClass.foot;
+    if (modeId === 'cycle') return roadClass.bicycle;
+    return roadClass.motor;
+}
+
+/**
+ * Direction a way may be driven in: 1 along its nodes, -1 against them,
+ * 0 both ways. Pedestrians ignore one-way restrictions.
+ */
+export function onewayDirection(tags, modeId = 'car') {
+    if (modeId === 'walk') return 0;
+
+    const oneway = tags.oneway;
+    if (oneway === '-1' || oneway === 'reverse') return -1;
+    if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+    if (oneway === 'no') return 0;
+    if (tags.junction === 'roundabout' || tags.highway === 'motorway') return 1;
+    return 0;
+}
+
+/**
+ * Legal speed of a way in km/h from its maxspeed tag, or null
+ */
+function parseMaxspeed(value) {
+    const speed = parseFloat(value);
+    if (!Number.isFinite(speed)) return null;
+    return /mph/.test(value) ? speed * 1.609 : speed;
+}
+
+function normalizeWay(id, nodeIds, tags) {
+    return {
+        id,
+        nodeIds,
+        highway: tags.highway,
+        name: tags.name || null,
+        tags,
+        maxspeedKmh: parseMaxspeed(tags.maxspeed)
+    };
+}
+
+/**
+ * Parse the road ways of an OSM XML extract
+ * @param {string} text - OSM XML document
+ * @param {Object|null} bbox - { south, west, north, east } to keep, null for everything
+ * @returns {Object} - Network { nodes: Map(id -> { lat, lng }), ways, bounds }
+ */
+export function parseOSMXml(text, bbox = null) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const parserError = doc.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        throw new Error(`Invalid OSM XML: ${parserError.textContent.trim().split('\n')[0]}`);
+    }
+
+    const ways = [];
+    const usedNodes = new Set();
+
+    for (const way of doc.getElementsByTagName('way')) {
+        const tags = {};
+        for (const tag of way.getElementsByTagName('tag')) {
+            tags[tag.getAttribute('k')] = tag.getAttribute('v') ?? '';
+        }
+        if (!ROAD_CLASSES[tags.highway]) continue;
+
+        const nodeIds = [...way.getElementsByTagName('nd')].map(nd => nd.getAttribute('ref'));
+        if (nodeIds.length < 2) continue;
+
+        nodeIds.forEach(nodeId => usedNodes.add(nodeId));
+        ways.push(normalizeWay(way.getAttribute('id'), nodeIds, tags));
+    }
+
+    const nodes = new Map();
+    for (const node of doc.getElementsByTagName('node')) {
+        const id = node.getAttribute('id');
+        if (usedNodes.has(id)) {
+            nodes.set(id, { lat: parseFloat(node.getAttribute('lat')), lng: parseFloat(node.getAttribute('lon')) });
+        }
+    }
+
+    return createNetwork(nodes, ways, bbox);
+}
+
+/**
+ * Parse the road ways of an OSM PBF extract
+ * @param {ArrayBuffer|Uint8Array} buffer - PBF file contents
+ * @param {Object|null} bbox - { south, west, north, east } to keep, null for everything
+ * @returns {Promise<Object>} - Network { nodes, ways, bounds }
+ */
+export async function parseOSMPbf(buffer, bbox = null) {
+    const { nodes, ways } = await readOSMPbf(buffer, tags => Boolean(ROAD_CLASSES[tags.highway]));
+    return createNetwork(nodes, ways.map(way => normalizeWay(way.id, way.nodeIds, way.tags)), bbox);
+}
+
+/**
+ * Parse road ways from GeoJSON (LineString / MultiLineString features whose
+ * properties carry the OSM tags, as written by osmium export or ogr2ogr)
+ * Ways meeting at identical coordinates share a node.
+ * @param {Object} geojson - FeatureCollection
+ * @param {Object|null} bbox - { south, west, north, east } to keep, null for everything
+ * @returns {Object} - Network { nodes, ways, bounds }
+ */
+export function parseGeoJSONNetwork(geojson, bbox = null) {
+    const nodes = new Map();
+    const ways = [];
+
+    const nodeAt = ([lng, lat]) => {
+        const id = `${lng.toFixed(7)},${lat.toFixed(7)}`;
+        if (!nodes.has(id)) nodes.set(id, { lat, lng });
+        return id;
+    };
+
+    (geojson.features || []).forEach((feature, index) => {
+        const tags = feature.properties || {};
+        if (!ROAD_CLASSES[tags.highway]) return;
+
+        const { type, coordinates } = feature.geometry || {};
+        const lines = type === 'LineString' ? [coordinates] : type === 'MultiLineString' ? coordinates : [];
+        lines.forEach(line => {
+            if (!line || line.length < 2) return;
+            ways.push(normalizeWay(feature.id ?? tags['@id'] ?? tags.osm_id ?? `feature-${index}`, line.map(nodeAt), tags));
+        });
+    });
+
+    return createNetwork(nodes, ways, bbox);
+}
+
+function createNetwork(nodes, ways, bbox = null) {
+    if (bbox) {
+        nodes.forEach((node, nodeId) => {
+            if (!inBounds(bbox, node)) nodes.delete(nodeId);
+        });
+    }
+
+    // Split ways where they leave the extract (or the bounding box) so no
+    // segment jumps over missing nodes
+    const completeWays = [];
+    ways.forEach(way => {
+        let run = [];
+        const flush = () => {
+            if (run.length >= 2) completeWays.push({ ...way, nodeIds: run });
+            run = [];
+        };
+        way.nodeIds.forEach(nodeId => (nodes.has(nodeId) ? run.push(nodeId) : flush()));
+        flush();
+    });
+
+    const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    nodes.forEach(({ lat, lng }) => {
+        bounds.south = Math.min(bounds.south, lat);
+        bounds.north = Math.max(bounds.north, lat);
+        bounds.west = Math.min(bounds.west, lng);
+        bounds.east = Math.max(bounds.east, lng);
+    });
+
+    return { nodes, ways: completeWays, bounds };
+}
+
+function inBounds({ south, west, north, east }, { lat, lng }) {
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+}
+
+/**
+ * Whether a coordinate lies inside a network's bounds
+ */
+export function networkCovers(network, coord) {
+    return inBounds(network.bounds, coord);
+}
+
+/**
+ * Load a road network from a local file or URL
+ * The format is detected from the content: OSM PBF, OSM XML or GeoJSON.
+ * @param {File|Blob|string} source - File picked by the user or URL of a bundled extract
+ * @param {Object|null} bbox - { south, west, north, east } to keep, null for everything
+ * @returns {Promise<Object>} - Network { nodes, ways, bounds }
+ */
+export async function loadRoadNetwork(source, bbox = null) {
+    let blob = source;
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Road network request failed: ${response.status} ${response.statusText}`);
+        }
+        blob = await response.blob();
+    }
+
+    // PBF files start with a 4-byte header length followed by a "OSMHeader" blob
+    const head = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    let network = null;
+    if (new TextDecoder().decode(head).includes('OSMHeader')) {
+        network = await parseOSMPbf(await blob.arrayBuffer(), bbox);
+    } else {
+        const text = await blob.text();
+        const start = text.trimStart();
+        if (start.startsWith('{')) network = parseGeoJSONNetwork(JSON.parse(text), bbox);
+        else if (start.startsWith('<')) network = parseOSMXml(text, bbox);
+    }
+
+    if (!network) {
+        throw new Error('Unrecognized road network format: expected OSM PBF, OSM XML or GeoJSON');
+    }
+    if (network.ways.length === 0) {
+        throw new Error('The road network contains no routable highway ways');
+    }
+
+    console.log(`Road network loaded: ${network.ways.length} ways, ${network.nodes.size} nodes`);
+    return network;
+}
@@ -0,0 +1,303 @@
+/**
+ * Reader for OpenStreetMap PBF extracts
+ * A PBF file is a sequence of blobs, each a 4-byte big-endian header length,
+ * a BlobHeader and a Blob holding a zlib-compressed (or raw) protobuf block.
+ * Only what road networks need is decoded: ways with their tags and node
+ * references, then the coordinates of the nodes those ways use, from plain or
+ * dense nodes. Compressed blobs are inflated with the browser's
+ * DecompressionStream. Works on plain data (no DOM or service dependencies).
+ *
+ * Format: https://wiki.openstreetmap.org/wiki/PBF_Format
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_BYTES = 2;
+const WIRE_FIXED32 = 5;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Minimal protobuf reader over a byte range
+ * Varints are read as Numbers, exact up to 2^53 (well above OSM ids).
+ */
+class ProtoReader {
+    constructor(bytes, start = 0, end = bytes.length) {
+        this.bytes = bytes;
+        this.pos = start;
+        this.end = end;
+    }
+
+    hasMore() {
+        return this.pos < this.end;
+    }
+
+    varint() {
+        let value = 0;
+        let factor = 1;
+        let byte;
+        do {
+            if (this.pos >= this.end) throw new Error('Truncated PBF varint');
+            byte = this.bytes[this.pos++];
+            value += (byte & 0x7f) * factor;
+            factor *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    // Zigzag-encoded signed varint
+    svarint() {
+        const value = this.varint();
+        return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+    }
+
+    // Varint holding a two's complement int32/int64 (negative values take ten bytes)
+    int() {
+        const value = this.varint();
+        return value >= 2 ** 63 ? value - 2 ** 64 : value;
+    }
+
+    tag() {
+        const key = this.varint();
+        return { field: Math.floor(key / 8), wireType: key & 7 };
+    }
+
+    // Sub-reader over a length-delimited field
+    message() {
+        const length = this.varint();
+        const reader = new ProtoReader(this.bytes, this.pos, this.pos + length);
+        this.pos += length;
+        return reader;
+    }
+
+    bytesField() {
+        const length = this.varint();
+        const value = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return value;
+    }
+
+    string() {
+        return textDecoder.decode(this.bytesField());
+    }
+
+    // Repeated scalar field, packed or not: calls read() once per value
+    repeated(wireType, read) {
+        if (wireType !== WIRE_BYTES) return [read(this)];
+
+        const packed = this.message();
+        const values = [];
+        while (packed.hasMore()) values.push(read(packed));
+        return values;
+    }
+
+    skip(wireType) {
+        if (wireType === WIRE_VARINT) this.varint();
+        else if (wireType === WIRE_FIXED64) this.pos += 8;
+        else if (wireType === WIRE_BYTES) this.message();
+        else if (wireType === WIRE_FIXED32) this.pos += 4;
+        else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+}
+
+const readUint = (reader) => reader.varint();
+const readSint = (reader) => reader.svarint();
+
+async function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress OSM PBF extracts (no DecompressionStream)');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompressed OSMData blocks of a PBF file, in file order
+ * @param {Uint8Array} bytes - Whole PBF file
+ */
+async function* dataBlocks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        if (pos + 4 > bytes.length) throw new Error('Truncated PBF blob header');
+        const headerLength = view.getUint32(pos);
+        pos += 4;
+
+        let type = null;
+        let dataSize = 0;
+        const header = new ProtoReader(bytes, pos, pos + headerLength);
+        while (header.hasMore()) {
+            const { field, wireType } = header.tag();
+            if (field === 1) type = header.string();
+            else if (field === 3) dataSize = header.varint();
+            else header.skip(wireType);
+        }
+        pos += headerLength;
+
+        const blobEnd = pos + dataSize;
+        if (blobEnd > bytes.length) throw new Error('Truncated PBF blob');
+        if (type === 'OSMData') {
+            const blob = new ProtoReader(bytes, pos, blobEnd);
+            let data = null;
+            while (blob.hasMore()) {
+                const { field, wireType } = blob.tag();
+                if (field === 1) data = blob.bytesField();
+                else if (field === 3) data = await inflate(blob.bytesField());
+                else if (field >= 4 && field <= 7) throw new Error('Only zlib-compressed or raw OSM PBF blobs are supported');
+                else blob.skip(wireType);
+            }
+            if (data) yield data;
+        }
+        pos = blobEnd;
+    }
+}
+
+/**
+ * String table and coordinate scaling of a PrimitiveBlock, and its groups
+ */
+function readBlock(data) {
+    const reader = new ProtoReader(data);
+    const block = { strings: [], groups: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.tag();
+        if (field === 1) {
+            const table = reader.message();
+            while (table.hasMore()) {
+                const entry = table.tag();
+                if (entry.field === 1) block.strings.push(table.string());
+                else table.skip(entry.wireType);
+            }
+        } else if (field === 2) {
+            block.groups.push(reader.message());
+        } else if (field === 17) {
+            block.granularity = reader.int();
+        } else if (field === 19) {
+            block.latOffset = reader.int();
+        } else if (field === 20) {
+            block.lonOffset = reader.int();
+        } else {
+            reader.skip(wireType);
+        }
+    }
+    return block;
+}
+
+function readWay(reader, strings) {
+    let id = null;
+    let keys = [];
+    let values = [];
+    let refs = [];
+
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.tag();
+        if (field === 1) id = reader.int();
+        else if (field === 2) keys = keys.concat(reader.repeated(wireType, readUint));
+        else if (field === 3) values = values.concat(reader.repeated(wireType, readUint));
+        else if (field === 8) refs = refs.concat(reader.repeated(wireType, readSint));
+        else reader.skip(wireType);
+    }
+
+    const tags = {};
+    keys.forEach((key, i) => {
+        tags[strings[key]] = strings[values[i]];
+    });
+
+    // References are delta-coded
+    let ref = 0;
+    const nodeIds = refs.map(delta => String(ref += delta));
+    return { id: String(id), nodeIds, tags };
+}
+
+function readNode(reader) {
+    const node = { id: 0, lat: 0, lon: 0 };
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.tag();
+        if (field === 1) node.id = reader.svarint();
+        else if (field === 8) node.lat = reader.svarint();
+        else if (field === 9) node.lon = reader.svarint();
+        else reader.skip(wireType);
+    }
+    return node;
+}
+
+// Dense nodes: ids and coordinates as parallel delta-coded arrays
+function readDenseNodes(reader) {
+    let ids = [];
+    let lats = [];
+    let lons = [];
+    while (reader.hasMore()) {
+        const { field, wireType } = reader.tag();
+        if (field === 1) ids = ids.concat(reader.repeated(wireType, readSint));
+        else if (field === 8) lats = lats.concat(reader.repeated(wireType, readSint));
+        else if (field === 9) lons = lons.concat(reader.repeated(wireType, readSint));
+        else reader.skip(wireType);
+    }
+
+    const nodes = [];
+    let id = 0;
+    let lat = 0;
+    let lon = 0;
+    for (let i = 0; i < ids.length; i++) {
+        id += ids[i];
+        lat += lats[i];
+        lon += lons[i];
+        nodes.push({ id, lat, lon });
+    }
+    return nodes;
+}
+
+/**
+ * Read the ways of a PBF extract that pass a filter, and the nodes they use
+ * Takes two passes over the file so only the needed nodes are kept.
+ * @param {ArrayBuffer|Uint8Array} buffer - PBF file contents
+ * @param {Function} keepWay - tags -> boolean
+ * @returns {Promise<Object>} - { nodes: Map(id -> { lat, lng }), ways: [{ id, nodeIds, tags }] }
+ */
+export async function readOSMPbf(buffer, keepWay) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    const ways = [];
+    const usedNodes = new Set();
+    for await (const data of dataBlocks(bytes)) {
+        const { strings, groups } = readBlock(data);
+        groups.forEach(group => {
+            while (group.hasMore()) {
+                const { field, wireType } = group.tag();
+                if (field !== 3) {
+                    group.skip(wireType);
+                    continue;
+                }
+                const way = readWay(group.message(), strings);
+                if (way.nodeIds.length < 2 || !keepWay(way.tags)) continue;
+                way.nodeIds.forEach(nodeId => usedNodes.add(nodeId));
+                ways.push(way);
+            }
+        });
+    }
+
+    const nodes = new Map();
+    for await (const data of dataBlocks(bytes)) {
+        const { groups, granularity, latOffset, lonOffset } = readBlock(data);
+        const keep = ({ id, lat, lon }) => {
+            const nodeId = String(id);
+            if (!usedNodes.has(nodeId)) return;
+            nodes.set(nodeId, {
+                lat: (latOffset + granularity * lat) * 1e-9,
+                lng: (lonOffset + granularity * lon) * 1e-9
+            });
+        };
+
+        groups.forEach(group => {
+            while (group.hasMore()) {
+                const { field, wireType } = group.tag();
+                if (field === 1) keep(readNode(group.message()));
+                else if (field === 2) readDenseNodes(group.message()).forEach(keep);
+                else group.skip(wireType);
+            }
+        });
+    }
+
+    return { nodes, ways };
+}
@@ -0,0 +1,167 @@
+/**
+ * Multi-criteria label-setting search (Martins' algorithm)
+ * Finds the Pareto front of paths between two nodes over several additive,
+ * non-negative criteria (e.g. exposure, distance, time), including routes no
+ * weighted sum of the criteria would select. Each node keeps a bag of mutually
+ * non-dominated labels; labels are settled in lexicographic order, so a
+ * settled label is never dominated later. With epsilon > 0 a label is also
+ * dropped when another is within a factor (1 + epsilon) of it on every
+ * criterion, which bounds the front's size at a bounded loss of optimality.
+ * Upper bounds per criterion turn it into a resource-constrained search: labels
+ * exceeding a bound are dropped, leaving the front of the feasible paths.
+ * Without a target (paretoReach) every node reached keeps its own front.
+ *
+ * The module has no dependencies on the DOM or the AQI services and works on
+ * plain data, so it can run in a Web Worker.
+ */
+import MinHeap from './MinHeap.js';
+
+const DEFAULT_OPTIONS = {
+    epsilon: 0,          // 0 for the exact front
+    maxLabels: 20000,    // labels created before the search stops (keeps it interactive)
+    bounds: null,        // per-criterion upper limits (resource constraints), or null
+    onProgress: null,    // (labels, maxLabels) => void, called every progressEvery labels
+    progressEvery: 1000
+};
+
+/**
+ * Whether cost vector a (epsilon-)dominates b: no worse on every criterion,
+ * allowing b's costs to be exceeded by a factor (1 + epsilon)
+ * Equal vectors dominate each other, so duplicate paths are pruned.
+ */
+export function dominates(a, b, epsilon = 0) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] > b[i] * (1 + epsilon)) return false;
+    }
+    return true;
+}
+
+/**
+ * Strict Pareto dominance: no worse on every criterion and better on one
+ */
+export function strictlyDominates(a, b) {
+    let better = false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] > b[i]) return false;
+        if (a[i] < b[i]) better = true;
+    }
+    return better;
+}
+
+function lexicographic(a, b) {
+    for (let i = 0; i < a.costs.length; i++) {
+        if (a.costs[i] !== b.costs[i]) return a.costs[i] - b.costs[i];
+    }
+    return 0;
+}
+
+function pathOf(label) {
+    const path = [];
+    for (let current = label; current; current = current.parent) path.push(current.node);
+    return path.reverse();
+}
+
+/**
+ * Label-setting search from source; a null target labels every node
+ * @returns {Object} - { bags: nodeId -> live labels, targetBag, labels, truncated }
+ */
+function searchLabels(graph, source, target, options) {
+    const { epsilon, maxLabels, bounds, onProgress, progressEvery } = { ...DEFAULT_OPTIONS, ...options };
+    const firstEdge = graph.get(source)?.[0];
+    const criteria = firstEdge ? firstEdge.costs.length : 0;
+
+    const bags = new Map(); // nodeId -> live labels
+    const targetBag = [];
+    const heap = new MinHeap(lexicographic);
+    let labels = 0;
+    let truncated = false;
+
+    const start = { node: source, costs: new Array(criteria).fill(0), parent: null, alive: true };
+    bags.set(source, [start]);
+    heap.push(start);
+
+    while (!heap.isEmpty()) {
+        const label = heap.pop();
+        if (!label.alive) continue;
+        if (label.node === target) continue; // Settled at the target: part of the front
+
+        // Target pruning: extending a label never lowers its costs
+        if (targetBag.some(found => found.alive && dominates(found.costs, label.costs, epsilon))) continue;
+
+        for (const { to, costs } of graph.get(label.node) || []) {
+            const next = label.costs.map((cost, i) => cost + costs[i]);
+            if (bounds && next.some((cost, i) => cost > bounds[i])) continue;
+
+            if (targetBag.some(found => found.alive && dominates(found.costs, next, epsilon))) continue;
+
+            const bag = bags.get(to) || [];
+            if (bag.some(existing => dominates(existing.costs, next, epsilon))) continue;
+
+            // The new label replaces every label it dominates
+            const kept = bag.filter(existing => {
+                if (!dominates(next, existing.costs)) return true;
+                existing.alive = false;
+                return false;
+            });
+
+            const created = { node: to, costs: next, parent: label, alive: true };
+            kept.push(created);
+            bags.set(to, kept);
+            if (to === target) {
+                targetBag.push(created);
+            }
+            heap.push(created);
+
+            if (++labels >= maxLabels) {
+                truncated = true;
+                break;
+            }
+            if (onProgress && labels % progressEvery === 0) onProgress(labels, maxLabels);
+        }
+        if (truncated) break;
+    }
+
+    return { bags, targetBag, labels, truncated };
+}
+
+/**
+ * Pareto-optimal paths from source to target
+ * @param {Map} graph - nodeId -> [{ to, costs: number[] }], costs non-negative
+ * @param {Object} options - { epsilon, maxLabels, bounds, onProgress, progressEvery }
+ * @returns {Object} - { routes: [{ path, costs }], labels, truncated }
+ *                     routes are sorted by their first criterion; truncated is
+ *                     true when maxLabels stopped the search (routes may then miss
+ *                     parts of the front, or be empty)
+ */
+export function paretoFront(graph, source, target, options = {}) {
+    const { targetBag, labels, truncated } = searchLabels(graph, source, target, options);
+
+    const routes = targetBag
+        .filter(label => label.alive)
+        .map(label => ({ path: pathOf(label), costs: label.costs }))
+        .sort((a, b) => a.costs[0] - b.costs[0]);
+
+    return { routes, labels, truncated };
+}
+
+/**
+ * Pareto-optimal costs of reaching every node from source (one-to-all)
+ * Bounds keep the search near the source, e.g. a time limit for isochrones.
+ * @param {Map} graph - nodeId -> [{ to, costs: number[] }], costs non-negative
+ * @param {Object} options - { epsilon, maxLabels, bounds, onProgress, progressEvery }
+ * @returns {Object} - { bags: Map nodeId -> [costs], labels, truncated }
+ *                     truncated is true when maxLabels stopped the search; as
+ *                     labels are settled in lexicographic order, the nodes
+ *                     missed are those far out on the first criterion
+ */
+export function paretoReach(graph, source, options = {}) {
+    const { bags, labels, truncated } = searchLabels(graph, source, null, options);
+
+    const reached = new Map();
+    bags.forEach((bag, node) => {
+        const alive = bag.filter(label => label.alive).map(label => label.costs);
+        if (alive.length > 0) reached.set(node, alive);
+    });
+
+    return { bags: reached, labels, truncated };
+}
@@ -0,0 +1,258 @@
+/**
+ * Rate-limit-aware request scheduler for AQI providers
+ * Each provider gets its own queue with a concurrency cap and a request quota
+ * (per minute and optionally per day). Failed requests answered with 429 or 5xx
+ * are retried with exponential backoff, honouring Retry-After. Concurrent
+ * requests for the same key are merged into a single in-flight request.
+ * Daily usage is persisted in localStorage, so the daily quota holds across
+ * page reloads.
+ */
+
+const DEFAULT_LIMITS = {
+    concurrency: 4,       // simultaneous requests
+    perMinute: 60,        // sliding one-minute quota
+    perDay: null,         // daily quota (null = unlimited)
+    retries: 3,           // retry attempts after the first failure
+    baseDelayMs: 500,     // first backoff delay, doubled per attempt
+    maxDelayMs: 8000,     // backoff ceiling
+    maxWaitMs: 15000      // give up on requests queued longer than this
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const STORAGE_KEY = 'aqi_daily_requests'; // providerId -> { dayStart, count }
+
+function readDailyUsage() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
+function saveDailyUsage(providerId, dayStart, count) {
+    try {
+        const usage = readDailyUsage();
+        usage[providerId] = { dayStart, count };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(usage));
+    } catch {
+        // ignore storage errors; the daily count then only covers this session
+    }
+}
+
+/**
+ * Build an Error carrying the HTTP status (and Retry-After delay) of a failed response
+ */
+export function createHttpError(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+
+    const retryAfter = response.headers?.get?.('Retry-After');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        error.retryAfterMs = Number.isFinite(seconds)
+            ? seconds * 1000
+            : Math.max(0, new Date(retryAfter).getTime() - Date.now());
+    }
+
+    return error;
+}
+
+/**
+ * Whether a failure is worth retrying: throttling, server errors and network errors
+ */
+export function isRetryable(error) {
+    if (error?.throttled) return false; // Our own quota: retrying cannot help
+    if (error?.status === 429) return true;
+    if (error?.status >= 500) return true;
+    return error?.status === undefined && error instanceof TypeError; // fetch network failure
+}
+
+class RequestScheduler {
+    /**
+     * @param {Object} limits - Limits keyed by provider id, plus an optional `default` entry
+     */
+    constructor(limits = {}) {
+        this.limits = limits;
+        this.queues = new Map();
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Effective limits for a provider
+     */
+    getLimits(providerId) {
+        return { ...DEFAULT_LIMITS, ...this.limits.default, ...this.limits[providerId] };
+    }
+
+    /**
+     * Run a request through the provider's queue
+     * @param {string} providerId - Provider the request counts against
+     * @param {string} key - Deduplication key (e.g. tile key); concurrent calls share one request
+     * @param {Function} task - () => Promise performing the request
+     * @returns {Promise} - Result of the task
+     */
+    schedule(providerId, key, task) {
+        const flightKey = `${providerId}:${key}`;
+        const queue = this.getQueue(providerId);
+
+        if (this.inFlight.has(flightKey)) {
+            queue.stats.deduplicated++;
+            return this.inFlight.get(flightKey);
+        }
+
+        const promise = this.runWithRetries(providerId, task)
+            .finally(() => this.inFlight.delete(flightKey));
+
+        this.inFlight.set(flightKey, promise);
+        return promise;
+    }
+
+    async runWithRetries(providerId, task) {
+        const limits = this.getLimits(providerId);
+        const queue = this.getQueue(providerId);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.enqueue(providerId, task);
+            } catch (error) {
+                if (attempt >= limits.retries || !isRetryable(error)) throw error;
+
+                const backoff = Math.min(limits.maxDelayMs, limits.baseDelayMs * 2 ** attempt);
+                const delay = Math.max(error.retryAfterMs || 0, backoff * (0.8 + Math.random() * 0.4));
+                queue.stats.retries++;
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    enqueue(providerId, task) {
+        const queue = this.getQueue(providerId);
+
+        return new Promise((resolve, reject) => {
+            queue.pending.push({ task, resolve, reject, enqueuedAt: Date.now() });
+            this.pump(providerId);
+        });
+    }
+
+    /**
+     * Start as many queued requests as concurrency and quota allow
+     */
+    pump(providerId) {
+        const queue = this.getQueue(providerId);
+        const limits = this.getLimits(providerId);
+        const now = Date.now();
+
+        // Forget quota usage that fell out of the windows
+        queue.minuteWindow = queue.minuteWindow.filter(time => now - time < MINUTE_MS);
+        if (now - queue.dayStart >= DAY_MS) {
+            queue.dayStart = now;
+            queue.dayCount = 0;
+            saveDailyUsage(providerId, queue.dayStart, queue.dayCount);
+        }
+
+        // Requests that waited too long are rejected so callers can fall back to other sources
+        while (queue.pending.length > 0 && now - queue.pending[0].enqueuedAt > limits.maxWaitMs) {
+            const expired = queue.pending.shift();
+            queue.stats.rejected++;
+            const error = new Error(`${providerId} request waited over ${limits.maxWaitMs} ms for rate limit`);
+            error.throttled = true;
+            expired.reject(error);
+        }
+
+        while (queue.pending.length > 0 && queue.active < limits.concurrency) {
+            if (limits.perDay !== null && queue.dayCount >= limits.perDay) {
+                queue.stats.rejected += queue.pending.length;
+                queue.pending.splice(0).forEach(item => {
+                    const error = new Error(`${providerId} daily quota of ${limits.perDay} requests exhausted`);
+                    error.status = 429;
+                    error.throttled = true;
+                    item.reject(error);
+                });
+                return;
+            }
+
+            if (queue.minuteWindow.length >= limits.perMinute) {
+                queue.stats.throttled++;
+                // Wake up when quota frees up, or earlier to expire the oldest waiting request
+                this.wakeUpLater(providerId, Math.min(
+                    MINUTE_MS - (now - queue.minuteWindow[0]),
+                    limits.maxWaitMs - (now - queue.pending[0].enqueuedAt) + 1
+                ));
+                return;
+            }
+
+            const item = queue.pending.shift();
+            queue.active++;
+            queue.dayCount++;
+            saveDailyUsage(providerId, queue.dayStart, queue.dayCount);
+            queue.minuteWindow.push(now);
+            queue.stats.started++;
+
+            Promise.resolve()
+                .then(item.task)
+                .then(item.resolve, item.reject)
+                .finally(() => {
+                    queue.active--;
+                    this.pump(providerId);
+                });
+        }
+    }
+
+    wakeUpLater(providerId, delayMs) {
+        const queue = this.getQueue(providerId);
+        if (queue.timer) return;
+
+        queue.timer = setTimeout(() => {
+            queue.timer = null;
+            this.pump(providerId);
+        }, Math.max(delayMs, 10));
+    }
+
+    getQueue(providerId) {
+        if (!this.queues.has(providerId)) {
+            // Continue the day started in an earlier session
+            const stored = readDailyUsage()[providerId];
+            const day = stored && Date.now() - stored.dayStart < DAY_MS
+                ? stored
+                : { dayStart: Date.now(), count: 0 };
+
+            this.queues.set(providerId, {
+                pending: [],
+                active: 0,
+                minuteWindow: [],
+                dayStart: day.dayStart,
+                dayCount: day.count,
+                timer: null,
+                stats: { started: 0, retries: 0, throttled: 0, deduplicated: 0, rejected: 0 }
+            });
+        }
+        return this.queues.get(providerId);
+    }
+
+    /**
+     * Queue state and counters per provider
+     */
+    getStats() {
+        const stats = {};
+
+        for (const [providerId, queue] of this.queues) {
+            const limits = this.getLimits(providerId);
+            stats[providerId] = {
+                ...queue.stats,
+                queued: queue.pending.length,
+                active: queue.active,
+                usedThisMinute: queue.minuteWindow.filter(time => Date.now() - time < MINUTE_MS).length,
+                usedToday: queue.dayCount,
+                limits: { concurrency: limits.concurrency, perMinute: limits.perMinute, perDay: limits.perDay }
+            };
+        }
+
+        return stats;
+    }
+}
+
+export default RequestScheduler;
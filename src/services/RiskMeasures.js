@@ -0,0 +1,77 @@
+/**
+ * Risk measures for uncertainty-aware routing
+ * Edge exposures are treated as normal distributions. Errors of nearby edges
+ * come from the same stations and models, so they are assumed fully
+ * correlated: route means and standard deviations both add up along the path,
+ * which keeps every measure below additive and usable as a Dijkstra edge cost
+ * (for comonotonic variables CVaR is additive as well).
+ */
+
+export const RISK_MEASURES = [
+    { id: 'expected', name: 'Expected exposure' },
+    { id: 'mean-std', name: 'Expected + k·σ' },
+    { id: 'cvar', name: 'CVaR (worst cases)' }
+];
+
+/**
+ * Standard normal density
+ */
+export function normalPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal quantile (Acklam's rational approximation, |error| < 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ */
+export function normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+               ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        return -normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+           (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Number of standard deviations a risk measure adds to the mean
+ * For a normal variable CVaR at level alpha is mean + σ·φ(Φ⁻¹(alpha)) / (1 - alpha).
+ * @param {string} measure - 'expected', 'mean-std' or 'cvar'
+ * @param {Object} options - { k, alpha }
+ * @returns {number}
+ */
+export function riskLoading(measure, { k = 1, alpha = 0.9 } = {}) {
+    if (measure === 'mean-std') return k;
+    if (measure === 'cvar') return normalPdf(normalQuantile(alpha)) / (1 - alpha);
+    return 0;
+}
+
+/**
+ * Two-sided normal confidence band, clamped at zero
+ * @param {number} level - Coverage, e.g. 0.9 for a 90% band
+ * @returns {Object} - { low, high, level }
+ */
+export function confidenceBand(mean, std, level = 0.9) {
+    const z = normalQuantile(0.5 + level / 2);
+    return {
+        low: Math.max(0, mean - z * std),
+        high: mean + z * std,
+        level
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * Stitching of route polylines into one connected graph
+ * OSRM alternatives rarely share vertices exactly: they cross between two
+ * vertices, or follow the same road a few metres apart. Vertices within the
+ * tolerance of each other are snapped onto one node, and junction nodes are
+ * inserted where segments of two routes cross or where a vertex lies within
+ * the tolerance of another route's segment, so a search can switch between
+ * routes at those points and combine their segments.
+ *
+ * Works on plain data in a local planar projection (errors well under a metre
+ * over a city-sized area).
+ */
+
+const EARTH_RADIUS = 6371000;
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+const DEFAULT_OPTIONS = {
+    toleranceMeters: 10, // Snapping and proximity distance
+    cellMeters: 200      // Cell size of the grid indexing segments
+};
+
+/**
+ * Crossing point of segments p-p2 and q-q2, strictly inside both
+ * @returns {Object|null} - { t, u, point }: fractions along each segment and the point
+ */
+export function segmentIntersection(p, p2, q, q2) {
+    const r = { x: p2.x - p.x, y: p2.y - p.y };
+    const s = { x: q2.x - q.x, y: q2.y - q.y };
+    const denominator = r.x * s.y - r.y * s.x;
+    if (Math.abs(denominator) < 1e-9) return null; // Parallel: left to the proximity check
+
+    const qp = { x: q.x - p.x, y: q.y - p.y };
+    const t = (qp.x * s.y - qp.y * s.x) / denominator;
+    const u = (qp.x * r.y - qp.y * r.x) / denominator;
+    if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+
+    return { t, u, point: { x: p.x + t * r.x, y: p.y + t * r.y } };
+}
+
+/**
+ * Closest point of segment a-b to a point
+ * @returns {Object} - { t, distance }: unclamped fraction along the segment and
+ *                     the distance to the nearest point of the segment
+ */
+export function projectOntoSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq;
+    const clamped = Math.max(0, Math.min(1, t));
+    return { t, distance: Math.hypot(a.x + clamped * dx - point.x, a.y + clamped * dy - point.y) };
+}
+
+/**
+ * Merge route polylines into one undirected graph
+ * @param {Array} routes - [{ coordinates: [{ lat, lng }] }]
+ * @param {Object} options - { toleranceMeters, cellMeters }
+ * @returns {Object} - { nodes: [{ lat, lng }], edges: [[nodeA, nodeB]], junctions }
+ *                     junctions counts the nodes shared by two or more routes
+ */
+export function stitchRoutes(routes, options = {}) {
+    const { toleranceMeters, cellMeters } = { ...DEFAULT_OPTIONS, ...options };
+    const coordinates = routes.flatMap(route => route.coordinates);
+    if (coordinates.length === 0) return { nodes: [], edges: [], junctions: 0 };
+
+    // Equirectangular projection around the centre of the routes
+    const lat0 = coordinates.reduce((sum, coord) => sum + coord.lat, 0) / coordinates.length;
+    const lng0 = coordinates.reduce((sum, coord) => sum + coord.lng, 0) / coordinates.length;
+    const cosLat = Math.cos(toRad(lat0));
+    const project = ({ lat, lng }) => ({
+        lat,
+        lng,
+        x: toRad(lng - lng0) * EARTH_RADIUS * cosLat,
+        y: toRad(lat - lat0) * EARTH_RADIUS
+    });
+    const unproject = ({ x, y }) => project({
+        lat: lat0 + toDeg(y / EARTH_RADIUS),
+        lng: lng0 + toDeg(x / (EARTH_RADIUS * cosLat))
+    });
+
+    // Nodes, indexed by tolerance-sized cells to find snapping candidates
+    const nodes = [];
+    const nodeGrid = new Map();
+    const snapNode = (point) => {
+        const cx = Math.floor(point.x / toleranceMeters);
+        const cy = Math.floor(point.y / toleranceMeters);
+        let nearest = -1;
+        let nearestDistance = toleranceMeters;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const id of nodeGrid.get(`${cx + dx}_${cy + dy}`) || []) {
+                    const distance = Math.hypot(nodes[id].x - point.x, nodes[id].y - point.y);
+                    if (distance <= nearestDistance) {
+                        nearest = id;
+                        nearestDistance = distance;
+                    }
+                }
+            }
+        }
+        if (nearest >= 0) return nearest;
+
+        nodes.push(point);
+        const key = `${cx}_${cy}`;
+        if (!nodeGrid.has(key)) nodeGrid.set(key, []);
+        nodeGrid.get(key).push(nodes.length - 1);
+        return nodes.length - 1;
+    };
+
+    // Segments with their snapped end nodes; junctions found later are split points
+    const segments = [];
+    routes.forEach((route, routeIndex) => {
+        const points = route.coordinates.map(project);
+        const ids = points.map(snapNode);
+        for (let i = 0; i < points.length - 1; i++) {
+            segments.push({ routeIndex, a: points[i], b: points[i + 1], from: ids[i], to: ids[i + 1], splits: [] });
+        }
+    });
+
+    // Grid of segment bounding boxes (grown by the tolerance) for candidate pairs
+    const segmentGrid = new Map();
+    segments.forEach((segment, index) => {
+        const minX = Math.floor((Math.min(segment.a.x, segment.b.x) - toleranceMeters) / cellMeters);
+        const maxX = Math.floor((Math.max(segment.a.x, segment.b.x) + toleranceMeters) / cellMeters);
+        const minY = Math.floor((Math.min(segment.a.y, segment.b.y) - toleranceMeters) / cellMeters);
+        const maxY = Math.floor((Math.max(segment.a.y, segment.b.y) + toleranceMeters) / cellMeters);
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = `${cx}_${cy}`;
+                if (!segmentGrid.has(key)) segmentGrid.set(key, []);
+                segmentGrid.get(key).push(index);
+            }
+        }
+    });
+
+    const connect = (first, second) => {
+        // Crossing between two vertices
+        const crossing = segmentIntersection(first.a, first.b, second.a, second.b);
+        if (crossing) {
+            const id = snapNode(unproject(crossing.point));
+            first.splits.push({ t: crossing.t, id });
+            second.splits.push({ t: crossing.u, id });
+        }
+
+        // A vertex running alongside the other segment
+        [[first, second], [second, first]].forEach(([segment, other]) => {
+            [[segment.a, segment.from], [segment.b, segment.to]].forEach(([point, id]) => {
+                const { t, distance } = projectOntoSegment(point, other.a, other.b);
+                if (t > 0 && t < 1 && distance <= toleranceMeters) other.splits.push({ t, id });
+            });
+        });
+    };
+
+    const compared = new Set();
+    segmentGrid.forEach(cell => {
+        for (let i = 0; i < cell.length; i++) {
+            for (let j = i + 1; j < cell.length; j++) {
+                const first = segments[cell[i]];
+                const second = segments[cell[j]];
+                if (first.routeIndex === second.routeIndex) continue;
+
+                const pair = `${cell[i]}_${cell[j]}`;
+                if (compared.has(pair)) continue;
+                compared.add(pair);
+                connect(first, second);
+            }
+        }
+    });
+
+    // Chain each segment through its split points
+    const edges = new Map();
+    const nodeRoutes = new Map();
+    segments.forEach(segment => {
+        const chain = [
+            segment.from,
+            ...segment.splits.sort((a, b) => a.t - b.t).map(split => split.id),
+            segment.to
+        ];
+        chain.forEach(id => {
+            if (!nodeRoutes.has(id)) nodeRoutes.set(id, new Set());
+            nodeRoutes.get(id).add(segment.routeIndex);
+        });
+        for (let i = 0; i < chain.length - 1; i++) {
+            const [a, b] = [chain[i], chain[i + 1]].sort((x, y) => x - y);
+            if (a !== b) edges.set(`${a}_${b}`, [a, b]);
+        }
+    });
+
+    let junctions = 0;
+    nodeRoutes.forEach(routeSet => {
+        if (routeSet.size > 1) junctions++;
+    });
+
+    return {
+        nodes: nodes.map(({ lat, lng }) => ({ lat, lng })),
+        edges: [...edges.values()],
+        junctions
+    };
+}
@@ -0,0 +1,171 @@
+/**
+ * Single-criterion shortest paths on a weighted adjacency list
+ * A* with a caller-supplied heuristic, and a bidirectional variant using the
+ * average of a forward and a backward heuristic as potential (so both searches
+ * stay consistent and can meet in the middle). With zero heuristics these are
+ * plain and bidirectional Dijkstra. Also minimax (bottleneck) paths, which
+ * minimize the largest edge weight instead of the sum.
+ *
+ * Works on plain data (no DOM or service dependencies), so it can run in a Web Worker.
+ * Heuristics must be consistent: h(u) <= weight(u, v) + h(v) for every edge.
+ */
+import MinHeap from './MinHeap.js';
+
+const byKey = (a, b) => a.key - b.key;
+
+function tracePath(previous, node) {
+    const path = [];
+    for (let current = node; current !== undefined; current = previous.get(current)) path.push(current);
+    return path.reverse();
+}
+
+/**
+ * Graph with every edge reversed, for searching backwards from the target
+ * @param {Map} graph - nodeId -> [{ to, weight }]
+ * @returns {Map} - nodeId -> [{ to, weight }] of incoming edges
+ */
+export function reverseGraph(graph) {
+    const reversed = new Map();
+    graph.forEach((_, nodeId) => reversed.set(nodeId, []));
+    graph.forEach((edges, nodeId) => {
+        edges.forEach(({ to, weight }) => {
+            if (!reversed.has(to)) reversed.set(to, []);
+            reversed.get(to).push({ to: nodeId, weight });
+        });
+    });
+    return reversed;
+}
+
+/**
+ * A* search
+ * @param {Map} graph - nodeId -> [{ to, weight }], weights non-negative
+ * @param {Function} heuristic - nodeId -> lower bound of the cost to the target
+ * @returns {Object} - { path (null when unreachable), cost, settled }
+ */
+export function aStar(graph, source, target, heuristic = () => 0) {
+    const distances = new Map([[source, 0]]);
+    const previous = new Map();
+    const settled = new Set();
+    const open = new MinHeap(byKey);
+    open.push({ node: source, key: heuristic(source) });
+
+    while (!open.isEmpty()) {
+        const { node } = open.pop();
+        if (settled.has(node)) continue; // Stale queue entry
+        settled.add(node);
+
+        if (node === target) {
+            return { path: tracePath(previous, target), cost: distances.get(target), settled: settled.size };
+        }
+
+        const distance = distances.get(node);
+        for (const { to, weight } of graph.get(node) || []) {
+            const next = distance + weight;
+            if (!distances.has(to) || next < distances.get(to)) {
+                distances.set(to, next);
+                previous.set(to, node);
+                open.push({ node: to, key: next + heuristic(to) });
+            }
+        }
+    }
+
+    return { path: null, cost: Infinity, settled: settled.size };
+}
+
+/**
+ * Bidirectional A* search (bidirectional Dijkstra without heuristics)
+ * Forward and backward searches use the potentials p(v) = (toTarget(v) - fromSource(v)) / 2
+ * and -p(v); the search stops once the two queue minima add up to the best
+ * meeting cost found.
+ * @param {Map} graph - nodeId -> [{ to, weight }]
+ * @param {Map} reversed - reverseGraph(graph)
+ * @param {Object} heuristics - { toTarget, fromSource }: nodeId -> lower bound of
+ *                              the cost to the target / from the source
+ * @returns {Object} - { path (null when unreachable), cost, settled }
+ */
+export function bidirectionalAStar(graph, reversed, source, target, { toTarget = () => 0, fromSource = () => 0 } = {}) {
+    if (source === target) return { path: [source], cost: 0, settled: 1 };
+
+    const potential = (node) => (toTarget(node) - fromSource(node)) / 2;
+    const sides = [
+        { graph, distances: new Map([[source, 0]]), previous: new Map(), settled: new Set(), open: new MinHeap(byKey), sign: 1 },
+        { graph: reversed, distances: new Map([[target, 0]]), previous: new Map(), settled: new Set(), open: new MinHeap(byKey), sign: -1 }
+    ];
+    sides[0].open.push({ node: source, key: potential(source) });
+    sides[1].open.push({ node: target, key: -potential(target) });
+
+    let best = Infinity;
+    let meeting = null;
+
+    const topKey = (side) => {
+        while (!side.open.isEmpty() && side.settled.has(side.open.peek().node)) side.open.pop();
+        return side.open.isEmpty() ? Infinity : side.open.peek().key;
+    };
+
+    while (true) {
+        const forwardKey = topKey(sides[0]);
+        const backwardKey = topKey(sides[1]);
+        if (forwardKey === Infinity || backwardKey === Infinity || forwardKey + backwardKey >= best) break;
+
+        // Expand the side with the smaller queue
+        const [side, other] = sides[0].open.size <= sides[1].open.size ? sides : [sides[1], sides[0]];
+        const { node } = side.open.pop();
+        side.settled.add(node);
+
+        const distance = side.distances.get(node);
+        for (const { to, weight } of side.graph.get(node) || []) {
+            const next = distance + weight;
+            if (!side.distances.has(to) || next < side.distances.get(to)) {
+                side.distances.set(to, next);
+                side.previous.set(to, node);
+                side.open.push({ node: to, key: next + side.sign * potential(to) });
+            }
+            if (other.distances.has(to) && next + other.distances.get(to) < best) {
+                best = next + other.distances.get(to);
+                meeting = to;
+            }
+        }
+    }
+
+    const settled = sides[0].settled.size + sides[1].settled.size;
+    if (meeting === null) return { path: null, cost: Infinity, settled };
+
+    const forwardPath = tracePath(sides[0].previous, meeting);
+    const backwardPath = tracePath(sides[1].previous, meeting).reverse().slice(1);
+    return { path: [...forwardPath, ...backwardPath], cost: best, settled };
+}
+
+/**
+ * Minimax (bottleneck) path: the path whose largest edge weight is smallest
+ * @param {Map} graph - nodeId -> [{ to, weight }]
+ * @returns {Object} - { path (null when unreachable), cost: largest edge weight on it }
+ */
+export function minimaxPath(graph, source, target) {
+    const bottlenecks = new Map([[source, -Infinity]]);
+    const previous = new Map();
+    const settled = new Set();
+    const open = new MinHeap(byKey);
+    open.push({ node: source, key: -Infinity });
+
+    while (!open.isEmpty()) {
+        const { node } = open.pop();
+        if (settled.has(node)) continue;
+        settled.add(node);
+
+        if (node === target) {
+            return { path: tracePath(previous, target), cost: bottlenecks.get(target) };
+        }
+
+        const bottleneck = bottlenecks.get(node);
+        for (const { to, weight } of graph.get(node) || []) {
+            const next = Math.max(bottleneck, weight);
+            if (!bottlenecks.has(to) || next < bottlenecks.get(to)) {
+                bottlenecks.set(to, next);
+                previous.set(to, node);
+                open.push({ node: to, key: next });
+            }
+        }
+    }
+
+    return { path: null, cost: Infinity };
+}
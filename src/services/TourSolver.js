@@ -0,0 +1,118 @@
+/**
+ * Ordering of the intermediate stops of an open trip (a small TSP)
+ * The trip starts at node 0 and ends at the last node of a cost matrix; the
+ * stops in between may be visited in any order. Up to MAX_EXACT_STOPS stops
+ * are ordered exactly with the Held-Karp dynamic programme (O(2^k · k²) for k
+ * stops); longer lists get a nearest-neighbour order improved by 2-opt.
+ *
+ * Works on plain data (no DOM or service dependencies).
+ */
+
+export const MAX_EXACT_STOPS = 10;
+
+/**
+ * Cost of visiting the stops in an order
+ * @param {Array<Array<number>>} costs - costs[i][j] from node i to node j
+ * @param {Array<number>} order - Stop indices (0 is the first stop, i.e. node 1)
+ */
+export function tourCost(costs, order) {
+    const path = [0, ...order.map(stop => stop + 1), costs.length - 1];
+    let total = 0;
+    for (let i = 0; i < path.length - 1; i++) total += costs[path[i]][path[i + 1]];
+    return total;
+}
+
+function heldKarp(costs, stops) {
+    const end = costs.length - 1;
+    const states = 1 << stops;
+    const best = new Float64Array(states * stops).fill(Infinity);
+    const parent = new Int8Array(states * stops).fill(-1);
+
+    for (let j = 0; j < stops; j++) best[(1 << j) * stops + j] = costs[0][j + 1];
+
+    for (let mask = 1; mask < states; mask++) {
+        for (let j = 0; j < stops; j++) {
+            const cost = best[mask * stops + j];
+            if (!(mask & (1 << j)) || cost === Infinity) continue;
+
+            for (let next = 0; next < stops; next++) {
+                if (mask & (1 << next)) continue;
+                const nextMask = mask | (1 << next);
+                const candidate = cost + costs[j + 1][next + 1];
+                if (candidate < best[nextMask * stops + next]) {
+                    best[nextMask * stops + next] = candidate;
+                    parent[nextMask * stops + next] = j;
+                }
+            }
+        }
+    }
+
+    const full = states - 1;
+    let last = 0;
+    let cost = Infinity;
+    for (let j = 0; j < stops; j++) {
+        const candidate = best[full * stops + j] + costs[j + 1][end];
+        if (candidate < cost) {
+            cost = candidate;
+            last = j;
+        }
+    }
+
+    const order = [];
+    for (let mask = full, j = last; j !== -1;) {
+        order.push(j);
+        const previous = parent[mask * stops + j];
+        mask &= ~(1 << j);
+        j = previous;
+    }
+    return { order: order.reverse(), cost };
+}
+
+function nearestNeighbourTwoOpt(costs, stops) {
+    // Nearest unvisited stop first
+    const order = [];
+    const remaining = new Set(Array.from({ length: stops }, (_, i) => i));
+    let current = 0;
+    while (remaining.size > 0) {
+        let nearest = null;
+        remaining.forEach(stop => {
+            if (nearest === null || costs[current][stop + 1] < costs[current][nearest + 1]) nearest = stop;
+        });
+        order.push(nearest);
+        remaining.delete(nearest);
+        current = nearest + 1;
+    }
+
+    // Reverse segments while that shortens the trip
+    let cost = tourCost(costs, order);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < stops - 1; i++) {
+            for (let j = i + 1; j < stops; j++) {
+                const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+                const candidateCost = tourCost(costs, candidate);
+                if (candidateCost < cost - 1e-9) {
+                    order.splice(0, stops, ...candidate);
+                    cost = candidateCost;
+                    improved = true;
+                }
+            }
+        }
+    }
+    return { order, cost };
+}
+
+/**
+ * Cheapest order of the stops between a fixed start and end
+ * @param {Array<Array<number>>} costs - (k + 2) × (k + 2) matrix: start, k stops, end
+ * @returns {Object} - { order: stop indices in visiting order, cost, exact }
+ */
+export function orderStops(costs) {
+    const stops = costs.length - 2;
+    if (stops <= 0) return { order: [], cost: stops === 0 ? costs[0][1] : 0, exact: true };
+
+    return stops <= MAX_EXACT_STOPS
+        ? { ...heldKarp(costs, stops), exact: true }
+        : { ...nearestNeighbourTwoOpt(costs, stops), exact: false };
+}
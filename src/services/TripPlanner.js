@@ -0,0 +1,196 @@
+/**
+ * Multi-stop trip planner
+ * Orders the intermediate stops of a trip to minimize its exposure, or a
+ * weighted exposure/distance score, and splits a routed trip into per-leg
+ * metrics. Leg costs for the ordering are estimated without routing: the
+ * straight line between two points, lengthened by a typical detour factor,
+ * with the AQI sampled along it.
+ */
+import AQIService from './AQIService.js';
+import GraphRoutingService from './GraphRoutingService.js';
+import DeparturePlanner from './DeparturePlanner.js';
+import { getActiveStandardId } from './AQIStandards.js';
+import { addDose, exposureFactor, getActiveModeId, inhaledDose, travelTimeSeconds } from './DoseModel.js';
+import { getActiveProfileId } from './HealthProfiles.js';
+import { orderStops } from './TourSolver.js';
+
+const DETOUR_FACTOR = 1.3; // Road distance over straight-line distance in cities
+const LEG_SAMPLES = 5; // AQI lookups along each straight leg
+
+class TripPlanner {
+    /**
+     * Best visiting order of the stops between a start and an end
+     * @param {Object} start - { lat, lng }
+     * @param {Array} stops - [{ lat, lng }]
+     * @param {Object} end - { lat, lng }
+     * @param {Object} options - objective ('exposure' or 'weighted'), exposureWeight
+     *                           (0-1, weighted score only), modeId and the
+     *                           healthProfile exposure is weighted for
+     * @returns {Promise<Object>} - { order (stop indices), estimate: { exposure, distance }, exact }
+     */
+    async planStopOrder(start, stops, end, options = {}) {
+        const {
+            objective = 'weighted',
+            exposureWeight = 0.7,
+            modeId = getActiveModeId(),
+            healthProfile = getActiveProfileId()
+        } = options;
+
+        const legs = await this.estimateLegs([start, ...stops, end], modeId, healthProfile);
+        const score = ({ exposure, distance }) => objective === 'exposure'
+            ? exposure
+            : exposure * exposureWeight + distance / 1000 * (1 - exposureWeight);
+        const { order, exact } = orderStops(legs.map(row => row.map(score)));
+
+        // Estimated totals of the chosen order
+        const path = [0, ...order.map(stop => stop + 1), stops.length + 1];
+        const estimate = { exposure: 0, distance: 0 };
+        for (let i = 0; i < path.length - 1; i++) {
+            estimate.exposure += legs[path[i]][path[i + 1]].exposure;
+            estimate.distance += legs[path[i]][path[i + 1]].distance;
+        }
+
+        return { order, estimate, exact };
+    }
+
+    /**
+     * Estimated exposure and distance between every pair of points
+     * Exposure is costed on the overall AQI, whatever the last route search minimized.
+     * @returns {Promise<Array>} - legs[i][j] = { exposure, distance (m) }
+     */
+    async estimateLegs(points, modeId, healthProfile = getActiveProfileId()) {
+        const legs = points.map(() => points.map(() => ({ exposure: 0, distance: 0 })));
+        const factor = exposureFactor(modeId);
+        const context = { objective: 'aqi', healthProfile };
+
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                const distance = GraphRoutingService.calculateDistance(points[i], points[j]) * DETOUR_FACTOR;
+                const minutes = travelTimeSeconds(distance, modeId) / 60 / LEG_SAMPLES;
+                let exposure = 0;
+
+                for (let k = 0; k < LEG_SAMPLES; k++) {
+                    const fraction = (k + 0.5) / LEG_SAMPLES;
+                    const reading = await AQIService.getAQI(
+                        points[i].lat + (points[j].lat - points[i].lat) * fraction,
+                        points[i].lng + (points[j].lng - points[i].lng) * fraction
+                    );
+                    exposure += reading ? GraphRoutingService.exposureFromReading(reading, minutes, context) * factor : 0;
+                }
+
+                legs[i][j] = { exposure, distance };
+                legs[j][i] = { exposure, distance };
+            }
+        }
+
+        return legs;
+    }
+
+    /**
+     * Per-leg metrics of a routed multi-stop trip and their combined summary
+     * @param {Object} route - Route through every waypoint (coordinates, summary,
+     *                         waypointIndices from OSRM)
+     * @param {Array<string>} labels - Name of each waypoint, start to end
+     * @returns {Promise<Object>} - { legs: [{ from, to, distance, duration, avgAQI, exposure, dose }], total }
+     */
+    async summarizeTrip(route, labels, modeId = getActiveModeId(), standardId = getActiveStandardId(), healthProfile = getActiveProfileId()) {
+        const indices = this.waypointIndices(route, labels.length);
+        const legLabels = indices.length === labels.length ? labels : [labels[0], labels[labels.length - 1]];
+        const coordinates = route.coordinates;
+        const factor = exposureFactor(modeId);
+        const context = { objective: 'aqi', healthProfile };
+
+        const lengths = [];
+        for (let i = 0; i < indices.length - 1; i++) {
+            let length = 0;
+            for (let c = indices[i]; c < indices[i + 1]; c++) {
+                length += GraphRoutingService.calculateDistance(coordinates[c], coordinates[c + 1]);
+            }
+            lengths.push(length);
+        }
+        const routedLength = lengths.reduce((sum, length) => sum + length, 0);
+        const totalDistance = route.summary?.totalDistance ?? routedLength;
+        const totalTime = route.summary?.totalTime ?? travelTimeSeconds(totalDistance, modeId);
+
+        const legs = [];
+        for (let i = 0; i < lengths.length; i++) {
+            const share = routedLength > 0 ? lengths[i] / routedLength : 1 / lengths.length;
+            const leg = {
+                coordinates: coordinates.slice(indices[i], indices[i + 1] + 1),
+                summary: { totalDistance: totalDistance * share, totalTime: totalTime * share }
+            };
+
+            let exposure = 0;
+            let totalAQI = 0;
+            let count = 0;
+            const componentTotals = {};
+            for (const sample of DeparturePlanner.sampleRoute(leg)) {
+                const reading = await AQIService.getAQI(sample.lat, sample.lng);
+                if (!reading) continue;
+                exposure += GraphRoutingService.exposureFromReading(reading, sample.minutes, context) * factor;
+                totalAQI += AQIService.getIndex(reading, standardId);
+                Object.entries(reading.components || {}).forEach(([pollutant, value]) => {
+                    componentTotals[pollutant] = (componentTotals[pollutant] || 0) + value;
+                });
+                count++;
+            }
+
+            const avgComponents = Object.fromEntries(
+                Object.entries(componentTotals).map(([pollutant, total]) => [pollutant, total / count])
+            );
+            legs.push({
+                from: legLabels[i],
+                to: legLabels[i + 1],
+                distance: leg.summary.totalDistance,
+                duration: leg.summary.totalTime,
+                avgAQI: count > 0 ? totalAQI / count : -1,
+                exposure,
+                dose: count > 0 ? inhaledDose(avgComponents, leg.summary.totalTime / 60, modeId) : {}
+            });
+        }
+
+        // Averages weighted by the time spent on each leg
+        const measured = legs.filter(leg => leg.avgAQI >= 0);
+        const measuredTime = measured.reduce((sum, leg) => sum + leg.duration, 0);
+        const total = {
+            distance: totalDistance,
+            duration: totalTime,
+            avgAQI: measuredTime > 0 ? measured.reduce((sum, leg) => sum + leg.avgAQI * leg.duration, 0) / measuredTime : -1,
+            exposure: legs.reduce((sum, leg) => sum + leg.exposure, 0),
+            dose: legs.reduce((dose, leg) => addDose(dose, leg.dose), {}),
+            stops: labels.length - 2
+        };
+
+        return { legs, total, travelMode: modeId, standard: standardId };
+    }
+
+    /**
+     * Coordinate index of each waypoint on the route: OSRM's own, or else the
+     * nearest coordinate after the previous waypoint (just the two ends when
+     * the waypoints are unknown)
+     */
+    waypointIndices(route, count) {
+        if (route.waypointIndices?.length === count) return route.waypointIndices;
+
+        const coordinates = route.coordinates;
+        const waypoints = (route.waypoints || route.inputWaypoints || []).map(waypoint => waypoint.latLng || waypoint);
+        if (waypoints.length !== count) return [0, coordinates.length - 1];
+
+        const indices = [];
+        let from = 0;
+        waypoints.forEach((waypoint, w) => {
+            let nearest = w === count - 1 ? coordinates.length - 1 : from;
+            if (w > 0 && w < count - 1) {
+                for (let c = from; c < coordinates.length; c++) {
+                    if (GraphRoutingService.calculateDistance(coordinates[c], waypoint) <
+                        GraphRoutingService.calculateDistance(coordinates[nearest], waypoint)) nearest = c;
+                }
+            }
+            indices.push(nearest);
+            from = nearest;
+        });
+        return indices;
+    }
+}
+
+export default new TripPlanner();
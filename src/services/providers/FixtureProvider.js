@@ -0,0 +1,77 @@
+/**
+ * Offline fixture provider for local development
+ * Serves readings from a fixed list (nearest point wins) or, when no fixtures
+ * are given, from a smooth synthetic pollution field. Never touches the network.
+ */
+
+/**
+ * Create a fixture provider
+ * @param {Object} options - Provider options
+ * @param {Array} options.readings - Fixed readings [{ lat, lng, components, aqi? }] (µg/m³, US AQI)
+ * @param {number} options.latencyMs - Artificial response delay in milliseconds
+ * @returns {Object} - AQI provider
+ */
+export function createFixtureProvider({ readings = [], latencyMs = 0, weight = 1.0 } = {}) {
+    return {
+        id: 'fixture',
+        name: 'Offline fixtures',
+        weight,
+
+        async fetch(lat, lng) {
+            if (latencyMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, latencyMs));
+            }
+
+            return { lat, lng, reading: findNearestReading(readings, lat, lng) || syntheticReading(lat, lng) };
+        },
+
+        normalize(data) {
+            const { aqi, components = {}, station = null } = data.reading;
+            const location = Number.isFinite(data.reading.lat)
+                ? { lat: data.reading.lat, lng: data.reading.lng }
+                : { lat: data.lat, lng: data.lng };
+
+            return {
+                aqi,
+                components: { ...components },
+                station,
+                location
+            };
+        },
+
+        confidence() {
+            return 'medium';
+        }
+    };
+}
+
+function findNearestReading(readings, lat, lng) {
+    let nearest = null;
+    let minDistance = Infinity;
+
+    readings.forEach(reading => {
+        const distance = (reading.lat - lat) ** 2 + (reading.lng - lng) ** 2;
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearest = reading;
+        }
+    });
+
+    return nearest;
+}
+
+function syntheticReading(lat, lng) {
+    // 0..1 field that varies over a few kilometres
+    const field = (Math.sin(lat * 40) + Math.cos(lng * 40) + 2) / 4;
+    const pm2_5 = 5 + field * 80;
+
+    return {
+        components: {
+            pm2_5,
+            pm10: pm2_5 * 1.8,
+            o3: 40 + (1 - field) * 60,
+            no2: 10 + field * 50
+        },
+        station: 'Synthetic fixture'
+    };
+}
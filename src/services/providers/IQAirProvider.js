@@ -0,0 +1,71 @@
+/**
+ * IQAir (AirVisual) nearest-city API provider
+ * Reports only the US AQI and its main pollutant; the concentration of that
+ * pollutant is recovered from the breakpoint table
+ */
+import { concentrationFromSubIndex } from '../AQICalculator.js';
+import { createHttpError } from '../RequestScheduler.js';
+
+// IQAir pollutant codes to component keys
+const MAIN_POLLUTANTS = {
+    p2: 'pm2_5',
+    p1: 'pm10',
+    o3: 'o3',
+    n2: 'no2',
+    s2: 'so2',
+    co: 'co'
+};
+
+/**
+ * Create an IQAir provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - IQAir API key
+ * @returns {Object} - AQI provider
+ */
+export function createIQAirProvider({ apiKey, weight = 1.2 } = {}) {
+    return {
+        id: 'iqair',
+        name: 'IQAir',
+        weight,
+
+        async fetch(lat, lng) {
+            const url = `https://api.airvisual.com/v2/nearest_city?lat=${lat}&lon=${lng}&key=${apiKey}`;
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw createHttpError(response, `Failed to fetch IQAir AQI: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (data.status !== 'success') {
+                throw new Error(`IQAir API error: ${data.data?.message || 'Unknown error'}`);
+            }
+
+            return data;
+        },
+
+        normalize(data) {
+            const pollution = data.data?.current?.pollution || {};
+            const usAqi = pollution.aqius ?? -1;
+            const dominantPollutant = MAIN_POLLUTANTS[pollution.mainus] || 'pm2_5';
+            // GeoJSON order: [lng, lat]
+            const coordinates = data.data?.location?.coordinates;
+
+            return {
+                aqi: usAqi,
+                rawValue: usAqi,
+                measuredAt: pollution.ts ? Date.parse(pollution.ts) : null,
+                dominantPollutant,
+                components: {
+                    [dominantPollutant]: concentrationFromSubIndex(dominantPollutant, usAqi)
+                },
+                station: data.data?.city || null,
+                location: coordinates?.length === 2 ? { lat: coordinates[1], lng: coordinates[0] } : null
+            };
+        },
+
+        confidence() {
+            return 'high';
+        }
+    };
+}
@@ -0,0 +1,56 @@
+/**
+ * OpenWeather Air Pollution API provider
+ * Reports pollutant concentrations (µg/m³); the US AQI is computed from them
+ * by AQIService, and OpenWeather's own 1-5 index is kept as the raw value
+ */
+import { createHttpError } from '../RequestScheduler.js';
+
+/**
+ * Create an OpenWeather provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - OpenWeather API key
+ * @returns {Object} - AQI provider
+ */
+export function createOpenWeatherProvider({ apiKey, weight = 1.0 } = {}) {
+    return {
+        id: 'openweather',
+        name: 'OpenWeather',
+        weight,
+
+        async fetch(lat, lng) {
+            const url = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lng}&appid=${apiKey}`;
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw createHttpError(response, `Failed to fetch OpenWeather AQI: ${response.statusText}`);
+            }
+
+            return response.json();
+        },
+
+        normalize(data) {
+            const components = data.list?.[0]?.components || {};
+
+            const measuredAt = data.list?.[0]?.dt;
+
+            return {
+                rawValue: data.list?.[0]?.main?.aqi ?? -1,
+                measuredAt: measuredAt ? measuredAt * 1000 : null,
+                components: {
+                    pm2_5: components.pm2_5,
+                    pm10: components.pm10,
+                    o3: components.o3,
+                    no2: components.no2,
+                    so2: components.so2,
+                    co: components.co,
+                    nh3: components.nh3
+                }
+            };
+        },
+
+        // Modelled data rather than a measuring station
+        confidence() {
+            return 'medium';
+        }
+    };
+}
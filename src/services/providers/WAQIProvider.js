@@ -0,0 +1,76 @@
+/**
+ * World Air Quality Index (WAQI) geo feed provider
+ * Reports the station AQI and per-pollutant US EPA sub-indices (iaqi), which
+ * are converted back to concentrations through the breakpoint tables
+ */
+import { concentrationFromSubIndex } from '../AQICalculator.js';
+import { createHttpError } from '../RequestScheduler.js';
+
+// WAQI iaqi keys to component keys
+const IAQI_POLLUTANTS = {
+    pm25: 'pm2_5',
+    pm10: 'pm10',
+    o3: 'o3',
+    no2: 'no2',
+    so2: 'so2',
+    co: 'co'
+};
+
+/**
+ * Create a WAQI provider
+ * @param {Object} options - Provider options
+ * @param {string} options.token - WAQI API token
+ * @returns {Object} - AQI provider
+ */
+export function createWAQIProvider({ token, weight = 1.3 } = {}) {
+    return {
+        id: 'waqi',
+        name: 'WAQI',
+        weight,
+
+        async fetch(lat, lng) {
+            const url = `https://api.waqi.info/feed/geo:${lat};${lng}/?token=${token}`;
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw createHttpError(response, `Failed to fetch WAQI data: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (data.status !== 'ok') {
+                throw new Error(`WAQI API error: ${data.data || 'Unknown error'}`);
+            }
+
+            return data;
+        },
+
+        normalize(data) {
+            // aqi is '-' when the station has no current reading
+            const geo = data.data?.city?.geo;
+            const waqiValue = Number(data.data?.aqi);
+            const components = {};
+
+            Object.entries(IAQI_POLLUTANTS).forEach(([iaqiKey, pollutant]) => {
+                const subIndex = data.data?.iaqi?.[iaqiKey]?.v;
+                if (subIndex === undefined) return;
+                components[pollutant] = concentrationFromSubIndex(pollutant, subIndex);
+            });
+
+            const measuredAt = data.data?.time?.iso ? Date.parse(data.data.time.iso) : NaN;
+
+            return {
+                aqi: Number.isFinite(waqiValue) ? waqiValue : -1,
+                rawValue: waqiValue,
+                measuredAt: Number.isFinite(measuredAt) ? measuredAt : null,
+                dominantPollutant: IAQI_POLLUTANTS[data.data?.dominentpol] || null,
+                components,
+                station: data.data?.city?.name || null,
+                location: geo?.length === 2 ? { lat: Number(geo[0]), lng: Number(geo[1]) } : null
+            };
+        },
+
+        confidence() {
+            return 'high';
+        }
+    };
+}
@@ -0,0 +1,26 @@
+/**
+ * Web Worker running the Pareto searches off the main thread
+ * Receives { type, graph, source, target, options } (graph: Map nodeId -> [{ to, costs }]),
+ * where type is 'front' (routes from source to target, the default) or 'reach'
+ * (costs of reaching every node from source, target unused), and posts
+ * { type: 'progress', labels, maxLabels } messages while searching, then
+ * { type: 'result', result } or { type: 'error', message }.
+ */
+import { paretoFront, paretoReach } from '../services/ParetoSearch.js';
+
+self.onmessage = ({ data }) => {
+    const { type = 'front', graph, source, target, options } = data;
+    const searchOptions = {
+        ...options,
+        onProgress: (labels, maxLabels) => self.postMessage({ type: 'progress', labels, maxLabels })
+    };
+
+    try {
+        const result = type === 'reach'
+            ? paretoReach(graph, source, searchOptions)
+            : paretoFront(graph, source, target, searchOptions);
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};